@@ -0,0 +1,14 @@
+-- Rate limit counters (fixed window per key, e.g. "login:ip:203.0.113.1")
+CREATE TABLE IF NOT EXISTS rate_limits (
+  key TEXT PRIMARY KEY,
+  window_start INTEGER NOT NULL,
+  count INTEGER NOT NULL DEFAULT 0
+);
+
+-- Failed login tracking for exponential lockout (keyed by normalized email, with and without the client IP)
+CREATE TABLE IF NOT EXISTS login_failures (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  locked_until INTEGER,
+  last_failed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,19 @@
+-- Single-entry cash book fields (入金/出金 + 金額 + 取引先 + 科目)
+-- debit_*/credit_* columns are derived from these by the API
+ALTER TABLE transactions ADD COLUMN type TEXT;
+ALTER TABLE transactions ADD COLUMN amount REAL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN client TEXT;
+ALTER TABLE transactions ADD COLUMN account_subject_id INTEGER REFERENCES account_subjects(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN sub_account_id INTEGER REFERENCES sub_accounts(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN tax_code TEXT;
+
+-- Backfill existing rows: money leaving the book's own account is an expense
+UPDATE transactions
+SET type = CASE
+      WHEN credit_account = (SELECT account_name FROM books WHERE books.id = transactions.book_id) THEN 'expense'
+      ELSE 'income'
+    END,
+    amount = MAX(COALESCE(debit_amount, 0), COALESCE(credit_amount, 0))
+WHERE type IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_account_subject_id ON transactions(account_subject_id);
@@ -0,0 +1,3 @@
+-- Indexes for filtered / keyset-paginated transaction lists
+CREATE INDEX IF NOT EXISTS idx_transactions_book_date_id ON transactions(book_id, date, id);
+CREATE INDEX IF NOT EXISTS idx_transactions_book_amount_id ON transactions(book_id, amount, id);
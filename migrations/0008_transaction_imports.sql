@@ -0,0 +1,21 @@
+-- Transaction imports (CSV取込) table
+-- Rows created by an import carry its id so the whole import can be undone
+CREATE TABLE IF NOT EXISTS transaction_imports (
+  id TEXT PRIMARY KEY,
+  book_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL,
+  filename TEXT,
+  encoding TEXT NOT NULL,
+  imported_count INTEGER NOT NULL DEFAULT 0,
+  skipped_count INTEGER NOT NULL DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  undone_at DATETIME,
+  FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_imports_book_id ON transaction_imports(book_id);
+
+ALTER TABLE transactions ADD COLUMN import_id TEXT REFERENCES transaction_imports(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_import_id ON transactions(import_id);
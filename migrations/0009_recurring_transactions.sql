@@ -0,0 +1,34 @@
+-- Recurring transactions (定期取引) table
+-- next_date is the first occurrence not yet materialized into transactions
+CREATE TABLE IF NOT EXISTS recurring_transactions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  book_id INTEGER NOT NULL,
+  type TEXT NOT NULL,
+  amount REAL NOT NULL,
+  description TEXT,
+  client TEXT,
+  account_subject_id INTEGER REFERENCES account_subjects(id) ON DELETE SET NULL,
+  sub_account_id INTEGER REFERENCES sub_accounts(id) ON DELETE SET NULL,
+  tax_code TEXT,
+  frequency TEXT NOT NULL, -- monthly, month_end, weekly, yearly
+  day_of_month INTEGER, -- monthly / yearly
+  day_of_week INTEGER, -- weekly (0 = Sunday)
+  month INTEGER, -- yearly
+  start_date TEXT NOT NULL,
+  end_date TEXT,
+  next_date TEXT NOT NULL,
+  active INTEGER DEFAULT 1,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_book_id ON recurring_transactions(book_id);
+CREATE INDEX IF NOT EXISTS idx_recurring_transactions_next_date ON recurring_transactions(active, next_date);
+
+-- Materialized occurrences start as 'pending' until the user confirms them
+ALTER TABLE transactions ADD COLUMN recurring_id INTEGER REFERENCES recurring_transactions(id) ON DELETE SET NULL;
+ALTER TABLE transactions ADD COLUMN status TEXT NOT NULL DEFAULT 'confirmed';
+
+-- One transaction per rule occurrence, so materializing twice is a no-op
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_recurring_occurrence ON transactions(recurring_id, date);
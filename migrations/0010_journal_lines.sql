@@ -0,0 +1,21 @@
+-- Journal lines (仕訳明細) table
+-- Only split (複合) transactions have lines: N account subject lines plus the book's
+-- own account line on the other side. Debit and credit totals always match.
+CREATE TABLE IF NOT EXISTS journal_lines (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL,
+  line_no INTEGER NOT NULL,
+  side TEXT NOT NULL, -- debit, credit
+  account TEXT NOT NULL,
+  sub_account TEXT,
+  account_subject_id INTEGER REFERENCES account_subjects(id) ON DELETE SET NULL,
+  sub_account_id INTEGER REFERENCES sub_accounts(id) ON DELETE SET NULL,
+  amount REAL NOT NULL,
+  tax_code TEXT,
+  description TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_journal_lines_transaction_id ON journal_lines(transaction_id, line_no);
+CREATE INDEX IF NOT EXISTS idx_journal_lines_account_subject_id ON journal_lines(account_subject_id);
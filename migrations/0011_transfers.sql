@@ -0,0 +1,6 @@
+-- Transfers (振替) between two of a user's books
+-- Both halves share a transfer_id: an expense in the source book and an income in the
+-- destination book, each with the other book's account as the counter account
+ALTER TABLE transactions ADD COLUMN transfer_id TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_transfer_id ON transactions(transfer_id);
@@ -0,0 +1,20 @@
+-- Transaction revisions (変更履歴) table
+-- One row per create / update / confirm / delete / restore. snapshot is the whole row
+-- (with journal lines) after the change, changes is { field: [before, after] } for updates
+CREATE TABLE IF NOT EXISTS transaction_revisions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  transaction_id INTEGER NOT NULL,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL for scheduled (cron) changes
+  action TEXT NOT NULL, -- create, update, confirm, delete, restore
+  snapshot TEXT NOT NULL,
+  changes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_transaction_revisions_transaction_id ON transaction_revisions(transaction_id, id);
+
+-- Soft delete: deleted transactions stay in the trash and can be restored
+ALTER TABLE transactions ADD COLUMN deleted_at DATETIME;
+
+CREATE INDEX IF NOT EXISTS idx_transactions_book_deleted ON transactions(book_id, deleted_at);
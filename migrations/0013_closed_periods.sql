@@ -0,0 +1,19 @@
+-- Closed periods (月次締め) table
+-- A month (YYYY-MM) of a book is closed while reopened_at is NULL. Transactions dated in a
+-- closed month cannot be created, changed or deleted. Reopening keeps the row and its reason.
+CREATE TABLE IF NOT EXISTS closed_periods (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  book_id INTEGER NOT NULL,
+  period TEXT NOT NULL, -- YYYY-MM
+  closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  closed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reopened_at DATETIME,
+  reopen_reason TEXT,
+  FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_closed_periods_book_id ON closed_periods(book_id, period);
+
+-- At most one active closing per month
+CREATE UNIQUE INDEX IF NOT EXISTS idx_closed_periods_active ON closed_periods(book_id, period) WHERE reopened_at IS NULL;
@@ -0,0 +1,29 @@
+-- Fiscal years (会計年度) table
+-- Books start their fiscal year in fiscal_year_start_month (1 = calendar year, 4 = April for
+-- many 法人). A year is labelled by the calendar year it starts in: 2024年度 = 2024-04-01 .. 2025-03-31.
+ALTER TABLE books ADD COLUMN fiscal_year_start_month INTEGER NOT NULL DEFAULT 1;
+
+-- Year-end closings. closing_balance is carried forward as the next year's opening balance,
+-- and every month of a closed year is locked in closed_periods. Reopening keeps the row.
+CREATE TABLE IF NOT EXISTS fiscal_years (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  book_id INTEGER NOT NULL,
+  fiscal_year INTEGER NOT NULL,
+  start_date TEXT NOT NULL,
+  end_date TEXT NOT NULL,
+  opening_balance REAL NOT NULL,
+  income REAL NOT NULL,
+  expense REAL NOT NULL,
+  closing_balance REAL NOT NULL,
+  closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  closed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  reopened_at DATETIME,
+  reopen_reason TEXT,
+  FOREIGN KEY (book_id) REFERENCES books(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_fiscal_years_book_id ON fiscal_years(book_id, fiscal_year);
+
+-- At most one active closing per fiscal year
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fiscal_years_active ON fiscal_years(book_id, fiscal_year) WHERE reopened_at IS NULL;
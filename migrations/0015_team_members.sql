@@ -0,0 +1,14 @@
+-- Team members (メンバー) table
+-- Sub users added by the main (paying) user. The main user is not stored here; the plan's
+-- member allowance counts the main user plus these rows.
+CREATE TABLE IF NOT EXISTS team_members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  owner_user_id INTEGER NOT NULL,
+  nickname TEXT NOT NULL,
+  email TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'invited', -- invited, active
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (owner_user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_team_members_owner_email ON team_members(owner_user_id, email);
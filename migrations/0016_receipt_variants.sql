@@ -0,0 +1,5 @@
+-- Receipt variants (証憑の表示用画像)
+-- Thumbnail and display copies generated on upload (JPEG, upright, downscaled). The original
+-- file at file_path is never modified. NULL for PDFs and when the copies could not be made.
+ALTER TABLE receipts ADD COLUMN thumbnail_path TEXT;
+ALTER TABLE receipts ADD COLUMN display_path TEXT;
@@ -0,0 +1,8 @@
+-- Receipt OCR results (証憑の読み取り結果)
+-- Saved when a stored receipt is read so it is read once; used to match inbox receipts to
+-- transactions. extraction is the JSON { date, total, tax, merchant, registration_number }.
+ALTER TABLE receipts ADD COLUMN extraction TEXT;
+ALTER TABLE receipts ADD COLUMN extracted_at DATETIME;
+
+-- Receipt lookups by transaction (inbox, matching)
+CREATE INDEX IF NOT EXISTS idx_transactions_receipt_id ON transactions(receipt_id);
@@ -0,0 +1,40 @@
+-- Receipt archive (電子帳簿保存法の真実性の確保)
+-- Every receipt stored from now on records the SHA-256 of its original file, who uploaded it,
+-- and a link in its book's hash chain: chain_hash = SHA-256 over the previous receipt's
+-- chain_hash and this receipt's fields (see utils/receiptArchive.ts). Receipts stored before
+-- this migration have no chain fields and are reported as unchained by verification.
+ALTER TABLE receipts ADD COLUMN content_hash TEXT;
+ALTER TABLE receipts ADD COLUMN uploaded_by INTEGER; -- users.id, kept as recorded even if the user is removed
+ALTER TABLE receipts ADD COLUMN chain_seq INTEGER;
+ALTER TABLE receipts ADD COLUMN chain_hash TEXT;
+-- Deleting a receipt keeps its row (and its place in the chain) and removes only the files
+ALTER TABLE receipts ADD COLUMN deleted_at DATETIME;
+ALTER TABLE receipts ADD COLUMN deleted_by INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_receipts_chain ON receipts(book_id, chain_seq);
+
+-- Originals and chain fields can't be changed once written (thumbnails, OCR results and the
+-- deletion mark can)
+CREATE TRIGGER IF NOT EXISTS receipts_originals_immutable
+BEFORE UPDATE OF book_id, filename, file_path, file_size, mime_type, uploaded_at, content_hash, uploaded_by, chain_seq, chain_hash
+ON receipts
+WHEN OLD.chain_hash IS NOT NULL
+BEGIN
+  SELECT RAISE(ABORT, 'receipt originals cannot be modified');
+END;
+
+CREATE TRIGGER IF NOT EXISTS receipts_deletion_marked
+BEFORE UPDATE OF deleted_at, deleted_by ON receipts
+WHEN OLD.deleted_at IS NOT NULL
+BEGIN
+  SELECT RAISE(ABORT, 'receipt deletion cannot be undone or changed');
+END;
+
+-- Rows are never deleted, not even by a cascade from their book (a book with archived
+-- receipts cannot be deleted)
+CREATE TRIGGER IF NOT EXISTS receipts_append_only
+BEFORE DELETE ON receipts
+WHEN OLD.chain_hash IS NOT NULL
+BEGIN
+  SELECT RAISE(ABORT, 'receipts are append-only');
+END;
@@ -44,6 +44,33 @@ class APIClient {
 
             const data = await response.json();
 
+            // Rate limited / locked out - surface how long to wait
+            if (response.status === 429) {
+                const retryAfter = parseInt(response.headers.get('Retry-After') || data.retry_after, 10) || 60;
+                const error = new Error(`リクエストが多すぎます。${this.formatRetryAfter(retryAfter)}後に再度お試しください。`);
+                error.status = 429;
+                error.retryAfter = retryAfter;
+                throw error;
+            }
+
+            // Closed (月次締め済み) period - say which month and how to unlock it
+            if (response.status === 409 && data.code === 'period_closed') {
+                const error = new Error(`${data.period} は月次締め済みのため、取引の登録・変更・削除はできません。修正が必要な場合は月次締めタブで締めを解除してください。`);
+                error.status = 409;
+                error.code = data.code;
+                error.period = data.period;
+                throw error;
+            }
+
+            // Over the plan's allowance - explain which limit and suggest upgrading
+            if (response.status === 403 && data.code === 'plan_limit_exceeded') {
+                const error = new Error(this.formatPlanLimit(data));
+                error.status = 403;
+                error.code = data.code;
+                error.limit = data.limit;
+                throw error;
+            }
+
             if (!response.ok) {
                 throw new Error(data.error || `HTTP ${response.status}`);
             }
@@ -55,6 +82,25 @@ class APIClient {
         }
     }
 
+    formatPlanLimit(data) {
+        const planNames = { free: 'Freeプラン', basic: 'Basicプラン', professional: 'Professionalプラン' };
+        const planName = planNames[data.plan] || data.plan;
+        const messages = {
+            books: `${planName}で作成できる出納帳は${data.allowed}冊までです。`,
+            transactions_per_month: `${planName}で登録できる取引は1か月あたり${data.allowed}件までです（${data.period || ''} は登録済み${data.current}件）。`,
+            receipts: `証憑の添付は${planName}ではご利用いただけません。`,
+            members: `${planName}で利用できるメンバーは${data.allowed}名までです。`
+        };
+        return `${messages[data.limit] || data.error} プランをアップグレードしてください。`;
+    }
+
+    formatRetryAfter(seconds) {
+        if (seconds < 60) {
+            return `${seconds}秒`;
+        }
+        return `${Math.ceil(seconds / 60)}分`;
+    }
+
     // Auth endpoints
     async register(email, password, name) {
         const data = await this.request('/api/auth/register', {
@@ -84,12 +130,89 @@ class APIClient {
         return data;
     }
 
+    async loginTwoFactor(challengeToken, code) {
+        // Recovery codes contain letters; authenticator codes are 6 digits
+        const isTotp = /^\d{6}$/.test(code.replace(/\s/g, ''));
+        const data = await this.request('/api/auth/login/2fa', {
+            method: 'POST',
+            body: JSON.stringify({
+                challenge_token: challengeToken,
+                code: isTotp ? code : undefined,
+                recovery_code: isTotp ? undefined : code
+            }),
+            skipAuth: true
+        });
+
+        if (data.token) {
+            this.setToken(data.token);
+        }
+
+        return data;
+    }
+
+    async setupTwoFactor() {
+        return await this.request('/api/auth/2fa/setup', {
+            method: 'POST'
+        });
+    }
+
+    async confirmTwoFactor(code) {
+        return await this.request('/api/auth/2fa/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ code })
+        });
+    }
+
+    async disableTwoFactor(password, code) {
+        const isTotp = /^\d{6}$/.test(code.replace(/\s/g, ''));
+        return await this.request('/api/auth/2fa/disable', {
+            method: 'POST',
+            body: JSON.stringify({
+                password,
+                code: isTotp ? code : undefined,
+                recovery_code: isTotp ? undefined : code
+            })
+        });
+    }
+
+    async requestPasswordReset(email) {
+        return await this.request('/api/auth/password-reset/request', {
+            method: 'POST',
+            body: JSON.stringify({ email }),
+            skipAuth: true
+        });
+    }
+
+    async confirmPasswordReset(token, password) {
+        return await this.request('/api/auth/password-reset/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ token, password }),
+            skipAuth: true
+        });
+    }
+
+    async verifyEmail(token) {
+        return await this.request(`/api/auth/verify-email?token=${encodeURIComponent(token)}`, {
+            skipAuth: true
+        });
+    }
+
+    async resendVerificationEmail() {
+        return await this.request('/api/auth/verify-email/resend', {
+            method: 'POST'
+        });
+    }
+
     async getCurrentUser() {
         return await this.request('/api/auth/me');
     }
 
-    logout() {
-        this.clearToken();
+    async logout() {
+        try {
+            await this.request('/api/auth/logout', { method: 'POST' });
+        } finally {
+            this.clearToken();
+        }
     }
 
     // Books endpoints
@@ -103,6 +226,63 @@ class APIClient {
         return data.book;
     }
 
+    // Balance as of a date (YYYY-MM-DD); omit asOf for the current balance
+    async getBookBalance(bookId, asOf = null) {
+        const query = asOf ? `?as_of=${encodeURIComponent(asOf)}` : '';
+        return await this.request(`/api/books/${bookId}/balance${query}`);
+    }
+
+    // Opening/closing balance and totals per period; params: from, to (YYYY-MM), group (month | year)
+    async getBookSummary(bookId, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+        const queryString = query.toString();
+        const data = await this.request(`/api/books/${bookId}/summary${queryString ? `?${queryString}` : ''}`);
+        return data.periods;
+    }
+
+    // Closed periods (月次締め)
+    async getClosedPeriods(bookId) {
+        const data = await this.request(`/api/books/${bookId}/closed-periods`);
+        return data.closed_periods;
+    }
+
+    async closePeriod(bookId, from, to) {
+        return await this.request(`/api/books/${bookId}/close-period`, {
+            method: 'POST',
+            body: JSON.stringify({ from, to })
+        });
+    }
+
+    async reopenPeriod(bookId, period, reason) {
+        return await this.request(`/api/books/${bookId}/reopen-period`, {
+            method: 'POST',
+            body: JSON.stringify({ period, reason })
+        });
+    }
+
+    // Fiscal years (年度締め)
+    async getFiscalYears(bookId) {
+        return await this.request(`/api/books/${bookId}/fiscal-years`);
+    }
+
+    async closeFiscalYear(bookId, fiscalYear) {
+        return await this.request(`/api/books/${bookId}/fiscal-years/${fiscalYear}/close`, {
+            method: 'POST'
+        });
+    }
+
+    async reopenFiscalYear(bookId, fiscalYear, reason) {
+        return await this.request(`/api/books/${bookId}/fiscal-years/${fiscalYear}/reopen`, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
+        });
+    }
+
     async createBook(businessName, accountName, openingBalance = 0, exportFormat = 'mf') {
         const data = await this.request('/api/books', {
             method: 'POST',
@@ -122,6 +302,7 @@ class APIClient {
         if (updates.accountName) body.account_name = updates.accountName;
         if (updates.openingBalance !== undefined) body.opening_balance = updates.openingBalance;
         if (updates.exportFormat) body.export_format = updates.exportFormat;
+        if (updates.fiscalYearStartMonth) body.fiscal_year_start_month = updates.fiscalYearStartMonth;
 
         const data = await this.request(`/api/books/${bookId}`, {
             method: 'PUT',
@@ -137,11 +318,35 @@ class APIClient {
     }
 
     // Transactions endpoints
-    async getTransactions(bookId) {
-        const data = await this.request(`/api/transactions/book/${bookId}`);
+    async getTransactions(bookId, params = {}) {
+        const data = await this.getTransactionPage(bookId, params);
         return data.transactions || [];
     }
 
+    // One page of transactions with total/totals/next_cursor
+    async getTransactionPage(bookId, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+        const queryString = query.toString();
+        return await this.request(`/api/transactions/book/${bookId}${queryString ? `?${queryString}` : ''}`);
+    }
+
+    // Follow next_cursor until every matching transaction is loaded
+    async getAllTransactions(bookId, params = {}) {
+        let transactions = [];
+        let cursor = null;
+        do {
+            const data = await this.getTransactionPage(bookId, { ...params, limit: 500, cursor });
+            transactions = transactions.concat(data.transactions || []);
+            cursor = data.next_cursor;
+        } while (cursor);
+        return transactions;
+    }
+
     async createTransaction(bookId, transaction) {
         const data = await this.request(`/api/transactions/book/${bookId}`, {
             method: 'POST',
@@ -164,6 +369,107 @@ class APIClient {
         });
     }
 
+    // Deleted transactions of a book (trash)
+    async getDeletedTransactions(bookId) {
+        const data = await this.request(`/api/transactions/book/${bookId}/trash`);
+        return data.transactions;
+    }
+
+    async restoreTransaction(transactionId) {
+        const data = await this.request(`/api/transactions/${transactionId}/restore`, {
+            method: 'POST'
+        });
+        return data.transaction;
+    }
+
+    // Revision history of a transaction (oldest first)
+    async getTransactionHistory(transactionId) {
+        const data = await this.request(`/api/transactions/${transactionId}/history`);
+        return data.revisions;
+    }
+
+    // Confirm pending (recurring) transactions
+    async confirmTransactions(ids) {
+        return await this.request('/api/transactions/confirm', {
+            method: 'POST',
+            body: JSON.stringify({ ids })
+        });
+    }
+
+    // Transfer between two books (creates linked entries in both)
+    async createTransfer(transfer) {
+        const data = await this.request('/api/transactions/transfer', {
+            method: 'POST',
+            body: JSON.stringify(transfer)
+        });
+        return data.transactions;
+    }
+
+    // ==================== Recurring Transactions ====================
+
+    async getRecurringTransactions(bookId) {
+        const data = await this.request(`/api/transactions/recurring/book/${bookId}`);
+        return data.recurring_transactions;
+    }
+
+    // rule: type, amount, description, client, account_subject_id, sub_account_id, tax_code,
+    //       frequency (monthly | month_end | weekly | yearly), day_of_month, day_of_week, month, start_date, end_date
+    async createRecurringTransaction(bookId, rule) {
+        return await this.request(`/api/transactions/recurring/book/${bookId}`, {
+            method: 'POST',
+            body: JSON.stringify(rule)
+        });
+    }
+
+    async updateRecurringTransaction(recurringId, updates) {
+        return await this.request(`/api/transactions/recurring/${recurringId}`, {
+            method: 'PUT',
+            body: JSON.stringify(updates)
+        });
+    }
+
+    async deleteRecurringTransaction(recurringId) {
+        return await this.request(`/api/transactions/recurring/${recurringId}`, {
+            method: 'DELETE'
+        });
+    }
+
+    // Create due occurrences now instead of waiting for the daily cron run
+    async materializeRecurringTransactions() {
+        return await this.request('/api/transactions/recurring/materialize', {
+            method: 'POST'
+        });
+    }
+
+    // ==================== CSV Import ====================
+
+    // payload: { file (base64), encoding, has_header, mapping? }
+    async previewImport(bookId, payload) {
+        return await this.request(`/api/imports/book/${bookId}/preview`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+    }
+
+    // payload: preview payload plus filename, include_duplicates
+    async commitImport(bookId, payload) {
+        return await this.request(`/api/imports/book/${bookId}`, {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+    }
+
+    async getImports(bookId) {
+        const data = await this.request(`/api/imports/book/${bookId}`);
+        return data.imports;
+    }
+
+    async undoImport(importId) {
+        return await this.request(`/api/imports/${importId}`, {
+            method: 'DELETE'
+        });
+    }
+
     // Account subjects endpoints
     async getAccountSubjects(bookId) {
         const data = await this.request(`/api/accounts/subjects/book/${bookId}`);
@@ -248,6 +554,10 @@ class APIClient {
 
         const data = await response.json();
 
+        if (response.status === 403 && data.code === 'plan_limit_exceeded') {
+            throw new Error(this.formatPlanLimit(data));
+        }
+
         if (!response.ok) {
             throw new Error(data.error || 'Upload failed');
         }
@@ -260,8 +570,83 @@ class APIClient {
         return data.receipts || [];
     }
 
-    async downloadReceipt(receiptId) {
-        const url = `${this.baseURL}/api/receipts/${receiptId}/download`;
+    // Receipt OCR - returns the extracted fields, or null when OCR is not configured (503)
+    async extractReceipt(bookId, file) {
+        const formData = new FormData();
+        formData.append('file', file);
+        return await this.requestExtraction(`/api/receipts/book/${bookId}/extract`, formData);
+    }
+
+    async extractStoredReceipt(receiptId) {
+        return await this.requestExtraction(`/api/receipts/${receiptId}/extract`);
+    }
+
+    async requestExtraction(endpoint, body) {
+        const response = await fetch(`${this.baseURL}${endpoint}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.token}`
+            },
+            body
+        });
+
+        if (response.status === 503) {
+            return null;
+        }
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Extraction failed');
+        }
+
+        return data.extraction;
+    }
+
+    async getReceiptMatches(bookId) {
+        return await this.request(`/api/receipts/book/${bookId}/matches`);
+    }
+
+    async acceptReceiptMatches(bookId, matches) {
+        return await this.request(`/api/receipts/book/${bookId}/matches/accept`, {
+            method: 'POST',
+            body: JSON.stringify({ matches })
+        });
+    }
+
+    // 電子帳簿保存法 search; params: from, to (YYYY-MM-DD), min_amount, max_amount, client
+    async searchReceipts(bookId, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+        const queryString = query.toString();
+        const data = await this.request(`/api/receipts/book/${bookId}/search${queryString ? `?${queryString}` : ''}`);
+        return data.receipts || [];
+    }
+
+    // Check the book's receipt hash chain and stored originals
+    async verifyReceipts(bookId) {
+        return await this.request(`/api/receipts/book/${bookId}/verify`);
+    }
+
+    async getReceiptInbox(bookId) {
+        const data = await this.request(`/api/receipts/book/${bookId}/inbox`);
+        return data.receipts || [];
+    }
+
+    async attachReceipt(receiptId, transactionId) {
+        return await this.request(`/api/receipts/${receiptId}/attach`, {
+            method: 'POST',
+            body: JSON.stringify({ transaction_id: transactionId })
+        });
+    }
+
+    // variant: 'thumbnail' or 'display' for the JPEG copies, omitted for the original file
+    async downloadReceipt(receiptId, variant = null) {
+        const url = `${this.baseURL}/api/receipts/${receiptId}/download${variant ? `?variant=${variant}` : ''}`;
         const response = await fetch(url, {
             headers: {
                 'Authorization': `Bearer ${this.token}`
@@ -275,6 +660,48 @@ class APIClient {
         return response.blob();
     }
 
+    // Receipt PDF (transaction details over the image). Returns null when the server can't make
+    // one - the PDF font is not configured (503) or the receipt is itself a PDF (415).
+    async downloadReceiptPdf(receiptId) {
+        const response = await fetch(`${this.baseURL}/api/receipts/${receiptId}/pdf`, {
+            headers: {
+                'Authorization': `Bearer ${this.token}`
+            }
+        });
+
+        if (response.status === 503 || response.status === 415) {
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error('Download failed');
+        }
+
+        return response.blob();
+    }
+
+    // ZIP of the original receipt files plus index.csv; params: the searchReceipts filters and ids
+    async downloadReceiptArchive(bookId, params = {}) {
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                query.append(key, value);
+            }
+        });
+        const queryString = query.toString();
+        const response = await fetch(`${this.baseURL}/api/receipts/book/${bookId}/archive${queryString ? `?${queryString}` : ''}`, {
+            headers: {
+                'Authorization': `Bearer ${this.token}`
+            }
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Download failed');
+        }
+
+        return response.blob();
+    }
+
     async deleteReceipt(receiptId) {
         return await this.request(`/api/receipts/${receiptId}`, {
             method: 'DELETE'
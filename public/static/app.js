@@ -7,9 +7,14 @@ class CashBookApp {
         this.subscription = null; // Subscription info
         this.selectedPlan = null; // Selected plan for payment
         this.currentReceiptImage = null; // Current receipt image data
+        this.currentReceiptId = null; // Inbox receipt being entered (already uploaded)
         this.currentReceiptMetadata = null; // Metadata for PDF filename
         this.accountSubjects = []; // Account subjects
-        this.pendingReceipts = []; // Pending receipts (quick save)
+        this.pendingReceipts = []; // Receipt inbox (quick save), loaded from the API
+        this.receiptVariants = new Map(); // Receipt id -> thumbnail_url / display_url from the receipts list
+        this.importFile = null; // CSV file being imported ({ name, content (base64) })
+        this.pendingTransactionIds = []; // Unconfirmed recurring transactions in the current book
+        this.splitMode = false; // Entry form splits the amount across several account subjects
         this.init();
     }
 
@@ -17,6 +22,11 @@ class CashBookApp {
         this.setupEventListeners();
         this.setupTabs();
         this.setDefaultDate();
+
+        // Links from password reset / verification emails
+        if (await this.handleAuthLinks()) {
+            return;
+        }
         
         // Check authentication
         if (!window.apiClient.isAuthenticated()) {
@@ -29,6 +39,10 @@ class CashBookApp {
             this.showLoading();
             await this.loadBooksFromAPI();
             await this.loadSubscriptionFromAPI();
+            // Catch up recurring transactions due since the last cron run
+            await window.apiClient.materializeRecurringTransactions().catch(error => {
+                console.error('Failed to materialize recurring transactions:', error);
+            });
             this.hideAuthModal();
             this.hideLoading();
             
@@ -84,7 +98,8 @@ class CashBookApp {
                 settings: {
                     recipientEmails: [],
                     openingBalance: book.opening_balance || 0,
-                    exportFormat: book.export_format || 'mf'
+                    exportFormat: book.export_format || 'mf',
+                    fiscalYearStartMonth: book.fiscal_year_start_month || 1
                 },
                 transactions: [],
                 createdAt: book.created_at
@@ -109,10 +124,12 @@ class CashBookApp {
         await this.loadTransactionsFromAPI(bookId);
         
         this.renderTransactions();
+        this.populateTransferBookSelects();
         this.loadSettings();
         this.loadPendingReceipts(); // Load pending receipts for this book
         this.updatePendingCount(); // Update UI
         this.populateMonthFilter();
+        this.loadClosedPeriods();
     }
 
     updateBookDisplay() {
@@ -287,6 +304,8 @@ class CashBookApp {
         } else if (tabName === 'entry') {
             this.updatePendingCount();
             this.renderPendingReceipts();
+        } else if (tabName === 'monthly') {
+            this.loadClosedPeriods();
         }
     }
 
@@ -315,6 +334,28 @@ class CashBookApp {
             await this.handleRegister();
         });
 
+        document.getElementById('two-factor-form-element').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleTwoFactorLogin();
+        });
+
+        document.getElementById('cancel-two-factor-btn').addEventListener('click', () => {
+            this.showLoginStep();
+        });
+
+        document.getElementById('two-factor-toggle-btn').addEventListener('click', async () => {
+            await this.toggleTwoFactor();
+        });
+
+        document.getElementById('forgot-password-btn').addEventListener('click', async () => {
+            await this.handleForgotPassword();
+        });
+
+        document.getElementById('reset-password-form-element').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleResetPassword();
+        });
+
         // Book switcher
         document.getElementById('switch-book-btn').addEventListener('click', () => {
             this.showBookModal();
@@ -336,18 +377,25 @@ class CashBookApp {
             this.handleAddTransaction();
         });
 
-        // Date range filter
-        document.getElementById('apply-filter-btn').addEventListener('click', () => {
+        // Date range filter (applied server-side)
+        document.getElementById('apply-filter-btn').addEventListener('click', async () => {
+            await this.loadTransactionsFromAPI(this.currentBookId);
             this.renderTransactions();
         });
 
-        document.getElementById('clear-filter-btn').addEventListener('click', () => {
+        document.getElementById('clear-filter-btn').addEventListener('click', async () => {
             document.getElementById('filter-start-date').value = '';
             document.getElementById('filter-end-date').value = '';
             document.getElementById('filter-keyword').value = '';
             document.getElementById('filter-min-amount').value = '';
             document.getElementById('filter-max-amount').value = '';
             document.getElementById('filter-account-subject').value = '';
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+        });
+
+        document.getElementById('load-more-transactions-btn').addEventListener('click', async () => {
+            await this.loadTransactionsFromAPI(this.currentBookId, { append: true });
             this.renderTransactions();
         });
 
@@ -369,6 +417,10 @@ class CashBookApp {
             this.sendMonthlyClosing();
         });
 
+        document.getElementById('close-period-btn').addEventListener('click', () => {
+            this.closePeriods();
+        });
+
         // Settings
         document.getElementById('save-settings-btn').addEventListener('click', () => {
             this.handleSaveSettings();
@@ -382,6 +434,51 @@ class CashBookApp {
             });
         });
 
+        // Transfer between books
+        document.getElementById('transfer-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleAddTransfer();
+        });
+
+        // Split lines (entry form)
+        document.getElementById('toggle-split-btn').addEventListener('click', () => {
+            this.setSplitMode(!this.splitMode);
+        });
+        document.getElementById('add-split-line-btn').addEventListener('click', () => {
+            this.addSplitLine();
+        });
+        document.getElementById('amount').addEventListener('input', () => {
+            this.updateSplitRemaining();
+        });
+
+        // Recurring transactions
+        document.getElementById('recurring-frequency').addEventListener('change', () => {
+            this.updateRecurringScheduleFields();
+        });
+        document.getElementById('add-recurring-btn').addEventListener('click', async () => {
+            await this.addRecurringTransaction();
+        });
+        document.getElementById('confirm-pending-btn').addEventListener('click', async () => {
+            await this.confirmTransactions(this.pendingTransactionIds);
+        });
+
+        // CSV import
+        document.getElementById('import-file').addEventListener('change', async () => {
+            await this.loadImportFile();
+        });
+        document.getElementById('import-encoding').addEventListener('change', async () => {
+            await this.loadImportFile();
+        });
+        document.getElementById('import-has-header').addEventListener('change', async () => {
+            await this.loadImportFile();
+        });
+        document.getElementById('import-preview-btn').addEventListener('click', async () => {
+            await this.previewImport();
+        });
+        document.getElementById('import-commit-btn').addEventListener('click', async () => {
+            await this.commitImport();
+        });
+
         document.getElementById('export-all-btn').addEventListener('click', () => {
             this.exportAllData();
         });
@@ -404,11 +501,13 @@ class CashBookApp {
                 const reader = new FileReader();
                 reader.onload = (event) => {
                     this.currentReceiptImage = event.target.result;
+                    this.currentReceiptId = null;
                     document.getElementById('receipt-preview-img').src = event.target.result;
                     document.getElementById('receipt-preview').classList.remove('hidden');
                     this.updatePendingCount(); // Show quick save button
                 };
                 reader.readAsDataURL(file);
+                this.extractReceiptFields(file);
             }
         });
 
@@ -425,6 +524,17 @@ class CashBookApp {
             this.handleQuickSave();
         });
 
+        // Trash and history
+        document.getElementById('show-trash-btn').addEventListener('click', () => {
+            this.showTrashModal();
+        });
+        document.getElementById('close-trash-modal-btn').addEventListener('click', () => {
+            document.getElementById('trash-modal').classList.add('hidden');
+        });
+        document.getElementById('close-history-modal-btn').addEventListener('click', () => {
+            document.getElementById('history-modal').classList.add('hidden');
+        });
+
         // Edit modal
         document.getElementById('close-edit-modal-btn').addEventListener('click', () => {
             this.hideEditModal();
@@ -503,7 +613,7 @@ class CashBookApp {
             console.error('Create book error:', error);
             
             // Check if it's a plan limit error
-            if (error.message.includes('limit')) {
+            if (error.code === 'plan_limit_exceeded') {
                 alert(error.message);
                 this.hideBookModal();
                 this.switchTab('invoice');
@@ -519,6 +629,119 @@ class CashBookApp {
         document.getElementById('date').value = today;
     }
 
+    // ==================== Transfers ====================
+
+    // Default to moving money out of the current book into the next one
+    populateTransferBookSelects() {
+        const options = this.books.map(book =>
+            `<option value="${book.id}">${this.escapeHtml(book.accountName)}（${this.escapeHtml(book.businessName)}）</option>`
+        ).join('');
+        const fromSelect = document.getElementById('transfer-from-book');
+        const toSelect = document.getElementById('transfer-to-book');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = this.currentBookId;
+        const other = this.books.find(b => b.id != this.currentBookId);
+        if (other) {
+            toSelect.value = other.id;
+        }
+        document.getElementById('transfer-date').value = new Date().toISOString().split('T')[0];
+    }
+
+    async handleAddTransfer() {
+        const fromBookId = document.getElementById('transfer-from-book').value;
+        const toBookId = document.getElementById('transfer-to-book').value;
+        if (!fromBookId || !toBookId || fromBookId === toBookId) {
+            alert('振替元と振替先には異なる出納帳を選択してください');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            await window.apiClient.createTransfer({
+                from_book_id: parseInt(fromBookId),
+                to_book_id: parseInt(toBookId),
+                date: document.getElementById('transfer-date').value,
+                amount: parseInt(document.getElementById('transfer-amount').value),
+                description: document.getElementById('transfer-description').value || undefined
+            });
+
+            await this.loadTransactionsFromAPI(this.currentBookId);
+
+            this.hideLoading();
+            this.showToast('振替を登録しました');
+            document.getElementById('transfer-form').reset();
+            this.populateTransferBookSelects();
+            this.renderTransactions();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Add transfer error:', error);
+            alert('振替の登録に失敗しました: ' + error.message);
+        }
+    }
+
+    // ==================== Split Lines ====================
+
+    setSplitMode(enabled) {
+        this.splitMode = enabled;
+        // The single subject / sub-account / tax fields are replaced by the lines
+        ['account-subject', 'sub-account', 'tax-type'].forEach(id => {
+            document.getElementById(id).closest('div').classList.toggle('hidden', enabled);
+        });
+        document.getElementById('split-lines-section').classList.toggle('hidden', !enabled);
+        document.getElementById('toggle-split-btn').innerHTML = enabled
+            ? '<i class="fas fa-times mr-1"></i>1つの勘定科目に戻す'
+            : '<i class="fas fa-columns mr-1"></i>複数の勘定科目に分ける';
+
+        document.getElementById('split-lines').innerHTML = '';
+        if (enabled) {
+            this.addSplitLine();
+            this.addSplitLine();
+        }
+    }
+
+    addSplitLine() {
+        const row = document.createElement('div');
+        row.className = 'split-line grid grid-cols-12 gap-2 items-center';
+        row.innerHTML = `
+            <select class="split-subject col-span-5 px-2 py-2 border border-gray-300 rounded-lg text-sm">
+                <option value="">科目を選択</option>
+                ${this.accountSubjects.map(account => `<option value="${account.id}">${this.escapeHtml(account.name)}</option>`).join('')}
+            </select>
+            <input type="number" class="split-amount col-span-3 px-2 py-2 border border-gray-300 rounded-lg text-sm" min="1" step="1" placeholder="金額">
+            <select class="split-tax col-span-3 px-2 py-2 border border-gray-300 rounded-lg text-sm">
+                ${document.getElementById('tax-type').innerHTML}
+            </select>
+            <button type="button" class="col-span-1 text-red-500 hover:text-red-700" title="行を削除">
+                <i class="fas fa-times"></i>
+            </button>
+        `;
+        row.querySelector('.split-amount').addEventListener('input', () => this.updateSplitRemaining());
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            this.updateSplitRemaining();
+        });
+        document.getElementById('split-lines').appendChild(row);
+        this.updateSplitRemaining();
+    }
+
+    getSplitLines() {
+        return Array.from(document.querySelectorAll('#split-lines .split-line')).map(row => ({
+            account_subject_id: row.querySelector('.split-subject').value ? parseInt(row.querySelector('.split-subject').value) : null,
+            amount: parseInt(row.querySelector('.split-amount').value) || 0,
+            tax_code: row.querySelector('.split-tax').value || null
+        }));
+    }
+
+    updateSplitRemaining() {
+        if (!this.splitMode) return;
+        const amount = parseInt(document.getElementById('amount').value) || 0;
+        const remaining = amount - this.getSplitLines().reduce((sum, line) => sum + line.amount, 0);
+        const label = document.getElementById('split-remaining');
+        label.textContent = remaining === 0 ? '合計が一致しています' : `残り ${this.formatCurrency(remaining)}`;
+        label.className = `text-sm ${remaining === 0 ? 'text-green-600' : 'text-red-600'}`;
+    }
+
     async handleAddTransaction() {
         if (!this.currentBookId) {
             alert('出納帳を選択してください');
@@ -535,13 +758,14 @@ class CashBookApp {
             const accountSubjectId = document.getElementById('account-subject').value;
             const subAccount = document.getElementById('sub-account').value;
             
-            // Upload receipt if exists
-            let receiptId = null;
-            if ((this.subscription?.plan === 'basic' || this.subscription?.plan === 'professional') && this.currentReceiptImage) {
+            // Upload receipt if exists (inbox receipts are already stored)
+            let receiptId = this.currentReceiptId;
+            if (!receiptId && (this.subscription?.plan === 'basic' || this.subscription?.plan === 'professional') && this.currentReceiptImage) {
                 try {
                     // Convert base64 to file
                     const blob = await fetch(this.currentReceiptImage).then(r => r.blob());
-                    const file = new File([blob], 'receipt.jpg', { type: 'image/jpeg' });
+                    const extension = blob.type === 'application/pdf' ? 'pdf' : (blob.type.split('/')[1] || 'jpg');
+                    const file = new File([blob], `receipt_${date}.${extension}`, { type: blob.type });
                     
                     const uploadResult = await window.apiClient.uploadReceipt(this.currentBookId, file);
                     receiptId = uploadResult.receipt_id;
@@ -563,6 +787,20 @@ class CashBookApp {
                 receipt_id: receiptId
             };
 
+            if (this.splitMode) {
+                const lines = this.getSplitLines();
+                const total = lines.reduce((sum, line) => sum + line.amount, 0);
+                if (lines.length < 2 || total !== amount) {
+                    this.hideLoading();
+                    alert('2行以上に分け、各行の金額の合計を金額（税込）と一致させてください');
+                    return;
+                }
+                transactionData.lines = lines;
+                delete transactionData.account_subject_id;
+                delete transactionData.sub_account_id;
+                delete transactionData.tax_code;
+            }
+
             const newTransaction = await window.apiClient.createTransaction(this.currentBookId, transactionData);
             console.log('Transaction created:', newTransaction);
 
@@ -575,13 +813,17 @@ class CashBookApp {
             document.getElementById('entry-form').reset();
             this.setDefaultDate();
             this.removeReceiptImage();
+            this.setSplitMode(false);
             this.renderTransactions();
+            if (receiptId) {
+                await this.loadPendingReceipts();
+            }
         } catch (error) {
             this.hideLoading();
             console.error('Add transaction error:', error);
             
             // Check if it's a plan limit error
-            if (error.message.includes('limit')) {
+            if (error.code === 'plan_limit_exceeded') {
                 alert(error.message);
                 this.switchTab('invoice');
             } else {
@@ -591,7 +833,11 @@ class CashBookApp {
     }
 
     async deleteTransaction(id) {
-        if (!confirm('この取引を削除しますか？')) {
+        const transaction = this.getCurrentTransactions().find(t => t.id == id);
+        const message = transaction?.transfer
+            ? `この振替を削除しますか？\n相手の出納帳（${transaction.transfer.accountName}）の取引も削除されます。\n（ゴミ箱から復元できます）`
+            : 'この取引を削除しますか？\n（ゴミ箱から復元できます）';
+        if (!confirm(message)) {
             return;
         }
 
@@ -612,45 +858,169 @@ class CashBookApp {
         }
     }
 
+    // ==================== Trash & History ====================
+
+    async showTrashModal() {
+        if (!this.currentBookId) return;
+
+        try {
+            this.showLoading();
+            const transactions = await window.apiClient.getDeletedTransactions(this.currentBookId);
+            this.hideLoading();
+
+            document.getElementById('trash-empty').classList.toggle('hidden', transactions.length > 0);
+            document.getElementById('trash-list').innerHTML = transactions.map(t => `
+                <tr>
+                    <td class="px-4 py-2 whitespace-nowrap">${this.formatDate(t.date)}</td>
+                    <td class="px-4 py-2">${this.escapeHtml(t.description || '')}${t.transfer ? `<br><span class="text-gray-500 text-xs"><i class="fas fa-exchange-alt mr-1"></i>振替: ${this.escapeHtml(t.transfer.account_name)}</span>` : ''}</td>
+                    <td class="px-4 py-2 text-right text-blue-600">${t.type === 'income' ? this.formatCurrency(t.amount) : ''}</td>
+                    <td class="px-4 py-2 text-right text-red-600">${t.type === 'expense' ? this.formatCurrency(t.amount) : ''}</td>
+                    <td class="px-4 py-2 whitespace-nowrap text-xs text-gray-500">${this.formatTimestamp(t.deleted_at)}</td>
+                    <td class="px-4 py-2 whitespace-nowrap text-right">
+                        <button onclick="app.showHistoryModal(${t.id})" class="text-gray-500 hover:text-gray-700 mr-2" title="変更履歴">
+                            <i class="fas fa-history"></i>
+                        </button>
+                        <button onclick="app.restoreTransaction(${t.id})" class="px-3 py-1 bg-indigo-500 text-white rounded hover:bg-indigo-600 text-xs">
+                            <i class="fas fa-undo mr-1"></i>復元
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+            document.getElementById('trash-modal').classList.remove('hidden');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Load trash error:', error);
+            alert('ゴミ箱の読み込みに失敗しました: ' + error.message);
+        }
+    }
+
+    async restoreTransaction(id) {
+        try {
+            this.showLoading();
+            await window.apiClient.restoreTransaction(id);
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.hideLoading();
+            this.renderTransactions();
+            this.showToast('取引を復元しました');
+            await this.showTrashModal();
+        } catch (error) {
+            this.hideLoading();
+            console.error('Restore transaction error:', error);
+            alert('取引の復元に失敗しました: ' + error.message);
+        }
+    }
+
+    // Server timestamps are UTC (YYYY-MM-DD HH:MM:SS)
+    formatTimestamp(value) {
+        if (!value) return '';
+        return new Date(value.replace(' ', 'T') + 'Z').toLocaleString('ja-JP');
+    }
+
+    formatHistoryValue(field, value) {
+        if (value === null || value === undefined || value === '') return '（なし）';
+        switch (field) {
+            case 'type': return value === 'income' ? '入金' : '出金';
+            case 'status': return value === 'pending' ? '未確定' : '確定';
+            case 'tax_code': return this.getTaxLabel(value);
+            case 'account_subject_id':
+                return this.accountSubjects.find(subject => subject.id === value)?.name || `#${value}`;
+            case 'sub_account_id':
+                return this.accountSubjects.flatMap(subject => subject.sub_accounts || []).find(sub => sub.id === value)?.name || `#${value}`;
+            case 'deleted_at': return this.formatTimestamp(value);
+            case 'amount':
+            case 'debit_amount':
+            case 'credit_amount':
+                return this.formatCurrency(value);
+            case 'lines':
+                return value.length === 0
+                    ? '（単一科目）'
+                    : value.map(line => `${line.side === 'debit' ? '借' : '貸'} ${line.account} ${this.formatCurrency(line.amount)}`).join(' / ');
+            default: return String(value);
+        }
+    }
+
+    async showHistoryModal(id) {
+        const actionLabels = { create: '作成', update: '変更', confirm: '確定', delete: '削除', restore: '復元' };
+        const fieldLabels = {
+            date: '日付', type: '区分', amount: '金額', description: '取引内容', client: '取引先',
+            account_subject_id: '勘定科目', sub_account_id: '補助科目', tax_code: '消費税区分', receipt_id: '証憑',
+            debit_account: '借方科目', debit_sub_account: '借方補助科目', debit_amount: '借方金額',
+            credit_account: '貸方科目', credit_sub_account: '貸方補助科目', credit_amount: '貸方金額',
+            status: '状態', transfer_id: '振替', deleted_at: '削除日時', lines: '明細'
+        };
+
+        try {
+            this.showLoading();
+            const revisions = await window.apiClient.getTransactionHistory(id);
+            this.hideLoading();
+
+            document.getElementById('history-list').innerHTML = revisions.map(revision => {
+                const changes = Object.entries(revision.changes || {})
+                    .filter(([field]) => field !== 'deleted_at')
+                    .map(([field, [before, after]]) => `
+                        <li>
+                            <span class="font-medium">${fieldLabels[field] || field}</span>:
+                            <span class="line-through text-gray-400">${this.escapeHtml(this.formatHistoryValue(field, before))}</span>
+                            → ${this.escapeHtml(this.formatHistoryValue(field, after))}
+                        </li>
+                    `).join('');
+                const who = revision.user_name || revision.user_email || '自動（定期取引）';
+
+                return `
+                    <li class="border border-gray-200 rounded-lg p-3">
+                        <div class="flex justify-between text-sm">
+                            <span class="font-bold text-gray-800">${actionLabels[revision.action] || revision.action}</span>
+                            <span class="text-gray-500">${this.formatTimestamp(revision.created_at)} ・ ${this.escapeHtml(who)}</span>
+                        </div>
+                        ${changes ? `<ul class="mt-2 text-xs text-gray-700 space-y-1">${changes}</ul>` : ''}
+                    </li>
+                `;
+            }).join('');
+            document.getElementById('history-modal').classList.remove('hidden');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Load history error:', error);
+            alert('変更履歴の読み込みに失敗しました: ' + error.message);
+        }
+    }
+
     // Rendering
+    // Filter inputs of the list tab as API query parameters
+    getTransactionFilterParams() {
+        return {
+            from: document.getElementById('filter-start-date').value,
+            to: document.getElementById('filter-end-date').value,
+            q: document.getElementById('filter-keyword').value.trim(),
+            min_amount: document.getElementById('filter-min-amount').value,
+            max_amount: document.getElementById('filter-max-amount').value,
+            account_subject_id: document.getElementById('filter-account-subject').value
+        };
+    }
+
     renderTransactions() {
-        // Get all filter values
-        const startDate = document.getElementById('filter-start-date').value;
-        const endDate = document.getElementById('filter-end-date').value;
-        const keyword = document.getElementById('filter-keyword').value.toLowerCase().trim();
-        const minAmount = document.getElementById('filter-min-amount').value;
-        const maxAmount = document.getElementById('filter-max-amount').value;
-        const accountSubjectId = document.getElementById('filter-account-subject').value;
-        
-        let filtered = this.getCurrentTransactions();
+        // Rows are already filtered by the API; only describe the active filters here
+        const { from: startDate, to: endDate, q: keyword, min_amount: minAmount, max_amount: maxAmount, account_subject_id: accountSubjectId } =
+            this.getTransactionFilterParams();
+        
+        const filtered = this.getCurrentTransactions();
+        const page = this.transactionPage || { total: filtered.length, nextCursor: null };
         const filterConditions = [];
 
-        // Apply date range filter
         if (startDate && endDate) {
-            filtered = filtered.filter(t => t.date >= startDate && t.date <= endDate);
             filterConditions.push(`期間: ${startDate} ～ ${endDate}`);
         } else if (startDate) {
-            filtered = filtered.filter(t => t.date >= startDate);
             filterConditions.push(`期間: ${startDate} 以降`);
         } else if (endDate) {
-            filtered = filtered.filter(t => t.date <= endDate);
             filterConditions.push(`期間: ${endDate} まで`);
         }
         
-        // Apply keyword filter (search in description and client)
         if (keyword) {
-            filtered = filtered.filter(t => 
-                t.description.toLowerCase().includes(keyword) ||
-                t.client.toLowerCase().includes(keyword)
-            );
             filterConditions.push(`キーワード: "${keyword}"`);
         }
         
-        // Apply amount range filter
         if (minAmount || maxAmount) {
             const min = minAmount ? parseFloat(minAmount) : 0;
             const max = maxAmount ? parseFloat(maxAmount) : Infinity;
-            filtered = filtered.filter(t => t.amount >= min && t.amount <= max);
             if (minAmount && maxAmount) {
                 filterConditions.push(`金額: ¥${this.formatNumber(min)} ～ ¥${this.formatNumber(max)}`);
             } else if (minAmount) {
@@ -660,20 +1030,25 @@ class CashBookApp {
             }
         }
         
-        // Apply account subject filter
         if (accountSubjectId) {
-            filtered = filtered.filter(t => t.account_subject_id == accountSubjectId);
             const subjectName = this.getAccountSubjectName(parseInt(accountSubjectId));
             filterConditions.push(`勘定科目: ${subjectName}`);
         }
         
         // Update filter status
+        const countLabel = filtered.length < page.total
+            ? `${filtered.length}/${page.total}件`
+            : `${page.total}件`;
         if (filterConditions.length > 0) {
-            this.updateFilterStatus(`絞込中（${filtered.length}件）: ${filterConditions.join(', ')}`);
+            this.updateFilterStatus(`絞込中（${countLabel}）: ${filterConditions.join(', ')}`);
         } else {
-            this.updateFilterStatus(`全期間の取引を表示中（${filtered.length}件）`);
+            this.updateFilterStatus(`全期間の取引を表示中（${countLabel}）`);
         }
 
+        document.getElementById('load-more-transactions').classList.toggle('hidden', !page.nextCursor);
+        document.getElementById('pending-notice').classList.toggle('hidden', this.pendingTransactionIds.length === 0);
+        document.getElementById('pending-count-label').textContent = this.pendingTransactionIds.length;
+
         const tbody = document.getElementById('transaction-list');
         const emptyState = document.getElementById('empty-state');
 
@@ -686,17 +1061,14 @@ class CashBookApp {
 
         emptyState.classList.add('hidden');
 
-        const settings = this.getCurrentSettings();
-        let balance = settings.openingBalance || 0;
-        let totalIncome = 0;
-        let totalExpense = 0;
+        // Running balances come from the server (whole book in date order), so they stay
+        // correct regardless of sort order, filters or how many pages are loaded
+        const latest = filtered.reduce((a, b) =>
+            (b.date > a.date || (b.date === a.date && Number(b.id) > Number(a.id))) ? b : a);
 
         tbody.innerHTML = filtered.map(transaction => {
             const income = transaction.type === 'income' ? transaction.amount : 0;
             const expense = transaction.type === 'expense' ? transaction.amount : 0;
-            balance += income - expense;
-            totalIncome += income;
-            totalExpense += expense;
 
             const taxLabel = this.getTaxLabel(transaction.taxType);
 
@@ -707,8 +1079,13 @@ class CashBookApp {
                    </button>`
                 : '';
 
-            // Get account subject names
-            const accountSubjectName = transaction.account_subject_id 
+            // Get account subject names (split transactions list every line's subject)
+            const splitAccounts = this.getSplitAccountNames(transaction);
+            const accountSubjectName = transaction.transfer
+                ? `振替<br><span class="text-gray-500 text-xs"><i class="fas fa-exchange-alt mr-1"></i>${transaction.type === 'income' ? '振替元' : '振替先'}: ${this.escapeHtml(transaction.transfer.accountName)}</span>`
+                : splitAccounts
+                ? `諸口<br><span class="text-gray-500 text-xs">${this.escapeHtml(splitAccounts)}</span>`
+                : transaction.account_subject_id
                 ? this.getAccountSubjectName(transaction.account_subject_id)
                 : '<span class="text-gray-400 text-xs">未設定</span>';
             
@@ -716,39 +1093,60 @@ class CashBookApp {
                 ? this.getSubAccountName(transaction.sub_account_id)
                 : '<span class="text-gray-400 text-xs">未設定</span>';
 
+            // Unconfirmed recurring entries are highlighted and can be confirmed inline
+            const pendingBadge = transaction.pending
+                ? '<span class="ml-1 px-2 py-0.5 text-xs bg-yellow-100 text-yellow-800 rounded-full">未確定</span>'
+                : '';
+            // Entries in closed months are read-only
+            const locked = this.closedPeriods?.has(transaction.date.slice(0, 7));
+            const confirmButton = transaction.pending && !locked
+                ? `<button onclick="app.confirmTransactions([${transaction.id}])" class="text-green-600 hover:text-green-800 mr-2" title="確定">
+                       <i class="fas fa-check"></i>
+                   </button>`
+                : '';
+            const editButtons = locked
+                ? '<span class="text-gray-400" title="締め済みのため変更できません"><i class="fas fa-lock"></i></span>'
+                : `<button onclick="app.showEditModal(${transaction.id})" class="text-indigo-500 hover:text-indigo-700 mr-2" title="編集">
+                       <i class="fas fa-edit"></i>
+                   </button>
+                   <button onclick="app.deleteTransaction(${transaction.id})" class="text-red-500 hover:text-red-700" title="削除">
+                       <i class="fas fa-trash"></i>
+                   </button>`;
+
             return `
-                <tr class="hover:bg-gray-50">
-                    <td class="px-4 py-3 whitespace-nowrap">${this.formatDate(transaction.date)}</td>
+                <tr class="${transaction.pending ? 'bg-yellow-50' : ''} hover:bg-gray-50">
+                    <td class="px-4 py-3 whitespace-nowrap">${this.formatDate(transaction.date)}${pendingBadge}</td>
                     <td class="px-4 py-3">${this.escapeHtml(transaction.description)}</td>
                     <td class="px-4 py-3">${this.escapeHtml(transaction.client)}</td>
                     <td class="px-4 py-3 text-sm">${accountSubjectName}</td>
                     <td class="px-4 py-3 text-sm">${subAccountName}</td>
                     <td class="px-4 py-3 text-right text-blue-600">${income > 0 ? this.formatCurrency(income) : ''}</td>
                     <td class="px-4 py-3 text-right text-red-600">${expense > 0 ? this.formatCurrency(expense) : ''}</td>
-                    <td class="px-4 py-3 text-right font-semibold">${this.formatCurrency(balance)}</td>
+                    <td class="px-4 py-3 text-right font-semibold">${this.formatCurrency(transaction.runningBalance)}</td>
                     <td class="px-4 py-3 text-center text-xs">${taxLabel}</td>
                     <td class="px-4 py-3 text-center no-print">
+                        ${confirmButton}
                         ${pdfIcon}
-                        <button onclick="app.showEditModal(${transaction.id})" class="text-indigo-500 hover:text-indigo-700 mr-2" title="編集">
-                            <i class="fas fa-edit"></i>
-                        </button>
-                        <button onclick="app.deleteTransaction(${transaction.id})" class="text-red-500 hover:text-red-700" title="削除">
-                            <i class="fas fa-trash"></i>
+                        <button onclick="app.showHistoryModal(${transaction.id})" class="text-gray-500 hover:text-gray-700 mr-2" title="変更履歴">
+                            <i class="fas fa-history"></i>
                         </button>
+                        ${editButtons}
                     </td>
                 </tr>
             `;
         }).join('');
 
-        this.updateTotals(filtered, balance);
+        this.updateTotals(filtered, latest.runningBalance);
     }
 
     updateTotals(transactions, finalBalance) {
-        const totalIncome = transactions
+        // Prefer the API totals, which cover every matching row rather than the loaded pages
+        const totals = this.transactionPage?.totals;
+        const totalIncome = totals ? totals.income : transactions
             .filter(t => t.type === 'income')
             .reduce((sum, t) => sum + t.amount, 0);
 
-        const totalExpense = transactions
+        const totalExpense = totals ? totals.expense : transactions
             .filter(t => t.type === 'expense')
             .reduce((sum, t) => sum + t.amount, 0);
 
@@ -770,7 +1168,23 @@ class CashBookApp {
     }
 
     // Monthly Closing
-    previewMonthlyClosing() {
+    // All transactions of a month range (YYYY-MM), oldest first, in app format
+    async loadPeriodTransactions(startMonth, endMonth) {
+        try {
+            const transactions = await window.apiClient.getAllTransactions(this.currentBookId, {
+                from: `${startMonth}-01`,
+                to: `${endMonth}-31`,
+                status: 'confirmed',
+                sort: 'date_asc'
+            });
+            return transactions.map(t => this.mapTransactionFromAPI(t));
+        } catch (error) {
+            console.error('Failed to load period transactions:', error);
+            return [];
+        }
+    }
+
+    async previewMonthlyClosing() {
         const startMonth = document.getElementById('closing-start-month').value;
         const endMonth = document.getElementById('closing-end-month').value;
         
@@ -784,11 +1198,8 @@ class CashBookApp {
             return;
         }
 
-        // Filter transactions within the month range
-        const filtered = this.getCurrentTransactions().filter(t => {
-            const transMonth = t.date.substring(0, 7); // YYYY-MM
-            return transMonth >= startMonth && transMonth <= endMonth;
-        });
+        // Fetch transactions within the month range
+        const filtered = await this.loadPeriodTransactions(startMonth, endMonth);
 
         if (filtered.length === 0) {
             alert('指定された期間の取引データがありません');
@@ -821,7 +1232,7 @@ class CashBookApp {
         this.showToast('プレビューを表示しました');
     }
 
-    exportToCSV() {
+    async exportToCSV() {
         const startMonth = document.getElementById('closing-start-month').value;
         const endMonth = document.getElementById('closing-end-month').value;
         
@@ -830,11 +1241,8 @@ class CashBookApp {
             return;
         }
 
-        // Filter transactions within the month range
-        const filtered = this.getCurrentTransactions().filter(t => {
-            const transMonth = t.date.substring(0, 7); // YYYY-MM
-            return transMonth >= startMonth && transMonth <= endMonth;
-        });
+        // Fetch transactions within the month range
+        const filtered = await this.loadPeriodTransactions(startMonth, endMonth);
 
         if (filtered.length === 0) {
             alert('指定された期間の取引データがありません');
@@ -928,11 +1336,8 @@ class CashBookApp {
             return;
         }
 
-        // Filter transactions within the month range
-        const filtered = this.getCurrentTransactions().filter(t => {
-            const transMonth = t.date.substring(0, 7); // YYYY-MM
-            return transMonth >= startMonth && transMonth <= endMonth;
-        });
+        // Fetch transactions within the month range
+        const filtered = await this.loadPeriodTransactions(startMonth, endMonth);
 
         if (filtered.length === 0) {
             alert('指定された期間の取引データがありません');
@@ -1019,6 +1424,11 @@ class CashBookApp {
                 `出金合計: ${this.formatCurrency(totalExpense)}\n` +
                 `差引残高: ${this.formatCurrency(totalIncome - totalExpense)}\n\n` +
                 `CSVファイルが添付されています。`);
+
+            // Sent figures should not change afterwards
+            if (confirm(`送信した期間（${periodLabel}）を締めますか？\n締めた月の取引は変更できなくなります。`)) {
+                await this.closePeriods({ confirmed: true });
+            }
         } catch (error) {
             console.error('Failed to send monthly report:', error);
             this.showToast('❌ メール送信に失敗しました', 'error');
@@ -1026,27 +1436,186 @@ class CashBookApp {
         }
     }
 
+    // ==================== Closed periods (月次締め) ====================
+
+    async loadClosedPeriods() {
+        if (!this.currentBookId) return;
+
+        try {
+            const periods = await window.apiClient.getClosedPeriods(this.currentBookId);
+            this.closedPeriods = new Set(periods.filter(p => !p.reopened_at).map(p => p.period));
+            this.renderTransactions();
+            this.loadFiscalYears();
+
+            const list = document.getElementById('closed-period-list');
+            if (periods.length === 0) {
+                list.innerHTML = '<li class="py-2 text-gray-400">締めた月はまだありません</li>';
+                return;
+            }
+
+            list.innerHTML = periods.map(p => p.reopened_at
+                ? `
+                    <li class="py-2 flex justify-between items-center text-gray-500">
+                        <span><i class="fas fa-lock-open mr-2"></i>${p.period}</span>
+                        <span class="text-xs">解除: ${this.formatTimestamp(p.reopened_at)}（${this.escapeHtml(p.reopen_reason)}）</span>
+                    </li>
+                `
+                : `
+                    <li class="py-2 flex justify-between items-center">
+                        <span class="font-medium"><i class="fas fa-lock mr-2 text-gray-600"></i>${p.period}</span>
+                        <span>
+                            <span class="text-xs text-gray-500 mr-2">${this.formatTimestamp(p.closed_at)}</span>
+                            <button onclick="app.reopenPeriod('${p.period}')" class="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 text-xs">締め解除</button>
+                        </span>
+                    </li>
+                `
+            ).join('');
+        } catch (error) {
+            console.error('Failed to load closed periods:', error);
+        }
+    }
+
+    async loadFiscalYears() {
+        if (!this.currentBookId) return;
+
+        try {
+            const data = await window.apiClient.getFiscalYears(this.currentBookId);
+            const today = new Date().toISOString().slice(0, 10);
+            // Years close in order: only the oldest open year that has ended, and only the newest closed one reopens
+            const closable = data.fiscal_years.find(y => !y.closed);
+            const reopenable = [...data.fiscal_years].reverse().find(y => y.closed);
+
+            document.getElementById('fiscal-year-list').innerHTML = [...data.fiscal_years].reverse().map(y => {
+                const actions = [
+                    `<button onclick="app.browseFiscalYear('${y.start_date}', '${y.end_date}')" class="px-3 py-1 bg-indigo-100 text-indigo-700 rounded hover:bg-indigo-200 text-xs">閲覧</button>`
+                ];
+                if (closable && y.fiscal_year === closable.fiscal_year && y.end_date < today) {
+                    actions.push(`<button onclick="app.closeFiscalYear(${y.fiscal_year})" class="px-3 py-1 bg-gray-700 text-white rounded hover:bg-gray-800 text-xs">年度締め</button>`);
+                }
+                if (reopenable && y.fiscal_year === reopenable.fiscal_year) {
+                    actions.push(`<button onclick="app.reopenFiscalYear(${y.fiscal_year})" class="px-3 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 text-xs">締め解除</button>`);
+                }
+
+                return `
+                    <li class="py-2">
+                        <div class="flex justify-between items-center">
+                            <span class="font-medium">
+                                ${y.closed ? '<i class="fas fa-lock mr-2 text-gray-600"></i>' : ''}${y.fiscal_year}年度
+                                <span class="text-xs text-gray-500 ml-1">${y.start_date} ～ ${y.end_date}</span>
+                                ${y.fiscal_year === data.current_fiscal_year ? '<span class="ml-1 px-2 py-0.5 text-xs bg-indigo-100 text-indigo-800 rounded-full">今年度</span>' : ''}
+                            </span>
+                            <span class="flex gap-1">${actions.join('')}</span>
+                        </div>
+                        <div class="text-xs text-gray-600 mt-1">
+                            期首 ${this.formatCurrency(y.opening_balance)} ・ 入金 ${this.formatCurrency(y.income)} ・ 出金 ${this.formatCurrency(y.expense)} ・ 期末 ${this.formatCurrency(y.closing_balance)}
+                        </div>
+                    </li>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Failed to load fiscal years:', error);
+        }
+    }
+
+    // Show one fiscal year in the list tab (closed years are read-only there)
+    async browseFiscalYear(startDate, endDate) {
+        document.getElementById('filter-start-date').value = startDate;
+        document.getElementById('filter-end-date').value = endDate;
+        this.switchTab('list');
+        await this.loadTransactionsFromAPI(this.currentBookId);
+        this.renderTransactions();
+    }
+
+    async closeFiscalYear(fiscalYear) {
+        if (!confirm(`${fiscalYear}年度を締めますか？\n期末残高が翌年度に繰り越され、この年度の取引は変更できなくなります。`)) {
+            return;
+        }
+
+        try {
+            await window.apiClient.closeFiscalYear(this.currentBookId, fiscalYear);
+            this.showToast(`${fiscalYear}年度を締めました`);
+            await this.loadClosedPeriods();
+        } catch (error) {
+            console.error('Close fiscal year error:', error);
+            alert('年度締めに失敗しました: ' + error.message);
+        }
+    }
+
+    async reopenFiscalYear(fiscalYear) {
+        const reason = prompt(`${fiscalYear}年度の締めを解除します。解除する理由を入力してください（履歴に残ります）`);
+        if (reason === null) return;
+        if (reason.trim() === '') {
+            alert('解除する理由を入力してください');
+            return;
+        }
+
+        try {
+            await window.apiClient.reopenFiscalYear(this.currentBookId, fiscalYear, reason.trim());
+            this.showToast(`${fiscalYear}年度の締めを解除しました`);
+            await this.loadClosedPeriods();
+        } catch (error) {
+            console.error('Reopen fiscal year error:', error);
+            alert('年度締めの解除に失敗しました: ' + error.message);
+        }
+    }
+
+    async closePeriods({ confirmed = false } = {}) {
+        const startMonth = document.getElementById('closing-start-month').value;
+        const endMonth = document.getElementById('closing-end-month').value;
+
+        if (!startMonth || !endMonth || startMonth > endMonth) {
+            alert('開始年月と終了年月を正しく選択してください');
+            return;
+        }
+
+        const periodLabel = startMonth === endMonth ? startMonth : `${startMonth} ～ ${endMonth}`;
+        if (!confirmed && !confirm(`${periodLabel} を締めますか？\n締めた月の取引は登録・変更・削除できなくなります。`)) {
+            return;
+        }
+
+        try {
+            const result = await window.apiClient.closePeriod(this.currentBookId, startMonth, endMonth);
+            this.showToast(result.closed.length > 0 ? `${result.closed.join(', ')} を締めました` : '選択した期間はすでに締め済みです');
+            await this.loadClosedPeriods();
+        } catch (error) {
+            console.error('Close period error:', error);
+            alert('締め処理に失敗しました: ' + error.message);
+        }
+    }
+
+    async reopenPeriod(period) {
+        const reason = prompt(`${period} の締めを解除します。解除する理由を入力してください（履歴に残ります）`);
+        if (reason === null) return;
+        if (reason.trim() === '') {
+            alert('解除する理由を入力してください');
+            return;
+        }
+
+        try {
+            await window.apiClient.reopenPeriod(this.currentBookId, period, reason.trim());
+            this.showToast(`${period} の締めを解除しました`);
+            await this.loadClosedPeriods();
+        } catch (error) {
+            console.error('Reopen period error:', error);
+            alert('締めの解除に失敗しました: ' + error.message);
+        }
+    }
+
     // 基本形式のCSV生成（無料プラン用）
     generateBasicCSV(transactions) {
+        transactions = this.expandSplitTransactions(transactions);
         let csv = '取引日,区分,取引内容,取引先,勘定科目,補助科目,入金,出金,残高,消費税区分\n';
         
-        let balance = this.getCurrentSettings().openingBalance || 0;
-        
         transactions.forEach(t => {
             const type = t.type === 'income' ? '入金' : '出金';
             const income = t.type === 'income' ? t.amount : '';
             const expense = t.type === 'expense' ? t.amount : '';
-            
-            if (t.type === 'income') {
-                balance += t.amount;
-            } else {
-                balance -= t.amount;
-            }
+            const balance = t.runningBalance;
             
             const description = t.description.replace(/"/g, '""');
             const client = t.client.replace(/"/g, '""');
             const accountSubject = this.getAccountSubjectName(t.account_subject_id) || '';
-            const subAccount = t.sub_account_id ? this.getSubAccountName(t.account_subject_id, t.sub_account_id) : '';
+            const subAccount = t.sub_account_id ? this.getSubAccountName(t.sub_account_id) : '';
             
             // 消費税区分のラベル
             const taxLabels = {
@@ -1066,6 +1635,7 @@ class CashBookApp {
 
     // MFクラウド会計形式のCSV生成
     generateMFCloudCSV(transactions) {
+        transactions = this.expandSplitTransactions(transactions);
         let csv = '取引No,取引日,借方勘定科目,借方補助科目,借方部門,借方税区分,借方金額,借方税額,貸方勘定科目,貸方補助科目,貸方部門,貸方税区分,貸方金額,貸方税額,摘要,取引先,品目,メモタグ,期日\n';
         
         transactions.forEach((t, index) => {
@@ -1074,13 +1644,10 @@ class CashBookApp {
             const description = t.description.replace(/"/g, '""');
             const client = t.client.replace(/"/g, '""');
             
-            if (t.type === 'income') {
-                // 入金: 借方=現金、貸方=売上等
-                csv += `${index + 1},${t.date},現金,,,,${amount},,売上高,,,,${amount},,"${description}","${client}",,,,\n`;
-            } else {
-                // 出金: 借方=経費等、貸方=現金
-                csv += `${index + 1},${t.date},経費,,,,${amount},,現金,,,,${amount},,"${description}","${client}",,,,\n`;
-            }
+            // 入金: 借方=管理口、貸方=勘定科目 / 出金: 借方=勘定科目、貸方=管理口
+            const debit = t.debitAccount || (t.type === 'income' ? '現金' : '経費');
+            const credit = t.creditAccount || (t.type === 'income' ? '売上高' : '現金');
+            csv += `${index + 1},${t.date},${debit},${t.debitSubAccount || ''},,,${amount},,${credit},${t.creditSubAccount || ''},,,${amount},,"${description}","${client}",,,,\n`;
         });
         
         return csv;
@@ -1088,6 +1655,7 @@ class CashBookApp {
 
     // freee会計形式のCSV生成
     generateFreeeCSV(transactions) {
+        transactions = this.expandSplitTransactions(transactions);
         let csv = '収支区分,管理番号,発生日,決済期日,取引先,勘定科目,税区分,金額,税額,備考,品目,部門,メモタグ,セグメント1,セグメント2,セグメント3\n';
         
         transactions.forEach(t => {
@@ -1096,7 +1664,8 @@ class CashBookApp {
             const description = t.description.replace(/"/g, '""');
             const client = t.client.replace(/"/g, '""');
             const type = t.type === 'income' ? '収入' : '支出';
-            const account = t.type === 'income' ? '売上高' : '経費';
+            // freeeは相手勘定のみ（入金=貸方、出金=借方）
+            const account = (t.type === 'income' ? t.creditAccount : t.debitAccount) || (t.type === 'income' ? '売上高' : '経費');
             
             csv += `${type},,${t.date},,${client},${account},${taxCode},${amount},,"${description}",,,,,,\n`;
         });
@@ -1106,6 +1675,7 @@ class CashBookApp {
 
     // 弥生会計形式のCSV生成
     generateYayoiCSV(transactions) {
+        transactions = this.expandSplitTransactions(transactions);
         let csv = '伝票No,決算,取引日付,借方勘定科目,借方補助科目,借方部門,借方税区分,借方金額,借方税額,貸方勘定科目,貸方補助科目,貸方部門,貸方税区分,貸方金額,貸方税額,摘要,期日,証憑番号,入力マシン,入力ユーザ,入力アプリ,入力会社,入力日付\n';
         
         transactions.forEach((t, index) => {
@@ -1113,18 +1683,49 @@ class CashBookApp {
             const amount = t.amount;
             const description = t.description.replace(/"/g, '""');
             
-            if (t.type === 'income') {
-                // 入金: 借方=現金、貸方=売上高
-                csv += `${index + 1},,${t.date},現金,,,${taxCode},${amount},,売上高,,,${taxCode},${amount},,"${description}",,,,,,,,\n`;
-            } else {
-                // 出金: 借方=経費、貸方=現金
-                csv += `${index + 1},,${t.date},経費,,,${taxCode},${amount},,現金,,,${taxCode},${amount},,"${description}",,,,,,,,\n`;
-            }
+            // 入金: 借方=管理口、貸方=勘定科目 / 出金: 借方=勘定科目、貸方=管理口
+            const debit = t.debitAccount || (t.type === 'income' ? '現金' : '経費');
+            const credit = t.creditAccount || (t.type === 'income' ? '売上高' : '現金');
+            csv += `${index + 1},,${t.date},${debit},${t.debitSubAccount || ''},,${taxCode},${amount},,${credit},${t.creditSubAccount || ''},,${taxCode},${amount},,"${description}",,,,,,,,\n`;
         });
         
         return csv;
     }
 
+    // 複合仕訳の科目名（例: 消耗品費 / 会議費）。単一科目の取引は null
+    getSplitAccountNames(transaction) {
+        const counterSide = transaction.type === 'expense' ? 'debit' : 'credit';
+        const lines = (transaction.lines || []).filter(line => line.side === counterSide);
+        return lines.length > 0 ? lines.map(line => line.account).join(' / ') : null;
+    }
+
+    // CSV出力用: 複合仕訳を科目ごとの行に展開（相手は管理口、残高は行ごとに積み上げ）
+    expandSplitTransactions(transactions) {
+        return transactions.flatMap(t => {
+            const counterSide = t.type === 'expense' ? 'debit' : 'credit';
+            const lines = (t.lines || []).filter(line => line.side === counterSide);
+            if (lines.length === 0) return [t];
+
+            const sign = t.type === 'income' ? 1 : -1;
+            let balance = t.runningBalance - sign * t.amount;
+            return lines.map(line => {
+                balance += sign * line.amount;
+                return {
+                    ...t,
+                    amount: line.amount,
+                    taxType: line.taxType,
+                    account_subject_id: line.accountSubjectId,
+                    sub_account_id: line.subAccountId,
+                    debitAccount: counterSide === 'debit' ? line.account : t.debitAccount,
+                    debitSubAccount: counterSide === 'debit' ? line.subAccount : '',
+                    creditAccount: counterSide === 'credit' ? line.account : t.creditAccount,
+                    creditSubAccount: counterSide === 'credit' ? line.subAccount : '',
+                    runningBalance: balance
+                };
+            });
+        });
+    }
+
     // 勘定科目名を取得
     getAccountSubjectName(accountSubjectId) {
         if (!accountSubjectId) return '';
@@ -1177,55 +1778,373 @@ class CashBookApp {
         document.getElementById('business-name').value = book.businessName || '';
         document.getElementById('account-name').value = book.accountName || '';
         document.getElementById('opening-balance').value = book.settings.openingBalance || 0;
+        document.getElementById('fiscal-year-start-month').value = book.settings.fiscalYearStartMonth || 1;
         
         // Load export format setting
         const format = book.settings.exportFormat || 'mf';
         this.selectExportFormat(format);
+
+        await this.loadRecurringTransactions();
+        await this.loadImportHistory();
     }
 
-    async selectExportFormat(format) {
-        const book = this.getCurrentBook();
-        if (book) {
-            book.settings.exportFormat = format;
-            
-            // Save to API if we have a current book ID
-            if (this.currentBookId) {
-                try {
-                    await window.apiClient.updateBook(this.currentBookId, {
-                        exportFormat: format
-                    });
-                } catch (error) {
-                    console.error('Failed to update export format:', error);
-                }
-            }
-        }
+    // ==================== Recurring Transactions ====================
 
-        // Update UI
-        document.querySelectorAll('.export-format-btn').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.format === format) {
-                btn.classList.add('active');
-            }
-        });
+    updateRecurringScheduleFields() {
+        const frequency = document.getElementById('recurring-frequency').value;
+        document.getElementById('recurring-month').classList.toggle('hidden', frequency !== 'yearly');
+        document.getElementById('recurring-day-of-month').classList.toggle('hidden', frequency !== 'monthly' && frequency !== 'yearly');
+        document.getElementById('recurring-day-of-week').classList.toggle('hidden', frequency !== 'weekly');
+    }
 
-        // Update label
-        const formatLabels = {
-            'mf': 'MFクラウド会計',
-            'freee': 'freee会計',
-            'yayoi': '弥生会計'
-        };
-        const label = document.getElementById('current-format-label');
-        if (label) {
-            label.textContent = formatLabels[format] || 'MFクラウド会計';
+    describeRecurringSchedule(rule) {
+        const weekdays = ['日', '月', '火', '水', '木', '金', '土'];
+        switch (rule.frequency) {
+            case 'monthly': return `毎月${rule.day_of_month}日`;
+            case 'month_end': return '毎月末';
+            case 'weekly': return `毎週${weekdays[rule.day_of_week]}曜日`;
+            case 'yearly': return `毎年${rule.month}月${rule.day_of_month}日`;
+            default: return rule.frequency;
         }
     }
 
-    updateRecipientSelect() {
-        const book = this.getCurrentBook();
-        if (!book) return;
+    async loadRecurringTransactions() {
+        const container = document.getElementById('recurring-list');
+        if (!container || !this.currentBookId) return;
 
-        const select = document.getElementById('recipient-select');
-        if (!select) return;
+        try {
+            const rules = await window.apiClient.getRecurringTransactions(this.currentBookId);
+            container.innerHTML = rules.map(rule => `
+                <div class="flex justify-between items-center py-2 border-t">
+                    <div>
+                        <span class="font-medium ${rule.active ? '' : 'text-gray-400'}">${this.escapeHtml(rule.description || '（取引内容なし）')}</span>
+                        <span class="${rule.type === 'income' ? 'text-blue-600' : 'text-red-600'} ml-2">${rule.type === 'income' ? '入金' : '出金'} ${this.formatCurrency(rule.amount)}</span>
+                        <p class="text-xs text-gray-500">
+                            ${this.describeRecurringSchedule(rule)}
+                            ${rule.active ? `・次回 ${rule.next_date}` : '・停止中'}
+                            ${rule.end_date ? `・${rule.end_date}まで` : ''}
+                        </p>
+                    </div>
+                    <div class="whitespace-nowrap">
+                        <button onclick="app.toggleRecurringTransaction(${rule.id}, ${rule.active ? 'false' : 'true'})" class="text-indigo-500 hover:text-indigo-700 text-xs mr-2">
+                            ${rule.active ? '停止' : '再開'}
+                        </button>
+                        <button onclick="app.deleteRecurringTransaction(${rule.id})" class="text-red-500 hover:text-red-700 text-xs">削除</button>
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            console.error('Failed to load recurring transactions:', error);
+        }
+    }
+
+    async addRecurringTransaction() {
+        const frequency = document.getElementById('recurring-frequency').value;
+        const rule = {
+            description: document.getElementById('recurring-description').value.trim(),
+            type: document.getElementById('recurring-type').value,
+            amount: parseFloat(document.getElementById('recurring-amount').value),
+            frequency,
+            start_date: document.getElementById('recurring-start-date').value || new Date().toISOString().split('T')[0],
+            end_date: document.getElementById('recurring-end-date').value || null
+        };
+        if (frequency === 'monthly' || frequency === 'yearly') {
+            rule.day_of_month = parseInt(document.getElementById('recurring-day-of-month').value);
+        }
+        if (frequency === 'yearly') {
+            rule.month = parseInt(document.getElementById('recurring-month').value);
+        }
+        if (frequency === 'weekly') {
+            rule.day_of_week = parseInt(document.getElementById('recurring-day-of-week').value);
+        }
+
+        if (!rule.amount || rule.amount <= 0) {
+            alert('金額を入力してください');
+            return;
+        }
+
+        try {
+            const result = await window.apiClient.createRecurringTransaction(this.currentBookId, rule);
+            ['recurring-description', 'recurring-amount', 'recurring-day-of-month', 'recurring-start-date', 'recurring-end-date']
+                .forEach(id => document.getElementById(id).value = '');
+            await this.loadRecurringTransactions();
+            if (result.created > 0) {
+                await this.loadTransactionsFromAPI(this.currentBookId);
+                this.renderTransactions();
+            }
+            this.showToast(result.created > 0
+                ? `定期取引を追加しました（未確定の取引 ${result.created}件を作成）`
+                : '定期取引を追加しました');
+        } catch (error) {
+            console.error('Add recurring transaction error:', error);
+            alert('定期取引の追加に失敗しました: ' + error.message);
+        }
+    }
+
+    async toggleRecurringTransaction(recurringId, active) {
+        try {
+            await window.apiClient.updateRecurringTransaction(recurringId, { active });
+            await this.loadRecurringTransactions();
+            this.showToast(active ? '定期取引を再開しました' : '定期取引を停止しました');
+        } catch (error) {
+            console.error('Toggle recurring transaction error:', error);
+            alert('定期取引の更新に失敗しました: ' + error.message);
+        }
+    }
+
+    async deleteRecurringTransaction(recurringId) {
+        if (!confirm('この定期取引を削除しますか？（確定済みの取引は残り、未確定の取引は削除されます）')) return;
+
+        try {
+            await window.apiClient.deleteRecurringTransaction(recurringId);
+            await this.loadRecurringTransactions();
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+            this.showToast('定期取引を削除しました');
+        } catch (error) {
+            console.error('Delete recurring transaction error:', error);
+            alert('定期取引の削除に失敗しました: ' + error.message);
+        }
+    }
+
+    async confirmTransactions(ids) {
+        if (!ids || ids.length === 0) return;
+
+        try {
+            const result = await window.apiClient.confirmTransactions(ids);
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+            this.showToast(`${result.confirmed}件の取引を確定しました`);
+        } catch (error) {
+            console.error('Confirm transactions error:', error);
+            alert('取引の確定に失敗しました: ' + error.message);
+        }
+    }
+
+    // ==================== CSV Import ====================
+
+    getImportPayload(withMapping) {
+        const payload = {
+            file: this.importFile.content,
+            encoding: document.getElementById('import-encoding').value,
+            has_header: document.getElementById('import-has-header').checked
+        };
+        if (withMapping) {
+            payload.mapping = {};
+            document.querySelectorAll('#import-mapping select').forEach(select => {
+                if (select.value !== '') {
+                    payload.mapping[select.dataset.field] = parseInt(select.value);
+                }
+            });
+        }
+        return payload;
+    }
+
+    // Read the chosen file and show column mapping selects (pre-filled from the headers)
+    async loadImportFile() {
+        const input = document.getElementById('import-file');
+        const file = input.files[0];
+        document.getElementById('import-preview').classList.add('hidden');
+        document.getElementById('import-include-duplicates-label').classList.add('hidden');
+        document.getElementById('import-commit-btn').disabled = true;
+        if (!file || !this.currentBookId) return;
+
+        try {
+            const bytes = new Uint8Array(await file.arrayBuffer());
+            let binary = '';
+            bytes.forEach(byte => binary += String.fromCharCode(byte));
+            this.importFile = { name: file.name, content: btoa(binary) };
+
+            const data = await window.apiClient.previewImport(this.currentBookId, this.getImportPayload(false));
+            const columnCount = Math.max(data.headers.length, ...data.sample.map(row => row.length));
+            const columns = Array.from({ length: columnCount }, (_, i) =>
+                data.headers[i] ? `${i + 1}: ${data.headers[i]}` : `列${i + 1}（例: ${data.sample[0]?.[i] ?? ''}）`);
+
+            const fields = [
+                ['date', '日付 *'],
+                ['description', '取引内容'],
+                ['client', '取引先'],
+                ['amount', '金額'],
+                ['type', '入出金区分'],
+                ['income', '入金額'],
+                ['expense', '出金額']
+            ];
+            const mapping = document.getElementById('import-mapping');
+            mapping.innerHTML = fields.map(([field, label]) => `
+                <label class="block text-xs text-gray-600">${label}
+                    <select data-field="${field}" class="w-full mt-1 px-2 py-1 border border-gray-300 rounded text-sm">
+                        <option value="">（なし）</option>
+                        ${columns.map((name, i) => `<option value="${i}" ${data.suggested_mapping[field] === i ? 'selected' : ''}>${this.escapeHtml(name)}</option>`).join('')}
+                    </select>
+                </label>
+            `).join('');
+            mapping.classList.remove('hidden');
+            document.getElementById('import-preview-btn').disabled = false;
+            this.showToast(`CSVを読み込みました（${data.encoding === 'shift_jis' ? 'Shift_JIS' : 'UTF-8'}）`);
+        } catch (error) {
+            console.error('Import file error:', error);
+            this.importFile = null;
+            document.getElementById('import-preview-btn').disabled = true;
+            alert('CSVの読み込みに失敗しました: ' + error.message);
+        }
+    }
+
+    async previewImport() {
+        if (!this.importFile) return;
+
+        try {
+            const data = await window.apiClient.previewImport(this.currentBookId, this.getImportPayload(true));
+            const { summary } = data;
+            const rows = data.rows.slice(0, 50).map(row => {
+                const status = row.error
+                    ? `<span class="text-red-600">${this.escapeHtml(row.error)}</span>`
+                    : row.duplicate ? '<span class="text-yellow-600">重複の可能性</span>' : '<span class="text-green-600">OK</span>';
+                const entry = row.entry || {};
+                return `
+                    <tr class="border-t">
+                        <td class="px-2 py-1">${row.line}</td>
+                        <td class="px-2 py-1">${entry.date || ''}</td>
+                        <td class="px-2 py-1">${entry.type === 'income' ? '入金' : entry.type === 'expense' ? '出金' : ''}</td>
+                        <td class="px-2 py-1 text-right">${entry.amount ? this.formatCurrency(entry.amount) : ''}</td>
+                        <td class="px-2 py-1">${this.escapeHtml(entry.description || '')}</td>
+                        <td class="px-2 py-1">${status}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            const preview = document.getElementById('import-preview');
+            preview.innerHTML = `
+                <p class="mb-2">全${summary.total}行 / 取込可能 ${summary.valid}行 / エラー ${summary.invalid}行 / 重複の可能性 ${summary.duplicates}行</p>
+                <div class="overflow-x-auto max-h-64 overflow-y-auto border rounded">
+                    <table class="w-full text-xs">
+                        <thead class="bg-gray-100"><tr>
+                            <th class="px-2 py-1">行</th><th class="px-2 py-1">日付</th><th class="px-2 py-1">区分</th>
+                            <th class="px-2 py-1">金額</th><th class="px-2 py-1">取引内容</th><th class="px-2 py-1">状態</th>
+                        </tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                ${data.rows.length > 50 ? `<p class="text-xs text-gray-500 mt-1">先頭50行を表示しています</p>` : ''}
+            `;
+            preview.classList.remove('hidden');
+            document.getElementById('import-include-duplicates-label').classList.toggle('hidden', summary.duplicates === 0);
+            document.getElementById('import-commit-btn').disabled = summary.valid === 0;
+        } catch (error) {
+            console.error('Import preview error:', error);
+            alert('プレビューに失敗しました: ' + error.message);
+        }
+    }
+
+    async commitImport() {
+        if (!this.importFile) return;
+        if (!confirm('CSVの取引を取り込みます。よろしいですか？（エラー行はスキップされます）')) return;
+
+        try {
+            const result = await window.apiClient.commitImport(this.currentBookId, {
+                ...this.getImportPayload(true),
+                filename: this.importFile.name,
+                include_duplicates: document.getElementById('import-include-duplicates').checked
+            });
+
+            this.importFile = null;
+            document.getElementById('import-file').value = '';
+            document.getElementById('import-mapping').classList.add('hidden');
+            document.getElementById('import-preview').classList.add('hidden');
+            document.getElementById('import-include-duplicates-label').classList.add('hidden');
+            document.getElementById('import-preview-btn').disabled = true;
+            document.getElementById('import-commit-btn').disabled = true;
+
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+            await this.loadImportHistory();
+            this.showToast(`${result.imported}件の取引を取り込みました（スキップ ${result.skipped}件）`);
+        } catch (error) {
+            console.error('Import commit error:', error);
+            alert('取込に失敗しました: ' + error.message);
+        }
+    }
+
+    async loadImportHistory() {
+        const container = document.getElementById('import-history');
+        if (!container || !this.currentBookId) return;
+
+        try {
+            const imports = await window.apiClient.getImports(this.currentBookId);
+            container.innerHTML = imports.length === 0 ? '' : `
+                <p class="font-medium text-gray-700 mb-1">取込履歴</p>
+                ${imports.map(item => `
+                    <div class="flex justify-between items-center py-1 border-t">
+                        <span class="text-xs text-gray-600">
+                            ${this.escapeHtml(item.filename || 'CSV')}（${item.imported_count}件）${item.created_at}
+                            ${item.undone_at ? '<span class="text-gray-400">取消済み</span>' : ''}
+                        </span>
+                        ${item.undone_at ? '' : `<button onclick="app.undoImport('${item.id}')" class="text-red-500 hover:text-red-700 text-xs">取り消す</button>`}
+                    </div>
+                `).join('')}
+            `;
+        } catch (error) {
+            console.error('Failed to load import history:', error);
+        }
+    }
+
+    async undoImport(importId) {
+        if (!confirm('この取込で登録された取引をすべて削除します。よろしいですか？')) return;
+
+        try {
+            const result = await window.apiClient.undoImport(importId);
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+            await this.loadImportHistory();
+            this.showToast(`取込を取り消しました（${result.deleted}件削除）`);
+        } catch (error) {
+            console.error('Undo import error:', error);
+            alert('取込の取消に失敗しました: ' + error.message);
+        }
+    }
+
+    async selectExportFormat(format) {
+        const book = this.getCurrentBook();
+        if (book) {
+            book.settings.exportFormat = format;
+            
+            // Save to API if we have a current book ID
+            if (this.currentBookId) {
+                try {
+                    await window.apiClient.updateBook(this.currentBookId, {
+                        exportFormat: format
+                    });
+                } catch (error) {
+                    console.error('Failed to update export format:', error);
+                }
+            }
+        }
+
+        // Update UI
+        document.querySelectorAll('.export-format-btn').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.format === format) {
+                btn.classList.add('active');
+            }
+        });
+
+        // Update label
+        const formatLabels = {
+            'mf': 'MFクラウド会計',
+            'freee': 'freee会計',
+            'yayoi': '弥生会計'
+        };
+        const label = document.getElementById('current-format-label');
+        if (label) {
+            label.textContent = formatLabels[format] || 'MFクラウド会計';
+        }
+    }
+
+    updateRecipientSelect() {
+        const book = this.getCurrentBook();
+        if (!book) return;
+
+        const select = document.getElementById('recipient-select');
+        if (!select) return;
 
         // Clear existing options except the first one
         select.innerHTML = '<option value="">送付先を選択してください</option>';
@@ -1261,19 +2180,22 @@ class CashBookApp {
             const businessName = document.getElementById('business-name').value.trim();
             const accountName = document.getElementById('account-name').value.trim();
             const openingBalance = parseInt(document.getElementById('opening-balance').value) || 0;
+            const fiscalYearStartMonth = parseInt(document.getElementById('fiscal-year-start-month').value) || 1;
             
             if (businessName && accountName) {
                 await window.apiClient.updateBook(this.currentBookId, {
                     businessName,
                     accountName,
                     openingBalance,
-                    exportFormat: book.settings.exportFormat || 'mf'
+                    exportFormat: book.settings.exportFormat || 'mf',
+                    fiscalYearStartMonth
                 });
                 
                 // Update local book data
                 book.businessName = businessName;
                 book.accountName = accountName;
                 book.settings.openingBalance = openingBalance;
+                book.settings.fiscalYearStartMonth = fiscalYearStartMonth;
             }
             
             // 2. Save recipient emails via API
@@ -1726,27 +2648,61 @@ class CashBookApp {
         }
     }
 
-    // Pending Receipts Management (Quick Save)
-    loadPendingReceipts() {
+    // Pending Receipts Management (Quick Save) - the receipt inbox on the server
+    async loadPendingReceipts() {
         const book = this.getCurrentBook();
         if (!book) return;
-        
-        const saved = localStorage.getItem(`pendingReceipts_${book.id}`);
-        if (saved) {
-            this.pendingReceipts = JSON.parse(saved);
-        } else {
+
+        try {
+            await this.migrateLocalPendingReceipts(book.id);
+            const receipts = await window.apiClient.getReceiptInbox(book.id);
+            // Keep previews already fetched
+            const previews = new Map(this.pendingReceipts.map(r => [r.id, r.preview]));
+            this.pendingReceipts = receipts.map(receipt => ({
+                id: receipt.id,
+                filename: receipt.filename,
+                mimeType: receipt.mime_type,
+                hasThumbnail: !!receipt.thumbnail_url,
+                createdAt: receipt.uploaded_at.replace(' ', 'T') + 'Z',
+                preview: previews.get(receipt.id) || null
+            }));
+        } catch (error) {
+            console.error('Failed to load receipt inbox:', error);
             this.pendingReceipts = [];
         }
+        this.updatePendingCount();
     }
 
-    savePendingReceipts() {
-        const book = this.getCurrentBook();
-        if (!book) return;
-        
-        localStorage.setItem(`pendingReceipts_${book.id}`, JSON.stringify(this.pendingReceipts));
+    // Receipts kept in localStorage by earlier versions are moved to the inbox once
+    async migrateLocalPendingReceipts(bookId) {
+        const key = `pendingReceipts_${bookId}`;
+        const saved = JSON.parse(localStorage.getItem(key) || '[]');
+        if (saved.length === 0) return;
+
+        const remaining = [];
+        for (const receipt of saved) {
+            try {
+                await window.apiClient.uploadReceipt(bookId, await this.dataURLToFile(receipt.image, `receipt_${receipt.id}`));
+            } catch (error) {
+                console.error('Failed to move receipt to inbox:', error);
+                remaining.push(receipt);
+            }
+        }
+
+        if (remaining.length > 0) {
+            localStorage.setItem(key, JSON.stringify(remaining));
+        } else {
+            localStorage.removeItem(key);
+        }
+    }
+
+    async dataURLToFile(dataURL, basename) {
+        const blob = await fetch(dataURL).then(r => r.blob());
+        const extension = blob.type === 'application/pdf' ? 'pdf' : (blob.type.split('/')[1] || 'jpg');
+        return new File([blob], `${basename}.${extension}`, { type: blob.type });
     }
 
-    handleQuickSave() {
+    async handleQuickSave() {
         // Basic or Professional plan required
         if (this.subscription?.plan === 'free') {
             alert('証憑添付機能はBasic/Professionalプラン限定です。\n\nBasicプラン（¥330/月）またはProfessionalプラン（¥990/月〜）にアップグレードしてください。');
@@ -1759,22 +2715,44 @@ class CashBookApp {
             return;
         }
 
-        const pendingReceipt = {
-            id: Date.now(),
-            image: this.currentReceiptImage,
-            createdAt: new Date().toISOString()
-        };
+        try {
+            this.showLoading();
+            const file = await this.dataURLToFile(this.currentReceiptImage, `receipt_${Date.now()}`);
+            await window.apiClient.uploadReceipt(this.currentBookId, file);
 
-        this.pendingReceipts.push(pendingReceipt);
-        this.savePendingReceipts();
-        this.updatePendingCount();
-        
-        // Clear current receipt
-        this.currentReceiptImage = null;
-        document.getElementById('receipt-preview').classList.add('hidden');
-        document.getElementById('receipt-image').value = '';
-        
-        this.showToast('証憑を「KEEP」しました');
+            // Clear current receipt
+            this.currentReceiptImage = null;
+            document.getElementById('receipt-preview').classList.add('hidden');
+            document.getElementById('receipt-image').value = '';
+
+            await this.loadPendingReceipts();
+            this.hideLoading();
+            this.showToast('証憑を「KEEP」しました');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Quick save error:', error);
+            alert('証憑の保存に失敗しました: ' + error.message);
+        }
+    }
+
+    // Fetch inbox previews (the download needs the auth header, so <img src> can't point at it)
+    async loadPendingReceiptPreviews() {
+        for (const receipt of this.pendingReceipts) {
+            if (receipt.preview || !this.hasReceiptPreview(receipt)) continue;
+            try {
+                const blob = await window.apiClient.downloadReceipt(receipt.id, receipt.hasThumbnail ? 'thumbnail' : null);
+                receipt.preview = URL.createObjectURL(blob);
+                const img = document.getElementById(`pending-receipt-img-${receipt.id}`);
+                if (img) img.src = receipt.preview;
+            } catch (error) {
+                console.error('Failed to load receipt preview:', error);
+            }
+        }
+    }
+
+    // Browsers can't show PDFs or (except Safari) HEIC in <img>; their thumbnails can be
+    hasReceiptPreview(receipt) {
+        return receipt.hasThumbnail || (receipt.mimeType !== 'application/pdf' && receipt.mimeType !== 'image/heic');
     }
 
     renderPendingReceipts() {
@@ -1796,13 +2774,33 @@ class CashBookApp {
                 minute: '2-digit'
             });
 
+            const thumbnail = !this.hasReceiptPreview(receipt)
+                ? '<div class="w-16 h-16 flex items-center justify-center rounded border border-gray-300 text-gray-400"><i class="fas fa-file-alt text-2xl"></i></div>'
+                : `<img id="pending-receipt-img-${receipt.id}" src="${receipt.preview || ''}" alt="証憑画像" class="w-16 h-16 object-cover rounded border border-gray-300 bg-gray-100">`;
+
+            // Existing entries without a receipt that this one can be attached to
+            const candidates = this.getCurrentTransactions().filter(t => !t.receiptPDF && !t.transfer).slice(0, 50);
+            const attachControl = candidates.length > 0
+                ? `
+                    <div class="flex gap-1 mt-1">
+                        <select id="pending-receipt-target-${receipt.id}" class="text-xs border border-gray-300 rounded px-1 py-0.5 max-w-[14rem]">
+                            ${candidates.map(t => `<option value="${t.id}">${t.date} ${this.escapeHtml(t.description)} ${this.formatCurrency(t.amount)}</option>`).join('')}
+                        </select>
+                        <button onclick="app.attachPendingReceipt(${receipt.id})" class="px-2 py-0.5 bg-gray-200 text-gray-700 text-xs rounded hover:bg-gray-300" title="既存の取引に添付">
+                            <i class="fas fa-paperclip mr-1"></i>添付
+                        </button>
+                    </div>
+                `
+                : '';
+
             return `
                 <div class="flex items-center gap-3 bg-white border border-orange-200 rounded-lg p-3">
-                    <img src="${receipt.image}" alt="証憑画像" class="w-16 h-16 object-cover rounded border border-gray-300">
+                    ${thumbnail}
                     <div class="flex-1">
                         <div class="text-sm text-gray-600">
                             <i class="fas fa-calendar mr-1"></i>${dateStr}
                         </div>
+                        ${attachControl}
                     </div>
                     <div class="flex gap-2">
                         <button onclick="app.usePendingReceipt(${receipt.id})" class="px-3 py-1 bg-indigo-500 text-white text-sm rounded hover:bg-indigo-600" title="この証憑を使って取引を入力">
@@ -1815,21 +2813,32 @@ class CashBookApp {
                 </div>
             `;
         }).join('');
+
+        this.loadPendingReceiptPreviews();
     }
 
-    usePendingReceipt(receiptId) {
+    // Enter a new transaction for an inbox receipt; it leaves the inbox once the entry is saved
+    async usePendingReceipt(receiptId) {
         const receipt = this.pendingReceipts.find(r => r.id === receiptId);
         if (!receipt) return;
 
+        try {
+            if (!receipt.preview) {
+                receipt.preview = URL.createObjectURL(await window.apiClient.downloadReceipt(receipt.id));
+            }
+        } catch (error) {
+            console.error('Failed to load receipt:', error);
+            alert('証憑の読み込みに失敗しました: ' + error.message);
+            return;
+        }
+
         // Set as current receipt image
-        this.currentReceiptImage = receipt.image;
-        document.getElementById('receipt-preview-img').src = receipt.image;
+        this.currentReceiptImage = receipt.preview;
+        this.currentReceiptId = receipt.id;
+        document.getElementById('receipt-preview-img').src = receipt.preview;
         document.getElementById('receipt-preview').classList.remove('hidden');
-
-        // Remove from pending list
-        this.pendingReceipts = this.pendingReceipts.filter(r => r.id !== receiptId);
-        this.savePendingReceipts();
         this.updatePendingCount();
+        this.extractReceiptFields(receipt.id);
 
         // Scroll to form
         document.getElementById('entry-form').scrollIntoView({ behavior: 'smooth', block: 'start' });
@@ -1837,19 +2846,112 @@ class CashBookApp {
         this.showToast('証憑を読み込みました。取引詳細を入力してください');
     }
 
-    deletePendingReceipt(receiptId) {
+    // Receipt OCR - read date, total, tax, merchant and 登録番号 and pre-fill the entry form.
+    // source is the selected File or an inbox receipt id. Reading is optional: on failure the
+    // form is simply left for manual entry.
+    async extractReceiptFields(source) {
+        const resultEl = document.getElementById('receipt-ocr-result');
+        resultEl.innerHTML = '<i class="fas fa-spinner fa-spin mr-1"></i>証憑を読み取っています...';
+        resultEl.classList.remove('hidden');
+
+        let extraction = null;
+        try {
+            extraction = source instanceof File
+                ? await window.apiClient.extractReceipt(this.currentBookId, source)
+                : await window.apiClient.extractStoredReceipt(source);
+        } catch (error) {
+            console.error('Receipt OCR error:', error);
+        }
+
+        if (!extraction) {
+            resultEl.classList.add('hidden');
+            return;
+        }
+        this.applyReceiptExtraction(extraction);
+    }
+
+    applyReceiptExtraction(extraction) {
+        const resultEl = document.getElementById('receipt-ocr-result');
+        const found = extraction.date || extraction.total !== null || extraction.merchant || extraction.registration_number;
+        if (!found) {
+            resultEl.innerHTML = '<i class="fas fa-info-circle mr-1"></i>証憑を読み取れませんでした。取引内容を入力してください';
+            return;
+        }
+
+        // Date always (the form defaults to today); amount and 取引先 only when not typed yet
+        if (extraction.date) {
+            document.getElementById('date').value = extraction.date;
+        }
+        const amountInput = document.getElementById('amount');
+        if (extraction.total !== null && !amountInput.value) {
+            amountInput.value = extraction.total;
+        }
+        const clientInput = document.getElementById('client');
+        if (extraction.merchant && !clientInput.value) {
+            clientInput.value = extraction.merchant;
+        }
+        if (extraction.tax.length === 1) {
+            document.getElementById('tax-type').value = `taxable-${extraction.tax[0].rate}`;
+        }
+
+        const rows = [];
+        if (extraction.date) rows.push(['日付', extraction.date]);
+        if (extraction.total !== null) rows.push(['合計', this.formatCurrency(extraction.total)]);
+        extraction.tax.forEach(t => {
+            const parts = [];
+            if (t.amount !== null) parts.push(`対象 ${this.formatCurrency(t.amount)}`);
+            if (t.tax !== null) parts.push(`消費税 ${this.formatCurrency(t.tax)}`);
+            rows.push([`${t.rate}%`, parts.join(' / ')]);
+        });
+        if (extraction.merchant) rows.push(['取引先', extraction.merchant]);
+        if (extraction.registration_number) rows.push(['登録番号', extraction.registration_number]);
+
+        resultEl.innerHTML = `
+            <div class="font-medium text-indigo-800 mb-1"><i class="fas fa-magic mr-1"></i>読み取り結果を入力欄に反映しました。内容を確認してください</div>
+            <dl class="grid grid-cols-[auto,1fr] gap-x-3">
+                ${rows.map(([label, value]) => `<dt class="text-gray-500">${label}</dt><dd>${this.escapeHtml(String(value))}</dd>`).join('')}
+            </dl>
+            ${extraction.tax.length > 1 ? '<div class="mt-1 text-orange-700">税率が複数あります。必要に応じて複合仕訳で税率ごとに分けてください</div>' : ''}
+        `;
+    }
+
+    async attachPendingReceipt(receiptId) {
+        const transactionId = document.getElementById(`pending-receipt-target-${receiptId}`)?.value;
+        if (!transactionId) return;
+
+        try {
+            await window.apiClient.attachReceipt(receiptId, transactionId);
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+            await this.loadPendingReceipts();
+            this.showToast('証憑を取引に添付しました');
+        } catch (error) {
+            console.error('Attach receipt error:', error);
+            alert('証憑の添付に失敗しました: ' + error.message);
+        }
+    }
+
+    async deletePendingReceipt(receiptId) {
         if (!confirm('この証憑を削除してもよろしいですか？')) return;
 
-        this.pendingReceipts = this.pendingReceipts.filter(r => r.id !== receiptId);
-        this.savePendingReceipts();
-        this.updatePendingCount();
-        
-        this.showToast('証憑を削除しました');
+        try {
+            await window.apiClient.deleteReceipt(receiptId);
+            if (this.currentReceiptId === receiptId) {
+                this.removeReceiptImage();
+            }
+            await this.loadPendingReceipts();
+            this.showToast('証憑を削除しました');
+        } catch (error) {
+            console.error('Delete receipt error:', error);
+            alert('証憑の削除に失敗しました: ' + error.message);
+        }
     }
 
     removeReceiptImage() {
         this.currentReceiptImage = null;
+        this.currentReceiptId = null;
         document.getElementById('receipt-preview').classList.add('hidden');
+        document.getElementById('receipt-ocr-result').classList.add('hidden');
         document.getElementById('receipt-image').value = '';
         this.updatePendingCount(); // Hide quick save buttons
     }
@@ -1887,7 +2989,8 @@ class CashBookApp {
         
         // Show/hide quick save buttons based on Premium plan and receipt image
         const plan = this.subscription?.plan || 'free';
-        const hasReceipt = this.currentReceiptImage ? true : false;
+        // Inbox receipts are already kept on the server
+        const hasReceipt = this.currentReceiptImage && !this.currentReceiptId ? true : false;
         
         // Original quick save button (top of entry tab)
         if (quickSaveBtn) {
@@ -2135,43 +3238,13 @@ class CashBookApp {
     // Receipt Image Management (PRO Plan)
     removeReceiptImage() {
         this.currentReceiptImage = null;
+        this.currentReceiptId = null;
         this.currentReceiptMetadata = null;
         document.getElementById('receipt-preview').classList.add('hidden');
+        document.getElementById('receipt-ocr-result').classList.add('hidden');
         document.getElementById('receipt-image').value = '';
     }
 
-    async generateReceiptPDF(imageData, metadata) {
-        const { jsPDF } = window.jspdf;
-        const doc = new jsPDF();
-
-        // Add title
-        doc.setFontSize(16);
-        doc.text('証憑', 105, 20, { align: 'center' });
-
-        // Add metadata
-        doc.setFontSize(10);
-        doc.text(`日付: ${metadata.date}`, 20, 35);
-        doc.text(`取引先: ${metadata.client}`, 20, 42);
-        doc.text(`金額: ${metadata.amount.toLocaleString()}円`, 20, 49);
-        doc.text(`内容: ${metadata.description}`, 20, 56);
-
-        // Add image
-        const img = new Image();
-        img.src = imageData;
-        
-        return new Promise((resolve) => {
-            img.onload = () => {
-                const imgWidth = 170;
-                const imgHeight = (img.height * imgWidth) / img.width;
-                doc.addImage(imageData, 'JPEG', 20, 65, imgWidth, imgHeight);
-
-                // Convert to base64
-                const pdfData = doc.output('dataurlstring');
-                resolve(pdfData);
-            };
-        });
-    }
-
     renderReceiptFiles() {
         const plan = this.subscription?.plan || 'free';
         
@@ -2184,6 +3257,7 @@ class CashBookApp {
 
         document.getElementById('receipt-files-available').classList.remove('hidden');
         document.getElementById('receipt-files-unavailable').classList.add('hidden');
+        this.loadReceiptMatches();
 
         const transactions = this.getCurrentTransactions();
         const receipts = transactions.filter(t => t.receiptPDF);
@@ -2211,7 +3285,7 @@ class CashBookApp {
                     </td>
                     <td class="px-4 py-3">
                         <div class="flex items-center gap-2">
-                            <i class="fas fa-file-pdf text-red-500"></i>
+                            <span id="receipt-thumb-${receipt.id}" class="w-12 h-12 flex items-center justify-center flex-shrink-0">${this.receiptThumbnailHtml(receipt.receiptPDF)}</span>
                             <span class="font-mono text-sm">${this.escapeHtml(receipt.receiptPDF.filename)}</span>
                         </div>
                     </td>
@@ -2234,36 +3308,233 @@ class CashBookApp {
         
         document.getElementById('select-all-receipts').checked = false;
         this.updateSelectedCount();
+        this.loadReceiptThumbnails();
     }
 
-    downloadReceiptPDF(transactionId) {
+    // Receipt matching - suggest which transaction each inbox receipt belongs to
+    async loadReceiptMatches() {
+        const bookId = this.currentBookId;
+        this.renderMissingReceipts();
+
+        let result;
+        try {
+            result = await window.apiClient.getReceiptMatches(bookId);
+        } catch (error) {
+            console.error('Failed to load receipt matches:', error);
+            return;
+        }
+        if (this.currentBookId !== bookId) return;
+
+        const summary = [`未処理の証憑 ${result.matches.length}件`];
+        if (result.unread_receipts > 0) {
+            summary.push(`読み取り待ち ${result.unread_receipts}件`);
+        }
+        summary.push(`証憑のない取引 ${result.transactions_without_receipt}件`);
+        document.getElementById('receipt-matching-summary').textContent = summary.join(' / ');
+
+        const reasonLabels = { amount: '金額', date: '日付', client: '取引先' };
+        const list = document.getElementById('receipt-matches-list');
+        list.innerHTML = result.matches.map(match => {
+            const receipt = match.receipt;
+            const extraction = match.extraction;
+            const read = extraction
+                ? [extraction.date, extraction.total !== null ? this.formatCurrency(extraction.total) : null, extraction.merchant]
+                    .filter(Boolean).map(value => this.escapeHtml(String(value))).join(' ')
+                : '未読み取り';
+
+            const control = match.candidates.length > 0
+                ? `
+                    <input type="checkbox" class="receipt-match-checkbox w-4 h-4" data-receipt-id="${receipt.id}" ${match.suggested_transaction_id ? 'checked' : ''} onchange="app.updateAcceptMatchesButton()">
+                    <select id="receipt-match-${receipt.id}" class="text-sm border border-gray-300 rounded px-2 py-1 flex-1 min-w-0">
+                        ${match.candidates.map(c => `
+                            <option value="${c.transaction_id}" ${c.transaction_id === match.suggested_transaction_id ? 'selected' : ''}>
+                                ${c.date} ${this.escapeHtml(c.client || c.description || '')} ${this.formatCurrency(c.amount)}（${c.reasons.map(r => reasonLabels[r]).join('・')}一致）
+                            </option>
+                        `).join('')}
+                    </select>
+                `
+                : '<span class="text-sm text-gray-500">候補の取引がありません</span>';
+
+            return `
+                <div class="flex items-center gap-3 bg-white border border-orange-200 rounded p-2">
+                    <div class="w-48 flex-shrink-0">
+                        <div class="text-xs font-mono truncate">${this.escapeHtml(receipt.filename)}</div>
+                        <div class="text-xs text-gray-500 truncate">${read}</div>
+                    </div>
+                    <div class="flex items-center gap-2 flex-1 min-w-0">${control}</div>
+                </div>
+            `;
+        }).join('');
+
+        this.updateAcceptMatchesButton();
+    }
+
+    renderMissingReceipts() {
+        const missing = this.getCurrentTransactions().filter(t => !t.receiptPDF && !t.transfer);
+        document.getElementById('missing-receipt-count').textContent = missing.length;
+        document.getElementById('missing-receipt-list').innerHTML = missing.length === 0
+            ? '<p class="text-gray-500">すべての取引に証憑があります</p>'
+            : missing.map(t => `
+                <div class="flex gap-3 py-1 border-b border-orange-100">
+                    <span class="w-24">${this.formatDate(t.date)}</span>
+                    <span class="flex-1 truncate">${this.escapeHtml(t.client || t.description || '')}</span>
+                    <span class="w-24 text-right">${this.formatCurrency(t.amount)}</span>
+                </div>
+            `).join('');
+    }
+
+    updateAcceptMatchesButton() {
+        const checked = document.querySelectorAll('.receipt-match-checkbox:checked').length;
+        document.getElementById('accept-matches-btn').disabled = checked === 0;
+    }
+
+    async acceptReceiptMatches() {
+        const matches = [...document.querySelectorAll('.receipt-match-checkbox:checked')].map(checkbox => {
+            const receiptId = parseInt(checkbox.dataset.receiptId);
+            return {
+                receipt_id: receiptId,
+                transaction_id: parseInt(document.getElementById(`receipt-match-${receiptId}`).value)
+            };
+        });
+        if (matches.length === 0) return;
+
+        const transactionIds = matches.map(m => m.transaction_id);
+        if (new Set(transactionIds).size !== transactionIds.length) {
+            alert('同じ取引に複数の証憑を添付することはできません。組み合わせを確認してください');
+            return;
+        }
+
+        try {
+            this.showLoading();
+            const result = await window.apiClient.acceptReceiptMatches(this.currentBookId, matches);
+            await this.loadTransactionsFromAPI(this.currentBookId);
+            this.renderTransactions();
+            this.renderReceiptFiles();
+            await this.loadPendingReceipts();
+            this.hideLoading();
+            this.showToast(`${result.attached}件の証憑を取引に添付しました`);
+        } catch (error) {
+            this.hideLoading();
+            console.error('Accept receipt matches error:', error);
+            alert('証憑の添付に失敗しました: ' + error.message);
+        }
+    }
+
+    // Thumbnails for the receipt files tab - the receipts list says which receipts have one
+    async loadReceiptThumbnails() {
+        const bookId = this.currentBookId;
+        try {
+            const receipts = await window.apiClient.getReceipts(bookId);
+            this.receiptVariants = new Map(receipts.map(r => [r.id, { thumbnail_url: r.thumbnail_url, display_url: r.display_url }]));
+        } catch (error) {
+            console.error('Failed to load receipts:', error);
+            return;
+        }
+
+        for (const transaction of this.getCurrentTransactions().filter(t => t.receiptPDF)) {
+            const receipt = transaction.receiptPDF;
+            if (receipt.thumbnail || !this.receiptVariants.get(receipt.id)?.thumbnail_url) continue;
+            try {
+                receipt.thumbnail = URL.createObjectURL(await window.apiClient.downloadReceipt(receipt.id, 'thumbnail'));
+                const cell = document.getElementById(`receipt-thumb-${transaction.id}`);
+                if (cell && this.currentBookId === bookId) {
+                    cell.innerHTML = this.receiptThumbnailHtml(receipt);
+                }
+            } catch (error) {
+                console.error('Failed to load receipt thumbnail:', error);
+            }
+        }
+    }
+
+    receiptThumbnailHtml(receipt) {
+        return receipt.thumbnail
+            ? `<img src="${receipt.thumbnail}" alt="証憑" class="w-12 h-12 object-cover rounded border border-gray-200">`
+            : '<i class="fas fa-file-pdf text-red-500"></i>';
+    }
+
+    // Fetch a stored receipt once and keep it as an object URL
+    async loadReceiptFile(receipt) {
+        if (!receipt.data) {
+            const blob = await window.apiClient.downloadReceipt(receipt.id);
+            const extensions = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/webp': 'webp', 'image/heic': 'heic', 'application/pdf': 'pdf' };
+            receipt.data = URL.createObjectURL(blob);
+            if (extensions[blob.type] && !receipt.filename.includes('.')) {
+                receipt.filename += `.${extensions[blob.type]}`;
+            }
+        }
+        return receipt;
+    }
+
+    // The receipt as a PDF made by the server (details over the image, same on every device).
+    // null when the server can't make one (the receipt is itself a PDF, or no PDF font is set up).
+    async loadReceiptPdf(receipt) {
+        if (receipt.pdf === undefined) {
+            const blob = await window.apiClient.downloadReceiptPdf(receipt.id);
+            receipt.pdf = blob ? URL.createObjectURL(blob) : null;
+        }
+        return receipt.pdf;
+    }
+
+    async downloadReceiptPDF(transactionId) {
         const transactions = this.getCurrentTransactions();
-        const transaction = transactions.find(t => t.id === transactionId);
+        const transaction = transactions.find(t => t.id == transactionId);
 
         if (!transaction || !transaction.receiptPDF) {
             alert('PDFファイルが見つかりません');
             return;
         }
 
-        const link = document.createElement('a');
-        link.href = transaction.receiptPDF.data;
-        link.download = transaction.receiptPDF.filename;
-        link.click();
+        try {
+            const receipt = transaction.receiptPDF;
+            const link = document.createElement('a');
+            const pdf = await this.loadReceiptPdf(receipt);
+            if (pdf) {
+                link.href = pdf;
+                link.download = `${receipt.filename.replace(/\.[^.]+$/, '')}.pdf`;
+            } else {
+                await this.loadReceiptFile(receipt);
+                link.href = receipt.data;
+                link.download = receipt.filename;
+            }
+            link.click();
 
-        this.showToast('PDFをダウンロードしました');
+            this.showToast('PDFをダウンロードしました');
+        } catch (error) {
+            console.error('Download receipt error:', error);
+            alert('証憑のダウンロードに失敗しました: ' + error.message);
+        }
     }
 
-    viewReceiptPDF(transactionId) {
+    async viewReceiptPDF(transactionId) {
         const transactions = this.getCurrentTransactions();
-        const transaction = transactions.find(t => t.id === transactionId);
+        const transaction = transactions.find(t => t.id == transactionId);
 
         if (!transaction || !transaction.receiptPDF) {
             alert('PDFファイルが見つかりません');
             return;
         }
 
-        // Open PDF in new tab
-        window.open(transaction.receiptPDF.data, '_blank');
+        // Open the tab before the download so popup blockers allow it
+        const preview = window.open('', '_blank');
+        try {
+            const receipt = transaction.receiptPDF;
+            const pdf = await this.loadReceiptPdf(receipt);
+            if (pdf) {
+                preview.location.href = pdf;
+                return;
+            }
+            // Otherwise the display copy is smaller and upright; the original stays for download
+            if (this.receiptVariants.get(receipt.id)?.display_url) {
+                receipt.display = receipt.display || URL.createObjectURL(await window.apiClient.downloadReceipt(receipt.id, 'display'));
+                preview.location.href = receipt.display;
+                return;
+            }
+            preview.location.href = (await this.loadReceiptFile(receipt)).data;
+        } catch (error) {
+            preview.close();
+            console.error('View receipt error:', error);
+            alert('証憑の表示に失敗しました: ' + error.message);
+        }
     }
 
     toggleSelectAllReceipts() {
@@ -2296,7 +3567,8 @@ class CashBookApp {
         }
     }
 
-    bulkDownloadReceipts() {
+    // Download the selected receipts as one ZIP (originals named by date/amount/client, plus index.csv)
+    async bulkDownloadReceipts() {
         const checkboxes = document.querySelectorAll('.receipt-checkbox:checked');
         
         if (checkboxes.length === 0) {
@@ -2305,32 +3577,42 @@ class CashBookApp {
         }
 
         const transactions = this.getCurrentTransactions();
-        let downloadCount = 0;
-
-        checkboxes.forEach((checkbox, index) => {
-            const transactionId = parseInt(checkbox.dataset.transactionId);
-            const transaction = transactions.find(t => t.id === transactionId);
-            
-            if (transaction && transaction.receiptPDF) {
-                // Delay each download slightly to avoid browser blocking
-                setTimeout(() => {
-                    const link = document.createElement('a');
-                    link.href = transaction.receiptPDF.data;
-                    link.download = transaction.receiptPDF.filename;
-                    link.click();
-                    downloadCount++;
-                    
-                    if (downloadCount === checkboxes.length) {
-                        this.showToast(`${downloadCount}件のPDFをダウンロードしました`);
-                    }
-                }, index * 300); // 300ms delay between downloads
-            }
-        });
+        const receiptIds = [...checkboxes]
+            .map(checkbox => transactions.find(t => t.id == checkbox.dataset.transactionId)?.receiptPDF?.id)
+            .filter(id => id);
+        const from = document.getElementById('receipt-filter-start').value;
+        const to = document.getElementById('receipt-filter-end').value;
+
+        const button = document.getElementById('bulk-download-btn');
+        button.disabled = true;
+        try {
+            const blob = await window.apiClient.downloadReceiptArchive(this.currentBookId, { ids: receiptIds.join(',') });
+            const bookName = this.getCurrentBook()?.businessName || '出納帳';
+            const period = [from, to].filter(Boolean).join('_') || '選択分';
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `証憑_${bookName}_${period}.zip`;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+
+            this.showToast(`${receiptIds.length}件の証憑をZIPでダウンロードしました`);
+        } catch (error) {
+            console.error('Receipt archive error:', error);
+            alert('証憑のダウンロードに失敗しました: ' + error.message);
+        } finally {
+            this.updateSelectedCount();
+        }
     }
 
-    filterReceipts() {
-        const startDate = document.getElementById('receipt-filter-start').value;
-        const endDate = document.getElementById('receipt-filter-end').value;
+    // Search on the server by 取引年月日, 金額 and 取引先 (電子帳簿保存法), then list the matching transactions
+    async filterReceipts() {
+        const params = {
+            from: document.getElementById('receipt-filter-start').value,
+            to: document.getElementById('receipt-filter-end').value,
+            client: document.getElementById('receipt-filter-client').value.trim(),
+            min_amount: document.getElementById('receipt-filter-min-amount').value,
+            max_amount: document.getElementById('receipt-filter-max-amount').value
+        };
 
         const plan = this.subscription?.plan || 'free';
         
@@ -2344,16 +3626,20 @@ class CashBookApp {
         document.getElementById('receipt-files-available').classList.remove('hidden');
         document.getElementById('receipt-files-unavailable').classList.add('hidden');
 
-        const transactions = this.getCurrentTransactions();
-        let receipts = transactions.filter(t => t.receiptPDF);
-
-        // Apply date filter
-        if (startDate) {
-            receipts = receipts.filter(r => r.date >= startDate);
-        }
-        if (endDate) {
-            receipts = receipts.filter(r => r.date <= endDate);
+        const bookId = this.currentBookId;
+        let found;
+        try {
+            found = await window.apiClient.searchReceipts(bookId, params);
+        } catch (error) {
+            console.error('Search receipts error:', error);
+            alert('証憑の検索に失敗しました: ' + error.message);
+            return;
         }
+        if (this.currentBookId !== bookId) return;
+
+        const transactionIds = new Set(found.map(r => r.transaction_id).filter(id => id));
+        const transactions = this.getCurrentTransactions();
+        const receipts = transactions.filter(t => t.receiptPDF && transactionIds.has(t.id));
 
         document.getElementById('receipt-count').textContent = `${receipts.length}件`;
 
@@ -2378,7 +3664,7 @@ class CashBookApp {
                     </td>
                     <td class="px-4 py-3">
                         <div class="flex items-center gap-2">
-                            <i class="fas fa-file-pdf text-red-500"></i>
+                            <span id="receipt-thumb-${receipt.id}" class="w-12 h-12 flex items-center justify-center flex-shrink-0">${this.receiptThumbnailHtml(receipt.receiptPDF)}</span>
                             <span class="font-mono text-sm">${this.escapeHtml(receipt.receiptPDF.filename)}</span>
                         </div>
                     </td>
@@ -2406,9 +3692,43 @@ class CashBookApp {
     clearReceiptFilter() {
         document.getElementById('receipt-filter-start').value = '';
         document.getElementById('receipt-filter-end').value = '';
+        document.getElementById('receipt-filter-client').value = '';
+        document.getElementById('receipt-filter-min-amount').value = '';
+        document.getElementById('receipt-filter-max-amount').value = '';
         this.renderReceiptFiles();
     }
 
+    // Check the book's receipt hash chain and originals, and show what was found
+    async verifyReceiptArchive() {
+        const resultEl = document.getElementById('receipt-verify-result');
+        resultEl.className = 'mt-3 p-3 rounded text-sm bg-gray-100 text-gray-700';
+        resultEl.textContent = '検証中...';
+
+        try {
+            const result = await window.apiClient.verifyReceipts(this.currentBookId);
+            const summary = `証憑 ${result.receipts}件（削除記録 ${result.deleted}件）を検証しました` +
+                (result.unchained > 0 ? `。検証対象外の旧証憑 ${result.unchained}件` : '');
+
+            if (result.valid) {
+                resultEl.className = 'mt-3 p-3 rounded text-sm bg-green-50 text-green-800 border border-green-200';
+                resultEl.innerHTML = `<i class="fas fa-check-circle mr-1"></i>改ざんは検出されませんでした。${this.escapeHtml(summary)}`;
+                return;
+            }
+
+            resultEl.className = 'mt-3 p-3 rounded text-sm bg-red-50 text-red-800 border border-red-200';
+            resultEl.innerHTML = `
+                <p class="font-semibold"><i class="fas fa-exclamation-triangle mr-1"></i>${result.errors.length}件の不整合が見つかりました。${this.escapeHtml(summary)}</p>
+                <ul class="list-disc ml-6 mt-1">
+                    ${result.errors.map(e => `<li>証憑 #${e.receipt_id}（連番 ${e.chain_seq ?? '-'}）: ${this.escapeHtml(e.error)}</li>`).join('')}
+                </ul>
+            `;
+        } catch (error) {
+            console.error('Verify receipts error:', error);
+            resultEl.className = 'mt-3 p-3 rounded text-sm bg-red-50 text-red-800 border border-red-200';
+            resultEl.textContent = '検証に失敗しました: ' + error.message;
+        }
+    }
+
     // Transaction Edit Functions
     showEditModal(transactionId) {
         console.log('showEditModal called with ID:', transactionId, 'type:', typeof transactionId);
@@ -2441,6 +3761,26 @@ class CashBookApp {
             }
         }
 
+        // Split transactions keep their lines; only the header fields are editable here
+        const splitAccounts = this.getSplitAccountNames(transaction);
+        document.getElementById('edit-split-note').classList.toggle('hidden', !splitAccounts);
+        document.getElementById('edit-split-accounts').textContent = splitAccounts || '';
+        ['edit-amount', 'edit-account-subject', 'edit-sub-account', 'edit-tax-type'].forEach(id => {
+            document.getElementById(id).disabled = !!splitAccounts;
+        });
+
+        // Transfers: only date, description and amount can change (on both books)
+        const transfer = transaction.transfer;
+        document.getElementById('edit-transfer-note').classList.toggle('hidden', !transfer);
+        document.getElementById('edit-transfer-book').textContent = transfer ? transfer.accountName : '';
+        document.getElementById('edit-type').disabled = !!transfer;
+        document.getElementById('edit-client').disabled = !!transfer;
+        if (transfer) {
+            ['edit-account-subject', 'edit-sub-account', 'edit-tax-type'].forEach(id => {
+                document.getElementById(id).disabled = true;
+            });
+        }
+
         document.getElementById('edit-modal').classList.remove('hidden');
     }
 
@@ -2501,6 +3841,22 @@ class CashBookApp {
                     parseInt(document.getElementById('edit-sub-account').value) : null
             };
 
+            // Transfers: both halves share date, description and amount only
+            const transaction = this.getCurrentTransactions().find(t => t.id == transactionId);
+            if (transaction?.transfer) {
+                delete updateData.type;
+                delete updateData.client;
+                delete updateData.tax_code;
+                delete updateData.account_subject_id;
+                delete updateData.sub_account_id;
+            } else if (document.getElementById('edit-amount').disabled) {
+                // Split transactions: the server keeps the stored lines and their total
+                delete updateData.amount;
+                delete updateData.tax_code;
+                delete updateData.account_subject_id;
+                delete updateData.sub_account_id;
+            }
+
             await window.apiClient.updateTransaction(transactionId, updateData);
             
             // Reload transactions
@@ -2556,8 +3912,17 @@ class CashBookApp {
             this.showLoading();
             
             const data = await window.apiClient.login(email, password);
-            console.log('Login successful:', data);
-            
+
+            // 2FA enabled - ask for the authenticator code
+            if (data.two_factor_required) {
+                this.hideLoading();
+                this.twoFactorChallenge = data.challenge_token;
+                document.getElementById('login-form').classList.add('hidden');
+                document.getElementById('two-factor-form').classList.remove('hidden');
+                document.getElementById('two-factor-code').focus();
+                return;
+            }
+
             // Reload app with authenticated state
             await this.init();
         } catch (error) {
@@ -2567,6 +3932,93 @@ class CashBookApp {
         }
     }
 
+    async handleTwoFactorLogin() {
+        const code = document.getElementById('two-factor-code').value.trim();
+
+        try {
+            this.hideAuthError();
+            this.showLoading();
+
+            await window.apiClient.loginTwoFactor(this.twoFactorChallenge, code);
+
+            this.twoFactorChallenge = null;
+            this.showLoginStep();
+
+            // Reload app with authenticated state
+            await this.init();
+        } catch (error) {
+            this.hideLoading();
+            console.error('2FA login error:', error);
+            document.getElementById('two-factor-code').value = '';
+
+            // Challenge expired - start over from the password step
+            if (error.message && error.message.includes('challenge')) {
+                this.showLoginStep();
+                this.showAuthError('認証の有効期限が切れました。再度ログインしてください。');
+            } else if (error.status === 429) {
+                this.showAuthError(error.message);
+            } else {
+                this.showAuthError('認証コードが正しくありません');
+            }
+        }
+    }
+
+    showLoginStep() {
+        document.getElementById('two-factor-form').classList.add('hidden');
+        document.getElementById('two-factor-code').value = '';
+        document.getElementById('login-form').classList.remove('hidden');
+    }
+
+    updateTwoFactorDisplay() {
+        const status = document.getElementById('two-factor-status');
+        const button = document.getElementById('two-factor-toggle-btn');
+        if (!status || !button) return;
+
+        if (this.twoFactorEnabled) {
+            status.textContent = '有効（ログイン時に認証アプリのコードが必要です）';
+            button.innerHTML = '<i class="fas fa-shield-alt mr-2"></i>無効にする';
+        } else {
+            status.textContent = '無効';
+            button.innerHTML = '<i class="fas fa-shield-alt mr-2"></i>有効にする';
+        }
+    }
+
+    async toggleTwoFactor() {
+        try {
+            if (this.twoFactorEnabled) {
+                const password = prompt('二段階認証を無効にします。\nパスワードを入力してください:');
+                if (!password) return;
+                const code = prompt('認証アプリのコード、またはリカバリーコードを入力してください:');
+                if (!code) return;
+
+                await window.apiClient.disableTwoFactor(password, code.trim());
+                this.twoFactorEnabled = false;
+                this.updateTwoFactorDisplay();
+                this.showToast('二段階認証を無効にしました');
+                return;
+            }
+
+            const setup = await window.apiClient.setupTwoFactor();
+            const code = prompt(
+                '認証アプリ（Google Authenticator等）に以下のキーを登録し、表示された6桁のコードを入力してください。\n\n' +
+                `キー: ${setup.secret}\n\n` +
+                `URI: ${setup.otpauth_uri}`
+            );
+            if (!code) return;
+
+            const result = await window.apiClient.confirmTwoFactor(code.trim());
+            this.twoFactorEnabled = true;
+            this.updateTwoFactorDisplay();
+
+            alert('二段階認証を有効にしました。\n\n' +
+                '以下のリカバリーコードを安全な場所に保管してください（各コード1回のみ使用可能・再表示はできません）。\n\n' +
+                result.recovery_codes.join('\n'));
+        } catch (error) {
+            console.error('2FA toggle error:', error);
+            alert('二段階認証の設定に失敗しました: ' + error.message);
+        }
+    }
+
     async handleRegister() {
         const name = document.getElementById('register-name').value;
         const email = document.getElementById('register-email').value;
@@ -2588,6 +4040,74 @@ class CashBookApp {
         }
     }
 
+    // Handles ?reset_token= / ?verify_token= links. Returns true when init should stop.
+    async handleAuthLinks() {
+        const params = new URLSearchParams(window.location.search);
+        const resetToken = params.get('reset_token');
+        const verifyToken = params.get('verify_token');
+
+        if (resetToken) {
+            this.resetToken = resetToken;
+            window.history.replaceState({}, '', window.location.pathname);
+            this.showAuthModal();
+            document.getElementById('login-form').classList.add('hidden');
+            document.getElementById('register-form').classList.add('hidden');
+            document.getElementById('reset-password-form').classList.remove('hidden');
+            return true;
+        }
+
+        if (verifyToken) {
+            window.history.replaceState({}, '', window.location.pathname);
+            try {
+                await window.apiClient.verifyEmail(verifyToken);
+                this.showToast('メールアドレスを確認しました');
+            } catch (error) {
+                console.error('Verify email error:', error);
+                this.showToast('確認リンクが無効または期限切れです', 'error');
+            }
+        }
+
+        return false;
+    }
+
+    async handleForgotPassword() {
+        const email = prompt('登録済みのメールアドレスを入力してください:', document.getElementById('login-email').value);
+        if (!email || email.trim() === '') return;
+
+        try {
+            this.showLoading();
+            await window.apiClient.requestPasswordReset(email.trim());
+            this.hideLoading();
+            alert('パスワード再設定用のリンクを送信しました。\nメールをご確認ください。');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Password reset request error:', error);
+            this.showAuthError(error.message || 'パスワード再設定の送信に失敗しました');
+        }
+    }
+
+    async handleResetPassword() {
+        const password = document.getElementById('reset-password').value;
+
+        try {
+            this.hideAuthError();
+            this.showLoading();
+
+            await window.apiClient.confirmPasswordReset(this.resetToken, password);
+            this.resetToken = null;
+            window.apiClient.clearToken();
+
+            this.hideLoading();
+            document.getElementById('reset-password-form').classList.add('hidden');
+            document.getElementById('login-form').classList.remove('hidden');
+            this.showToast('パスワードを再設定しました。新しいパスワードでログインしてください');
+        } catch (error) {
+            this.hideLoading();
+            console.error('Reset password error:', error);
+            this.showAuthError(error.message || 'パスワードの再設定に失敗しました');
+        }
+    }
+
     async loadBooksFromAPI() {
         try {
             const response = await window.apiClient.getBooks();
@@ -2601,7 +4121,8 @@ class CashBookApp {
                 settings: {
                     recipientEmails: book.recipient_emails || [],
                     openingBalance: book.opening_balance || 0,
-                    exportFormat: book.export_format || 'mf'
+                    exportFormat: book.export_format || 'mf',
+                    fiscalYearStartMonth: book.fiscal_year_start_month || 1
                 },
                 transactions: [],
                 createdAt: book.created_at,
@@ -2618,7 +4139,9 @@ class CashBookApp {
 
     async loadSubscriptionFromAPI() {
         try {
-            const subscription = await window.apiClient.getSubscription();
+            const { user, subscription } = await window.apiClient.getCurrentUser();
+            this.twoFactorEnabled = !!user.two_factor_enabled;
+            this.updateTwoFactorDisplay();
             this.subscription = {
                 plan: subscription.plan || 'free',
                 status: subscription.status || 'active',
@@ -2644,26 +4167,70 @@ class CashBookApp {
         }
     }
 
-    async loadTransactionsFromAPI(bookId) {
+    // API row (snake_case) to app format
+    mapTransactionFromAPI(t) {
+        return {
+            id: t.id.toString(),
+            date: t.date,
+            type: t.type,
+            description: t.description || '',
+            client: t.client || '',
+            amount: t.amount,
+            account_subject_id: t.account_subject_id || null,
+            sub_account_id: t.sub_account_id || null,
+            taxType: t.tax_code || '',
+            // Server-derived double-entry lines (used by accounting software exports)
+            debitAccount: t.debit_account || '',
+            debitSubAccount: t.debit_sub_account || '',
+            creditAccount: t.credit_account || '',
+            creditSubAccount: t.credit_sub_account || '',
+            runningBalance: t.running_balance ?? 0,
+            pending: t.status === 'pending',
+            // Other half of a transfer between books
+            transfer: t.transfer ? {
+                transactionId: t.transfer.transaction_id,
+                bookId: t.transfer.book_id,
+                accountName: t.transfer.account_name
+            } : null,
+            lines: (t.lines || []).map(line => ({
+                side: line.side,
+                account: line.account,
+                subAccount: line.sub_account || '',
+                accountSubjectId: line.account_subject_id || null,
+                subAccountId: line.sub_account_id || null,
+                amount: line.amount,
+                taxType: line.tax_code || ''
+            })),
+            // data (object URL) is filled in when the file is first downloaded
+            receiptPDF: t.receipt_id ? { id: t.receipt_id, filename: `証憑_${t.date}_${t.id}`, data: null } : null
+        };
+    }
+
+    // Load the first page matching the list tab filters, or the next page with append
+    async loadTransactionsFromAPI(bookId, { append = false } = {}) {
         try {
-            const transactions = await window.apiClient.getTransactions(bookId);
-            console.log('Loaded transactions:', transactions);
+            const params = this.getTransactionFilterParams();
+            if (append && this.transactionPage?.nextCursor) {
+                params.cursor = this.transactionPage.nextCursor;
+            }
+
+            const data = await window.apiClient.getTransactionPage(bookId, params);
             
-            // Convert API format to app format
             const book = this.getCurrentBook();
             if (book) {
-                book.transactions = transactions.map(t => ({
-                    id: t.id.toString(),
-                    date: t.date,
-                    type: t.type,
-                    description: t.description,
-                    client: t.client || '',
-                    amount: t.amount,
-                    account_subject_id: t.account_subject_id || null,
-                    sub_account_id: t.sub_account_id || null,
-                    taxType: t.tax_code || '',
-                    receiptPDF: t.receipt_id ? { id: t.receipt_id } : null
-                }));
+                const transactions = (data.transactions || []).map(t => this.mapTransactionFromAPI(t));
+                book.transactions = append ? book.transactions.concat(transactions) : transactions;
+            }
+
+            this.transactionPage = {
+                total: data.total || 0,
+                totals: data.totals,
+                nextCursor: data.next_cursor
+            };
+
+            if (!append) {
+                const pending = await window.apiClient.getTransactionPage(bookId, { status: 'pending', limit: 500 });
+                this.pendingTransactionIds = (pending.transactions || []).map(t => t.id);
             }
         } catch (error) {
             console.error('Failed to load transactions:', error);
@@ -2982,7 +4549,9 @@ async function handleAddMember(event) {
         const data = await response.json();
 
         if (!response.ok) {
-            throw new Error(data.error || 'メンバーの追加に失敗しました');
+            throw new Error(data.code === 'plan_limit_exceeded'
+                ? window.apiClient.formatPlanLimit(data)
+                : data.error || 'メンバーの追加に失敗しました');
         }
 
         closeAddMemberModal();
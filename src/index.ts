@@ -5,14 +5,29 @@ import { cors } from 'hono/cors';
 import auth from './routes/auth';
 import books from './routes/books';
 import transactions from './routes/transactions';
+import imports from './routes/imports';
 import accounts from './routes/accounts';
 import receipts from './routes/receipts';
 import emails from './routes/emails';
 import stripe from './routes/stripe';
 import coupons from './routes/coupons';
+import teamMembers from './routes/teamMembers';
+import { materializeRecurringTransactions, todayJst } from './utils/recurring';
 
 export type Bindings = {
   DB: D1Database;
+  RECEIPTS: R2Bucket;
+  IMAGES?: ImagesBinding;
+  JWT_SECRET: string;
+  APP_URL?: string;
+  MAIL_TRANSPORT?: string;
+  MAIL_FROM?: string;
+  OCR_PROVIDER?: string;
+  GOOGLE_VISION_API_KEY?: string;
+  PDF_FONT_KEY?: string;
+  RESEND_API_KEY?: string;
+  SENDGRID_API_KEY?: string;
+  MAILCHANNELS_API_KEY?: string;
 };
 
 const app = new Hono<{ Bindings: Bindings }>();
@@ -24,11 +39,13 @@ app.use('/api/*', cors());
 app.route('/api/auth', auth);
 app.route('/api/books', books);
 app.route('/api/transactions', transactions);
+app.route('/api/imports', imports);
 app.route('/api/accounts', accounts);
 app.route('/api/receipts', receipts);
 app.route('/api/emails', emails);
 app.route('/api/stripe', stripe);
 app.route('/api/coupons', coupons);
+app.route('/api/team-members', teamMembers);
 
 // Root route - health check
 app.get('/api', (c) => {
@@ -40,18 +57,30 @@ app.get('/api', (c) => {
       authentication: 'active',
       books: 'active',
       transactions: 'active',
+      imports: 'active',
       accounts: 'active',
       recipients: 'active',
       recipient_book_assignments: 'active',
-      receipts: 'partial',
-      emails: 'not_implemented',
+      receipts: 'active',
+      emails: 'active',
       stripe: 'not_implemented',
-      coupons: 'active'
+      coupons: 'active',
+      team_members: 'active'
     },
     endpoints: {
       auth: [
         'POST /api/auth/register',
         'POST /api/auth/login',
+        'POST /api/auth/login/2fa',
+        'POST /api/auth/logout',
+        'POST /api/auth/password-reset/request',
+        'POST /api/auth/password-reset/confirm',
+        'GET /api/auth/verify-email',
+        'POST /api/auth/verify-email/resend',
+        'POST /api/auth/2fa/setup',
+        'POST /api/auth/2fa/confirm',
+        'POST /api/auth/2fa/recovery-codes',
+        'POST /api/auth/2fa/disable',
         'GET /api/auth/me',
         'POST /api/auth/subscribe',
         'POST /api/auth/unsubscribe'
@@ -59,15 +88,39 @@ app.get('/api', (c) => {
       books: [
         'GET /api/books',
         'GET /api/books/:id',
+        'GET /api/books/:id/balance',
+        'GET /api/books/:id/summary',
         'POST /api/books',
         'PUT /api/books/:id',
-        'DELETE /api/books/:id'
+        'DELETE /api/books/:id',
+        'GET /api/books/:id/closed-periods',
+        'POST /api/books/:id/close-period',
+        'POST /api/books/:id/reopen-period',
+        'GET /api/books/:id/fiscal-years',
+        'POST /api/books/:id/fiscal-years/:year/close',
+        'POST /api/books/:id/fiscal-years/:year/reopen'
       ],
       transactions: [
         'GET /api/transactions/book/:bookId',
         'POST /api/transactions/book/:bookId',
         'PUT /api/transactions/:id',
-        'DELETE /api/transactions/:id'
+        'DELETE /api/transactions/:id',
+        'GET /api/transactions/book/:bookId/trash',
+        'POST /api/transactions/:id/restore',
+        'GET /api/transactions/:id/history',
+        'POST /api/transactions/confirm',
+        'POST /api/transactions/transfer',
+        'GET /api/transactions/recurring/book/:bookId',
+        'POST /api/transactions/recurring/book/:bookId',
+        'PUT /api/transactions/recurring/:id',
+        'DELETE /api/transactions/recurring/:id',
+        'POST /api/transactions/recurring/materialize'
+      ],
+      imports: [
+        'GET /api/imports/book/:bookId',
+        'POST /api/imports/book/:bookId/preview',
+        'POST /api/imports/book/:bookId',
+        'DELETE /api/imports/:id'
       ],
       accounts: [
         'GET /api/accounts/subjects/book/:bookId',
@@ -83,6 +136,26 @@ app.get('/api', (c) => {
         'DELETE /api/accounts/recipients/:id/books/:bookId',
         'GET /api/accounts/recipients/book/:bookId'
       ],
+      receipts: [
+        'POST /api/receipts/book/:bookId/upload',
+        'GET /api/receipts/book/:bookId',
+        'GET /api/receipts/book/:bookId/inbox',
+        'POST /api/receipts/:id/attach',
+        'POST /api/receipts/book/:bookId/extract',
+        'POST /api/receipts/:id/extract',
+        'GET /api/receipts/book/:bookId/matches',
+        'POST /api/receipts/book/:bookId/matches/accept',
+        'GET /api/receipts/book/:bookId/search',
+        'GET /api/receipts/book/:bookId/verify',
+        'GET /api/receipts/book/:bookId/archive',
+        'GET /api/receipts/:id/download',
+        'GET /api/receipts/:id/pdf',
+        'DELETE /api/receipts/:id'
+      ],
+      emails: [
+        'POST /api/emails/monthly-report',
+        'POST /api/emails/test'
+      ],
       coupons: [
         'POST /api/coupons/validate',
         'GET /api/coupons',
@@ -92,9 +165,23 @@ app.get('/api', (c) => {
         'GET /api/coupons/stats',
         'GET /api/coupons/redemptions',
         'GET /api/coupons/:id/history'
+      ],
+      team_members: [
+        'GET /api/team-members',
+        'POST /api/team-members',
+        'DELETE /api/team-members/:id'
       ]
     }
   });
 });
 
-export default app;
+// Cron trigger - materialize due recurring transactions as pending entries. Only runs when this
+// entry is deployed as a Worker with triggers.crons; Pages has no cron (see README).
+async function scheduled(_controller: ScheduledController, env: Bindings, ctx: ExecutionContext) {
+  ctx.waitUntil(materializeRecurringTransactions(env.DB, todayJst()));
+}
+
+export default {
+  fetch: app.fetch,
+  scheduled
+};
@@ -3,8 +3,28 @@ import { verifyToken } from '../utils/auth';
 
 export type Bindings = {
   DB: D1Database;
+  RECEIPTS: R2Bucket;
+  IMAGES?: ImagesBinding;
+  JWT_SECRET: string;
+  APP_URL?: string;
+  MAIL_TRANSPORT?: string;
+  MAIL_FROM?: string;
+  OCR_PROVIDER?: string;
+  GOOGLE_VISION_API_KEY?: string;
+  PDF_FONT_KEY?: string;
+  RESEND_API_KEY?: string;
+  SENDGRID_API_KEY?: string;
+  MAILCHANNELS_API_KEY?: string;
 };
 
+// Values set on the context by authMiddleware
+declare module 'hono' {
+  interface ContextVariableMap {
+    user: Record<string, any>;
+    sessionId: string;
+  }
+}
+
 export async function authMiddleware(c: Context, next: Next) {
   const authHeader = c.req.header('Authorization');
   
@@ -13,14 +33,14 @@ export async function authMiddleware(c: Context, next: Next) {
   }
 
   const token = authHeader.substring(7);
-  const payload = await verifyToken(token);
+  const db: D1Database = c.env.DB;
+  const payload = await verifyToken(db, c.env.JWT_SECRET, token);
 
   if (!payload) {
     return c.json({ error: 'Invalid token' }, 401);
   }
 
   // Fetch user from database
-  const db: D1Database = c.env.DB;
   const user = await db
     .prepare('SELECT * FROM users WHERE id = ?')
     .bind(payload.userId)
@@ -30,8 +50,9 @@ export async function authMiddleware(c: Context, next: Next) {
     return c.json({ error: 'User not found' }, 401);
   }
 
-  // Store user in context
+  // Store user and session in context
   c.set('user', user);
+  c.set('sessionId', payload.sessionId);
 
   await next();
 }
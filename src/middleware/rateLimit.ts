@@ -0,0 +1,150 @@
+import { Context, Next } from 'hono';
+
+type RateLimitOptions = {
+  name: string;
+  limit: number;
+  windowSeconds: number;
+  // Rate limit per authenticated user instead of per IP (requires authMiddleware first)
+  perUser?: boolean;
+};
+
+const LOCKOUT_THRESHOLD = 5; // failures from one IP before the account is locked for that IP
+const ACCOUNT_LOCKOUT_THRESHOLD = 20; // failures from all IPs before the account is locked everywhere
+const LOCKOUT_BASE_SECONDS = 30;
+const LOCKOUT_MAX_SECONDS = 60 * 60;
+
+// Expired rows are deleted on roughly one write in a hundred, so the tables don't keep growing
+const PRUNE_PROBABILITY = 0.01;
+const RATE_LIMIT_RETENTION_SECONDS = 24 * 60 * 60; // longer than any window in use
+const LOGIN_FAILURE_RETENTION_SECONDS = 24 * 60 * 60; // failures are forgotten after a quiet day
+
+function nowSeconds(): number {
+  return Math.floor(Date.now() / 1000);
+}
+
+// Set by Cloudflare itself; client-supplied headers like X-Forwarded-For are not trusted
+export function clientIp(c: Context): string {
+  return c.req.header('CF-Connecting-IP') || 'unknown';
+}
+
+export function tooManyRequests(c: Context, retryAfter: number) {
+  c.header('Retry-After', String(retryAfter));
+  return c.json({ error: 'Too many requests', retry_after: retryAfter }, 429);
+}
+
+async function pruneExpired(db: D1Database): Promise<void> {
+  const now = nowSeconds();
+  await db.batch([
+    db.prepare('DELETE FROM rate_limits WHERE window_start < ?').bind(now - RATE_LIMIT_RETENTION_SECONDS),
+    db
+      .prepare(
+        `DELETE FROM login_failures
+         WHERE COALESCE(locked_until, 0) < ? AND last_failed_at < datetime(?, 'unixepoch')`
+      )
+      .bind(now, now - LOGIN_FAILURE_RETENTION_SECONDS)
+  ]);
+}
+
+// Fixed-window rate limit backed by the rate_limits table
+export function rateLimit({ name, limit, windowSeconds, perUser = false }: RateLimitOptions) {
+  return async (c: Context, next: Next) => {
+    const db: D1Database = c.env.DB;
+    const user = perUser ? c.get('user') : null;
+    const key = user ? `${name}:user:${user.id}` : `${name}:ip:${clientIp(c)}`;
+
+    const now = nowSeconds();
+    const windowStart = now - (now % windowSeconds);
+
+    const row = await db
+      .prepare(
+        `INSERT INTO rate_limits (key, window_start, count) VALUES (?, ?, 1)
+         ON CONFLICT(key) DO UPDATE SET
+           count = CASE WHEN window_start = excluded.window_start THEN count + 1 ELSE 1 END,
+           window_start = excluded.window_start
+         RETURNING count`
+      )
+      .bind(key, windowStart)
+      .first();
+
+    if (Math.random() < PRUNE_PROBABILITY) {
+      await pruneExpired(db);
+    }
+
+    if (row && (row.count as number) > limit) {
+      return tooManyRequests(c, windowStart + windowSeconds - now);
+    }
+
+    await next();
+  };
+}
+
+export type LoginLockoutKey = { key: string; threshold: number };
+
+// Failed logins count per account and client IP, and per account across all IPs. The
+// account-wide counter locks later, so it takes many clients to lock the owner out, but
+// rotating IPs can't reset the count for an account.
+export function loginLockoutKeys(c: Context, email: string): LoginLockoutKey[] {
+  const account = `login:${email.trim().toLowerCase()}`;
+  return [
+    { key: `${account}:ip:${clientIp(c)}`, threshold: LOCKOUT_THRESHOLD },
+    { key: account, threshold: ACCOUNT_LOCKOUT_THRESHOLD }
+  ];
+}
+
+// Login lockout - returns seconds remaining if any of the keys is currently locked, else 0
+export async function getLoginLockout(db: D1Database, keys: LoginLockoutKey[]): Promise<number> {
+  const row = await db
+    .prepare(`SELECT MAX(locked_until) as locked_until FROM login_failures WHERE key IN (${keys.map(() => '?').join(', ')})`)
+    .bind(...keys.map(k => k.key))
+    .first();
+
+  const lockedUntil = (row?.locked_until as number) || 0;
+  return Math.max(0, lockedUntil - nowSeconds());
+}
+
+// Record a failed attempt against every key
+export async function recordLoginFailure(db: D1Database, keys: LoginLockoutKey[]): Promise<void> {
+  for (const { key, threshold } of keys) {
+    await recordKeyFailure(db, key, threshold);
+  }
+
+  if (Math.random() < PRUNE_PROBABILITY) {
+    await pruneExpired(db);
+  }
+}
+
+// From the key's threshold on, each failure doubles its lockout
+async function recordKeyFailure(db: D1Database, key: string, threshold: number): Promise<void> {
+  const row = await db
+    .prepare(
+      `INSERT INTO login_failures (key, failures) VALUES (?, 1)
+       ON CONFLICT(key) DO UPDATE SET
+         failures = failures + 1,
+         last_failed_at = CURRENT_TIMESTAMP
+       RETURNING failures`
+    )
+    .bind(key)
+    .first();
+
+  const failures = (row?.failures as number) || 0;
+  if (failures < threshold) {
+    return;
+  }
+
+  const lockSeconds = Math.min(
+    LOCKOUT_BASE_SECONDS * 2 ** (failures - threshold),
+    LOCKOUT_MAX_SECONDS
+  );
+
+  await db
+    .prepare('UPDATE login_failures SET locked_until = ? WHERE key = ?')
+    .bind(nowSeconds() + lockSeconds, key)
+    .run();
+}
+
+export async function clearLoginFailures(db: D1Database, keys: LoginLockoutKey[]): Promise<void> {
+  await db
+    .prepare(`DELETE FROM login_failures WHERE key IN (${keys.map(() => '?').join(', ')})`)
+    .bind(...keys.map(k => k.key))
+    .run();
+}
@@ -1,11 +1,132 @@
 import { Hono } from 'hono';
-import { hashPassword, verifyPassword, generateToken } from '../utils/auth';
+import { Context } from 'hono';
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  generateToken,
+  revokeSession,
+  revokeUserSessions,
+  createUserToken,
+  consumeUserToken,
+  generateChallengeToken,
+  verifyChallengeToken,
+  sha256Hex
+} from '../utils/auth';
+import { base32Encode, buildOtpauthUri, generateTotpSecret, verifyTotp } from '../utils/totp';
+import { getMailTransport, sendMail } from '../utils/mail';
+import { getEntitlements } from '../utils/entitlements';
 import { authMiddleware, type Bindings } from '../middleware/auth';
+import {
+  rateLimit,
+  loginLockoutKeys,
+  tooManyRequests,
+  getLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures
+} from '../middleware/rateLimit';
 
 const auth = new Hono<{ Bindings: Bindings }>();
 
+const PASSWORD_RESET_TTL = 60 * 60; // 1 hour
+const EMAIL_VERIFICATION_TTL = 60 * 60 * 24 * 3; // 3 days
+const MIN_PASSWORD_LENGTH = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+function appUrl(c: Context<{ Bindings: Bindings }>, query: string): string {
+  const base = c.env.APP_URL || new URL(c.req.url).origin;
+  return `${base.replace(/\/$/, '')}/?${query}`;
+}
+
+async function sendVerificationEmail(c: Context<{ Bindings: Bindings }>, userId: number, email: string) {
+  const token = await createUserToken(c.env.DB, userId, 'email_verification', EMAIL_VERIFICATION_TTL);
+  const link = appUrl(c, `verify_token=${encodeURIComponent(token)}`);
+
+  await sendMail(c.env, {
+    to: email,
+    subject: '【ZENIBO】メールアドレスの確認',
+    text: `ZENIBOにご登録いただきありがとうございます。\n\n` +
+      `以下のリンクからメールアドレスの確認を完了してください（有効期限: 3日間）。\n\n${link}\n\n` +
+      `このメールに心当たりがない場合は破棄してください。`
+  });
+}
+
+function normalizeRecoveryCode(code: string): string {
+  return code.toUpperCase().replace(/[\s-]/g, '');
+}
+
+// Replace the user's recovery codes and return the new plaintext codes (shown once)
+async function issueRecoveryCodes(db: D1Database, userId: number): Promise<string[]> {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = base32Encode(crypto.getRandomValues(new Uint8Array(7))).slice(0, 10);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const hashes = await Promise.all(codes.map(code => sha256Hex(normalizeRecoveryCode(code))));
+
+  await db.batch([
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(userId),
+    ...hashes.map(hash =>
+      db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)').bind(userId, hash)
+    )
+  ]);
+
+  return codes;
+}
+
+// Check a TOTP code (rejecting replays of an already used step) or a one-time recovery code
+async function verifySecondFactor(
+  db: D1Database,
+  user: Record<string, any>,
+  code?: string,
+  recoveryCode?: string
+): Promise<boolean> {
+  if (code) {
+    const step = await verifyTotp(user.totp_secret, code);
+    if (step === null) {
+      return false;
+    }
+    // Record the step only if it is newer than the last used one, in the same statement, so
+    // concurrent requests cannot both use the same code
+    const result = await db
+      .prepare('UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)')
+      .bind(step, user.id, step)
+      .run();
+    return result.meta.changes > 0;
+  }
+
+  if (recoveryCode) {
+    const used = await db
+      .prepare(
+        `UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+         RETURNING id`
+      )
+      .bind(user.id, await sha256Hex(normalizeRecoveryCode(recoveryCode)))
+      .first();
+    return !!used;
+  }
+
+  return false;
+}
+
+// Codes must be strings when given (a number or object would fail inside verification)
+function invalidCodeInput(...values: unknown[]): boolean {
+  return values.some(value => value !== undefined && value !== null && typeof value !== 'string');
+}
+
+function loginUser(user: Record<string, any>) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    subscription_plan: user.subscription_plan,
+    subscription_status: user.subscription_status
+  };
+}
+
 // Register
-auth.post('/register', async (c) => {
+auth.post('/register', rateLimit({ name: 'register', limit: 10, windowSeconds: 60 * 60 }), async (c) => {
   try {
     const { email, password, name } = await c.req.json();
 
@@ -38,13 +159,20 @@ auth.post('/register', async (c) => {
 
     const userId = result.meta.last_row_id;
 
+    // Send verification email (registration succeeds even if mail fails)
+    try {
+      await sendVerificationEmail(c, userId, email);
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
+
     // Generate token
-    const token = await generateToken(userId);
+    const token = await generateToken(db, c.env.JWT_SECRET, userId);
 
     return c.json({
       success: true,
       token,
-      user: { id: userId, email, name }
+      user: { id: userId, email, name, email_verified: false }
     });
   } catch (error: any) {
     console.error('Register error:', error);
@@ -53,7 +181,7 @@ auth.post('/register', async (c) => {
 });
 
 // Login
-auth.post('/login', async (c) => {
+auth.post('/login', rateLimit({ name: 'login', limit: 20, windowSeconds: 60 }), async (c) => {
   try {
     const { email, password } = await c.req.json();
 
@@ -63,6 +191,14 @@ auth.post('/login', async (c) => {
 
     const db: D1Database = c.env.DB;
 
+    // Reject while the account is locked out by repeated failures
+    const lockoutKeys = loginLockoutKeys(c, email);
+    const lockedFor = await getLoginLockout(db, lockoutKeys);
+
+    if (lockedFor > 0) {
+      return tooManyRequests(c, lockedFor);
+    }
+
     // Find user
     const user = await db
       .prepare('SELECT * FROM users WHERE email = ?')
@@ -70,6 +206,7 @@ auth.post('/login', async (c) => {
       .first();
 
     if (!user) {
+      await recordLoginFailure(db, lockoutKeys);
       return c.json({ error: 'Invalid email or password' }, 401);
     }
 
@@ -77,22 +214,38 @@ auth.post('/login', async (c) => {
     const valid = await verifyPassword(password, user.password_hash as string);
 
     if (!valid) {
+      await recordLoginFailure(db, lockoutKeys);
       return c.json({ error: 'Invalid email or password' }, 401);
     }
 
+    // Upgrade legacy hashes now that we have the plaintext
+    if (needsRehash(user.password_hash as string)) {
+      await db
+        .prepare('UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+        .bind(await hashPassword(password), user.id)
+        .run();
+    }
+
+    // With 2FA enabled, the password only earns a challenge token for the second step
+    if (user.totp_enabled_at) {
+      const challengeToken = await generateChallengeToken(c.env.JWT_SECRET, user.id as number);
+
+      return c.json({
+        success: true,
+        two_factor_required: true,
+        challenge_token: challengeToken
+      });
+    }
+
+    await clearLoginFailures(db, lockoutKeys);
+
     // Generate token
-    const token = await generateToken(user.id as number);
+    const token = await generateToken(db, c.env.JWT_SECRET, user.id as number);
 
     return c.json({
       success: true,
       token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        subscription_plan: user.subscription_plan,
-        subscription_status: user.subscription_status
-      }
+      user: loginUser(user)
     });
   } catch (error: any) {
     console.error('Login error:', error);
@@ -100,6 +253,368 @@ auth.post('/login', async (c) => {
   }
 });
 
+// Login second step - exchange challenge token + TOTP/recovery code for a session
+auth.post('/login/2fa', rateLimit({ name: 'login-2fa', limit: 20, windowSeconds: 60 }), async (c) => {
+  try {
+    const { challenge_token, code, recovery_code } = await c.req.json();
+
+    if (!challenge_token || (!code && !recovery_code)) {
+      return c.json({ error: 'Challenge token and code are required' }, 400);
+    }
+
+    if (typeof challenge_token !== 'string' || invalidCodeInput(code, recovery_code)) {
+      return c.json({ error: 'Challenge token and code must be strings' }, 400);
+    }
+
+    const db: D1Database = c.env.DB;
+
+    const userId = await verifyChallengeToken(c.env.JWT_SECRET, challenge_token);
+
+    if (!userId) {
+      return c.json({ error: 'Invalid or expired challenge' }, 401);
+    }
+
+    const user = await db
+      .prepare('SELECT * FROM users WHERE id = ?')
+      .bind(userId)
+      .first();
+
+    if (!user || !user.totp_enabled_at) {
+      return c.json({ error: 'Invalid or expired challenge' }, 401);
+    }
+
+    // Code guesses share the password step's lockout
+    const lockoutKeys = loginLockoutKeys(c, user.email as string);
+    const lockedFor = await getLoginLockout(db, lockoutKeys);
+
+    if (lockedFor > 0) {
+      return tooManyRequests(c, lockedFor);
+    }
+
+    const valid = await verifySecondFactor(db, user, code, recovery_code);
+
+    if (!valid) {
+      await recordLoginFailure(db, lockoutKeys);
+      return c.json({ error: 'Invalid authentication code' }, 401);
+    }
+
+    await clearLoginFailures(db, lockoutKeys);
+
+    const token = await generateToken(db, c.env.JWT_SECRET, userId);
+
+    return c.json({
+      success: true,
+      token,
+      user: loginUser(user)
+    });
+  } catch (error: any) {
+    console.error('2FA login error:', error);
+    return c.json({ error: error.message || 'Login failed' }, 500);
+  }
+});
+
+// Logout - revoke the session behind the current token
+auth.post('/logout', authMiddleware, async (c) => {
+  try {
+    const sessionId = c.get('sessionId');
+    const db: D1Database = c.env.DB;
+
+    await revokeSession(db, sessionId);
+
+    return c.json({ success: true, message: 'Logged out' });
+  } catch (error: any) {
+    console.error('Logout error:', error);
+    return c.json({ error: error.message || 'Logout failed' }, 500);
+  }
+});
+
+// Request password reset - always answers the same way so emails can't be probed
+auth.post('/password-reset/request', rateLimit({ name: 'password-reset', limit: 5, windowSeconds: 15 * 60 }), async (c) => {
+  try {
+    const { email } = await c.req.json();
+
+    if (!email) {
+      return c.json({ error: 'Email is required' }, 400);
+    }
+
+    const db: D1Database = c.env.DB;
+
+    const user = await db
+      .prepare('SELECT id, email FROM users WHERE email = ?')
+      .bind(email)
+      .first();
+
+    if (user) {
+      const token = await createUserToken(db, user.id as number, 'password_reset', PASSWORD_RESET_TTL);
+      const link = appUrl(c, `reset_token=${encodeURIComponent(token)}`);
+
+      // A send failure must not change the answer, or it would reveal the account exists
+      try {
+        await sendMail(c.env, {
+          to: user.email as string,
+          subject: '【ZENIBO】パスワード再設定のご案内',
+          text: `パスワード再設定のリクエストを受け付けました。\n\n` +
+            `以下のリンクから新しいパスワードを設定してください（有効期限: 1時間）。\n\n${link}\n\n` +
+            `このメールに心当たりがない場合は破棄してください。パスワードは変更されません。`
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    return c.json({
+      success: true,
+      message: 'If the email is registered, a password reset link has been sent'
+    });
+  } catch (error: any) {
+    console.error('Password reset request error:', error);
+    return c.json({ error: error.message || 'Password reset request failed' }, 500);
+  }
+});
+
+// Confirm password reset
+auth.post('/password-reset/confirm', async (c) => {
+  try {
+    const { token, password } = await c.req.json();
+
+    if (!token || !password) {
+      return c.json({ error: 'Token and password are required' }, 400);
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return c.json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` }, 400);
+    }
+
+    const db: D1Database = c.env.DB;
+
+    const userId = await consumeUserToken(db, token, 'password_reset');
+
+    if (!userId) {
+      return c.json({ error: 'Invalid or expired token' }, 400);
+    }
+
+    // The reset link proves ownership of the address as well
+    await db
+      .prepare(
+        `UPDATE users
+         SET password_hash = ?,
+             email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`
+      )
+      .bind(await hashPassword(password), userId)
+      .run();
+
+    // Sign out everywhere after a password change
+    await revokeUserSessions(db, userId);
+
+    return c.json({ success: true, message: 'Password has been reset' });
+  } catch (error: any) {
+    console.error('Password reset confirm error:', error);
+    return c.json({ error: error.message || 'Password reset failed' }, 500);
+  }
+});
+
+// Verify email address
+auth.get('/verify-email', async (c) => {
+  try {
+    const token = c.req.query('token');
+
+    if (!token) {
+      return c.json({ error: 'Token is required' }, 400);
+    }
+
+    const db: D1Database = c.env.DB;
+
+    const userId = await consumeUserToken(db, token, 'email_verification');
+
+    if (!userId) {
+      return c.json({ error: 'Invalid or expired token' }, 400);
+    }
+
+    await db
+      .prepare(
+        `UPDATE users
+         SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`
+      )
+      .bind(userId)
+      .run();
+
+    return c.json({ success: true, message: 'Email verified' });
+  } catch (error: any) {
+    console.error('Verify email error:', error);
+    return c.json({ error: error.message || 'Email verification failed' }, 500);
+  }
+});
+
+// Resend verification email
+auth.post('/verify-email/resend', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+
+    if (user.email_verified_at) {
+      return c.json({ error: 'Email already verified' }, 400);
+    }
+    if (!getMailTransport(c.env)) {
+      return c.json({ error: 'Mail is not configured' }, 503);
+    }
+
+    await sendVerificationEmail(c, user.id, user.email);
+
+    return c.json({ success: true, message: 'Verification email sent' });
+  } catch (error: any) {
+    console.error('Resend verification error:', error);
+    return c.json({ error: error.message || 'Failed to send verification email' }, 500);
+  }
+});
+
+// Start 2FA enrollment - stores a pending secret and returns the otpauth URI
+auth.post('/2fa/setup', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const db: D1Database = c.env.DB;
+
+    if (user.totp_enabled_at) {
+      return c.json({ error: 'Two-factor authentication is already enabled' }, 400);
+    }
+
+    const secret = generateTotpSecret();
+
+    await db
+      .prepare('UPDATE users SET totp_secret = ?, totp_last_step = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .bind(secret, user.id)
+      .run();
+
+    return c.json({
+      success: true,
+      secret,
+      otpauth_uri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error: any) {
+    console.error('2FA setup error:', error);
+    return c.json({ error: error.message || '2FA setup failed' }, 500);
+  }
+});
+
+// Confirm 2FA enrollment with the first code from the authenticator app
+auth.post('/2fa/confirm', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const { code } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (user.totp_enabled_at) {
+      return c.json({ error: 'Two-factor authentication is already enabled' }, 400);
+    }
+
+    if (!user.totp_secret) {
+      return c.json({ error: 'Two-factor setup has not been started' }, 400);
+    }
+
+    if (!code || typeof code !== 'string') {
+      return c.json({ error: 'Code is required' }, 400);
+    }
+
+    const step = await verifyTotp(user.totp_secret, code);
+
+    if (step === null) {
+      return c.json({ error: 'Invalid authentication code' }, 400);
+    }
+
+    await db
+      .prepare(
+        `UPDATE users
+         SET totp_enabled_at = CURRENT_TIMESTAMP,
+             totp_last_step = ?,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`
+      )
+      .bind(step, user.id)
+      .run();
+
+    const recoveryCodes = await issueRecoveryCodes(db, user.id);
+
+    return c.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (error: any) {
+    console.error('2FA confirm error:', error);
+    return c.json({ error: error.message || '2FA confirmation failed' }, 500);
+  }
+});
+
+// Regenerate recovery codes (invalidates the previous set)
+auth.post('/2fa/recovery-codes', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const { code } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (!user.totp_enabled_at) {
+      return c.json({ error: 'Two-factor authentication is not enabled' }, 400);
+    }
+
+    if (invalidCodeInput(code)) {
+      return c.json({ error: 'Code must be a string' }, 400);
+    }
+
+    if (!(await verifySecondFactor(db, user, code))) {
+      return c.json({ error: 'Invalid authentication code' }, 400);
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(db, user.id);
+
+    return c.json({ success: true, recovery_codes: recoveryCodes });
+  } catch (error: any) {
+    console.error('Recovery codes error:', error);
+    return c.json({ error: error.message || 'Failed to regenerate recovery codes' }, 500);
+  }
+});
+
+// Disable 2FA - requires the password and a current code or recovery code
+auth.post('/2fa/disable', authMiddleware, async (c) => {
+  try {
+    const user = c.get('user');
+    const { password, code, recovery_code } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (!user.totp_enabled_at) {
+      return c.json({ error: 'Two-factor authentication is not enabled' }, 400);
+    }
+
+    if (!password || !(await verifyPassword(password, user.password_hash))) {
+      return c.json({ error: 'Invalid password' }, 400);
+    }
+
+    if (invalidCodeInput(code, recovery_code)) {
+      return c.json({ error: 'Code must be a string' }, 400);
+    }
+
+    if (!(await verifySecondFactor(db, user, code, recovery_code))) {
+      return c.json({ error: 'Invalid authentication code' }, 400);
+    }
+
+    await db.batch([
+      db
+        .prepare(
+          `UPDATE users
+           SET totp_secret = NULL,
+               totp_enabled_at = NULL,
+               totp_last_step = NULL,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        )
+        .bind(user.id),
+      db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').bind(user.id)
+    ]);
+
+    return c.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error: any) {
+    console.error('2FA disable error:', error);
+    return c.json({ error: error.message || 'Failed to disable 2FA' }, 500);
+  }
+});
+
 // Get current user
 auth.get('/me', authMiddleware, async (c) => {
   try {
@@ -110,6 +625,8 @@ auth.get('/me', authMiddleware, async (c) => {
         id: user.id,
         email: user.email,
         name: user.name,
+        email_verified: !!user.email_verified_at,
+        two_factor_enabled: !!user.totp_enabled_at,
         subscription_plan: user.subscription_plan || 'free',
         subscription_status: user.subscription_status || 'inactive',
         subscription_start_date: user.subscription_start_date,
@@ -120,7 +637,8 @@ auth.get('/me', authMiddleware, async (c) => {
         status: user.subscription_status || 'inactive',
         startDate: user.subscription_start_date,
         endDate: user.subscription_end_date
-      }
+      },
+      entitlements: getEntitlements(user)
     });
   } catch (error: any) {
     console.error('Get user error:', error);
@@ -1,12 +1,22 @@
 import { Hono } from 'hono';
 import { authMiddleware, type Bindings } from '../middleware/auth';
 import { getCurrentUserId } from '../utils/auth';
+import { INCOME_AMOUNT_SQL, EXPENSE_AMOUNT_SQL } from '../utils/ledger';
+import { isPeriod, periodRange, findClosedPeriod, periodClosedError } from '../utils/periods';
+import { revisionStatement } from '../utils/history';
+import { isStartMonth, fiscalYearOf, fiscalYearRange, openingBalanceAt } from '../utils/fiscalYears';
+import { todayJst } from '../utils/recurring';
+import { currentPlan, PLAN_ENTITLEMENTS, planLimitError } from '../utils/entitlements';
+import { deleteReceiptObjects, receiptObjectKeys } from '../utils/receipts';
 
 const books = new Hono<{ Bindings: Bindings }>();
 
 // Apply auth middleware to all routes
 books.use('*', authMiddleware);
 
+// Upper bound on months closed by one request
+const MAX_CLOSE_MONTHS = 120;
+
 // Get all books for current user
 books.get('/', async (c) => {
   try {
@@ -48,24 +58,627 @@ books.get('/:id', async (c) => {
   }
 });
 
+// Balance as of a date (inclusive); defaults to all transactions
+books.get('/:id/balance', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const asOf = c.req.query('as_of');
+    const db: D1Database = c.env.DB;
+
+    if (asOf && !/^\d{4}-\d{2}-\d{2}$/.test(asOf)) {
+      return c.json({ error: 'as_of must be YYYY-MM-DD' }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id, opening_balance FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const totals = await db
+      .prepare(
+        `SELECT COALESCE(SUM(${INCOME_AMOUNT_SQL}), 0) as income,
+                COALESCE(SUM(${EXPENSE_AMOUNT_SQL}), 0) as expense
+         FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND (? IS NULL OR date <= ?)`
+      )
+      .bind(bookId, asOf || null, asOf || null)
+      .first();
+
+    const openingBalance = (book.opening_balance as number) || 0;
+    const income = (totals?.income as number) || 0;
+    const expense = (totals?.expense as number) || 0;
+
+    return c.json({
+      book_id: book.id,
+      as_of: asOf || null,
+      opening_balance: openingBalance,
+      income,
+      expense,
+      balance: openingBalance + income - expense
+    });
+  } catch (error: any) {
+    console.error('Get balance error:', error);
+    return c.json({ error: error.message || 'Failed to get balance' }, 500);
+  }
+});
+
+// Period summary: opening balance, income, expense and closing balance per month or year
+// Query: from, to (YYYY-MM, default first/last month with transactions), group (month | year)
+books.get('/:id/summary', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const group = c.req.query('group') || 'month';
+    let from = c.req.query('from');
+    let to = c.req.query('to');
+    const db: D1Database = c.env.DB;
+
+    if (group !== 'month' && group !== 'year') {
+      return c.json({ error: "group must be 'month' or 'year'" }, 400);
+    }
+
+    const monthPattern = /^\d{4}-\d{2}$/;
+    if ((from && !monthPattern.test(from)) || (to && !monthPattern.test(to))) {
+      return c.json({ error: 'from and to must be YYYY-MM' }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id, opening_balance FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    if (!from || !to) {
+      const range = await db
+        .prepare(
+          `SELECT MIN(substr(date, 1, 7)) as first, MAX(substr(date, 1, 7)) as last
+           FROM transactions WHERE book_id = ? AND deleted_at IS NULL`
+        )
+        .bind(bookId)
+        .first();
+      from = from || (range?.first as string);
+      to = to || (range?.last as string);
+    }
+
+    if (!from || !to) {
+      return c.json({ book_id: book.id, group, from: null, to: null, periods: [] });
+    }
+
+    if (from > to) {
+      return c.json({ error: 'from must not be after to' }, 400);
+    }
+
+    const keyLength = group === 'month' ? 7 : 4;
+    const rows = await db
+      .prepare(
+        `SELECT substr(date, 1, ${keyLength}) as period,
+                COUNT(CASE WHEN status = 'confirmed' THEN 1 END) as count,
+                COALESCE(SUM(${INCOME_AMOUNT_SQL}), 0) as income,
+                COALESCE(SUM(${EXPENSE_AMOUNT_SQL}), 0) as expense
+         FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND substr(date, 1, 7) BETWEEN ? AND ?
+         GROUP BY period
+         ORDER BY period`
+      )
+      .bind(bookId, from, to)
+      .all();
+
+    const byPeriod = new Map((rows.results || []).map((row: any) => [row.period, row]));
+
+    // Every period in range, including empty ones, chained opening -> closing
+    const keys: string[] = [];
+    if (group === 'month') {
+      keys.push(...periodRange(from, to));
+    } else {
+      for (let year = Number(from.slice(0, 4)); year <= Number(to.slice(0, 4)); year++) {
+        keys.push(String(year));
+      }
+    }
+
+    const closed = await db
+      .prepare('SELECT period FROM closed_periods WHERE book_id = ? AND reopened_at IS NULL')
+      .bind(bookId)
+      .all();
+    const closedPeriods = new Set((closed.results || []).map((row: any) => row.period as string));
+
+    // Balance carried into the first period
+    let balance = await openingBalanceAt(db, bookId, (book.opening_balance as number) || 0, `${from}-01`);
+    const periods = keys.map(period => {
+      const row: any = byPeriod.get(period) || { count: 0, income: 0, expense: 0 };
+      const openingBalance = balance;
+      balance = openingBalance + row.income - row.expense;
+      return {
+        period,
+        count: row.count,
+        opening_balance: openingBalance,
+        income: row.income,
+        expense: row.expense,
+        closing_balance: balance,
+        // A year counts as closed once all of its months are
+        closed: group === 'month'
+          ? closedPeriods.has(period)
+          : periodRange(`${period}-01`, `${period}-12`).every(month => closedPeriods.has(month))
+      };
+    });
+
+    return c.json({ book_id: book.id, group, from, to, periods });
+  } catch (error: any) {
+    console.error('Get summary error:', error);
+    return c.json({ error: error.message || 'Failed to get summary' }, 500);
+  }
+});
+
+// Get closing history (月次締め) of a book, newest month first - reopened rows included
+books.get('/:id/closed-periods', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const result = await db
+      .prepare('SELECT * FROM closed_periods WHERE book_id = ? ORDER BY period DESC, id DESC')
+      .bind(bookId)
+      .all();
+
+    return c.json({ closed_periods: result.results || [] });
+  } catch (error: any) {
+    console.error('Get closed periods error:', error);
+    return c.json({ error: error.message || 'Failed to get closed periods' }, 500);
+  }
+});
+
+// Close one month (period) or a range (from, to) - YYYY-MM. Transactions in closed months
+// can no longer be created, changed or deleted. Months already closed are left as they are.
+books.post('/:id/close-period', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const body = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    const from = body.period ?? body.from;
+    const to = body.period ?? body.to;
+    if (!isPeriod(from) || !isPeriod(to)) {
+      return c.json({ error: 'period (or from and to) must be YYYY-MM' }, 400);
+    }
+    if (from > to) {
+      return c.json({ error: 'from must not be after to' }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const periods = periodRange(from, to);
+    if (periods.length > MAX_CLOSE_MONTHS) {
+      return c.json({ error: `Cannot close more than ${MAX_CLOSE_MONTHS} months at once` }, 400);
+    }
+
+    const results = await db.batch(
+      periods.map(period =>
+        db
+          .prepare(
+            `INSERT INTO closed_periods (book_id, period, closed_by)
+             SELECT ?, ?, ?
+             WHERE NOT EXISTS (SELECT 1 FROM closed_periods WHERE book_id = ? AND period = ? AND reopened_at IS NULL)`
+          )
+          .bind(bookId, period, userId, bookId, period)
+      )
+    );
+
+    return c.json({
+      success: true,
+      closed: periods.filter((_, i) => (results[i].meta.changes || 0) > 0)
+    });
+  } catch (error: any) {
+    console.error('Close period error:', error);
+    return c.json({ error: error.message || 'Failed to close period' }, 500);
+  }
+});
+
+// Reopen a closed month so its transactions can be corrected
+// Body: period (YYYY-MM), reason (required, kept with the closing record)
+books.post('/:id/reopen-period', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const { period, reason } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (!isPeriod(period)) {
+      return c.json({ error: 'period must be YYYY-MM' }, 400);
+    }
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      return c.json({ error: 'A reason is required to reopen a closed period' }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    // Months of a closed fiscal year are reopened together with the year
+    const fiscalYear = await db
+      .prepare(
+        `SELECT fiscal_year FROM fiscal_years
+         WHERE book_id = ? AND reopened_at IS NULL AND start_date <= ? AND end_date >= ?`
+      )
+      .bind(bookId, `${period}-01`, `${period}-01`)
+      .first();
+
+    if (fiscalYear) {
+      return c.json({ error: `Fiscal year ${fiscalYear.fiscal_year} is closed. Reopen the fiscal year instead.` }, 409);
+    }
+
+    const result = await db
+      .prepare(
+        `UPDATE closed_periods
+         SET reopened_at = CURRENT_TIMESTAMP, reopened_by = ?, reopen_reason = ?
+         WHERE book_id = ? AND period = ? AND reopened_at IS NULL`
+      )
+      .bind(userId, reason.trim(), bookId, period)
+      .run();
+
+    if (!result.meta.changes) {
+      return c.json({ error: 'Period is not closed' }, 404);
+    }
+
+    return c.json({ success: true, period });
+  } catch (error: any) {
+    console.error('Reopen period error:', error);
+    return c.json({ error: error.message || 'Failed to reopen period' }, 500);
+  }
+});
+
+// Fiscal years of a book, oldest first - from the year of the first transaction to the
+// current one. Closed years report their recorded figures; each year's opening balance is
+// the previous year's closing balance.
+books.get('/:id/fiscal-years', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id, opening_balance, fiscal_year_start_month FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const startMonth = book.fiscal_year_start_month as number;
+    const currentYear = fiscalYearOf(todayJst(), startMonth);
+
+    const [range, closings, months] = await db.batch([
+      db
+        .prepare('SELECT MIN(date) as first, MAX(date) as last FROM transactions WHERE book_id = ? AND deleted_at IS NULL')
+        .bind(bookId),
+      db
+        .prepare('SELECT * FROM fiscal_years WHERE book_id = ? AND reopened_at IS NULL')
+        .bind(bookId),
+      db
+        .prepare(
+          `SELECT substr(date, 1, 7) as period,
+                  COALESCE(SUM(${INCOME_AMOUNT_SQL}), 0) as income,
+                  COALESCE(SUM(${EXPENSE_AMOUNT_SQL}), 0) as expense
+           FROM transactions WHERE book_id = ? AND deleted_at IS NULL
+           GROUP BY period`
+        )
+        .bind(bookId)
+    ]);
+
+    const closedYears = new Map((closings.results || []).map((row: any) => [row.fiscal_year as number, row]));
+
+    const bounds: any = range.results?.[0] || {};
+    const firstYear = Math.min(
+      currentYear,
+      ...closedYears.keys(),
+      ...(bounds.first ? [fiscalYearOf(bounds.first, startMonth)] : [])
+    );
+    const lastYear = bounds.last ? Math.max(fiscalYearOf(bounds.last, startMonth), currentYear) : currentYear;
+    const byPeriod = new Map((months.results || []).map((row: any) => [row.period as string, row]));
+
+    let balance = (book.opening_balance as number) || 0;
+    const fiscalYears = [];
+    for (let year = firstYear; year <= lastYear; year++) {
+      const { start_date, end_date, periods } = fiscalYearRange(year, startMonth);
+      const closing: any = closedYears.get(year);
+
+      if (closing) {
+        balance = closing.closing_balance;
+        fiscalYears.push({
+          fiscal_year: year,
+          start_date,
+          end_date,
+          opening_balance: closing.opening_balance,
+          income: closing.income,
+          expense: closing.expense,
+          closing_balance: closing.closing_balance,
+          closed: true,
+          closed_at: closing.closed_at
+        });
+        continue;
+      }
+
+      const income = periods.reduce((sum, period) => sum + ((byPeriod.get(period) as any)?.income || 0), 0);
+      const expense = periods.reduce((sum, period) => sum + ((byPeriod.get(period) as any)?.expense || 0), 0);
+      const openingBalance = balance;
+      balance = openingBalance + income - expense;
+      fiscalYears.push({
+        fiscal_year: year,
+        start_date,
+        end_date,
+        opening_balance: openingBalance,
+        income,
+        expense,
+        closing_balance: balance,
+        closed: false,
+        closed_at: null
+      });
+    }
+
+    return c.json({
+      book_id: book.id,
+      fiscal_year_start_month: startMonth,
+      current_fiscal_year: currentYear,
+      fiscal_years: fiscalYears
+    });
+  } catch (error: any) {
+    console.error('Get fiscal years error:', error);
+    return c.json({ error: error.message || 'Failed to get fiscal years' }, 500);
+  }
+});
+
+// Year-end close (年度締め): record the year's closing balance, which is carried forward as
+// the next year's opening balance, and lock every month of the year. Years close in order,
+// only after they have ended and once none of their transactions are pending.
+books.post('/:id/fiscal-years/:year/close', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const year = Number(c.req.param('year'));
+    const db: D1Database = c.env.DB;
+
+    if (!Number.isInteger(year) || year < 1900 || year > 9999) {
+      return c.json({ error: 'Invalid fiscal year' }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id, opening_balance, fiscal_year_start_month FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const { start_date, end_date, periods } = fiscalYearRange(year, book.fiscal_year_start_month as number);
+
+    if (end_date >= todayJst()) {
+      return c.json({ error: `Fiscal year ${year} has not ended yet` }, 400);
+    }
+
+    const [existing, previous, pending] = await db.batch([
+      db
+        .prepare('SELECT id FROM fiscal_years WHERE book_id = ? AND fiscal_year = ? AND reopened_at IS NULL')
+        .bind(bookId, year),
+      // An earlier year with transactions must be closed first, so balances carry forward in order
+      db
+        .prepare(
+          `SELECT
+             EXISTS (SELECT 1 FROM transactions WHERE book_id = ? AND deleted_at IS NULL AND date < ?) as has_earlier,
+             EXISTS (SELECT 1 FROM fiscal_years WHERE book_id = ? AND fiscal_year = ? AND reopened_at IS NULL) as closed`
+        )
+        .bind(bookId, start_date, bookId, year - 1),
+      db
+        .prepare(
+          `SELECT COUNT(*) as count FROM transactions
+           WHERE book_id = ? AND deleted_at IS NULL AND status = 'pending' AND date BETWEEN ? AND ?`
+        )
+        .bind(bookId, start_date, end_date)
+    ]);
+
+    if ((existing.results || []).length > 0) {
+      return c.json({ error: `Fiscal year ${year} is already closed` }, 409);
+    }
+
+    const order: any = previous.results?.[0];
+    if (order?.has_earlier && !order?.closed) {
+      return c.json({ error: `Close fiscal year ${year - 1} first` }, 409);
+    }
+
+    const pendingCount = (pending.results?.[0] as any)?.count || 0;
+    if (pendingCount > 0) {
+      return c.json({ error: `Confirm or delete the ${pendingCount} pending transactions of fiscal year ${year} first` }, 409);
+    }
+
+    const openingBalance = await openingBalanceAt(db, bookId, (book.opening_balance as number) || 0, start_date);
+    const totals = await db
+      .prepare(
+        `SELECT COALESCE(SUM(${INCOME_AMOUNT_SQL}), 0) as income,
+                COALESCE(SUM(${EXPENSE_AMOUNT_SQL}), 0) as expense
+         FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND date BETWEEN ? AND ?`
+      )
+      .bind(bookId, start_date, end_date)
+      .first();
+
+    const income = (totals?.income as number) || 0;
+    const expense = (totals?.expense as number) || 0;
+    const closingBalance = openingBalance + income - expense;
+
+    await db.batch([
+      db
+        .prepare(
+          `INSERT INTO fiscal_years
+           (book_id, fiscal_year, start_date, end_date, opening_balance, income, expense, closing_balance, closed_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(bookId, year, start_date, end_date, openingBalance, income, expense, closingBalance, userId),
+      ...periods.map(period =>
+        db
+          .prepare(
+            `INSERT INTO closed_periods (book_id, period, closed_by)
+             SELECT ?, ?, ?
+             WHERE NOT EXISTS (SELECT 1 FROM closed_periods WHERE book_id = ? AND period = ? AND reopened_at IS NULL)`
+          )
+          .bind(bookId, period, userId, bookId, period)
+      )
+    ]);
+
+    const fiscalYear = await db
+      .prepare('SELECT * FROM fiscal_years WHERE book_id = ? AND fiscal_year = ? AND reopened_at IS NULL')
+      .bind(bookId, year)
+      .first();
+
+    return c.json({ success: true, fiscal_year: fiscalYear });
+  } catch (error: any) {
+    console.error('Close fiscal year error:', error);
+    return c.json({ error: error.message || 'Failed to close fiscal year' }, 500);
+  }
+});
+
+// Reopen a closed fiscal year and all of its months. Only the latest closed year can be
+// reopened, since later years carry its closing balance forward.
+// Body: reason (required)
+books.post('/:id/fiscal-years/:year/reopen', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('id');
+    const year = Number(c.req.param('year'));
+    const { reason } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (typeof reason !== 'string' || reason.trim() === '') {
+      return c.json({ error: 'A reason is required to reopen a fiscal year' }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const fiscalYear = await db
+      .prepare('SELECT * FROM fiscal_years WHERE book_id = ? AND fiscal_year = ? AND reopened_at IS NULL')
+      .bind(bookId, year)
+      .first();
+
+    if (!fiscalYear) {
+      return c.json({ error: 'Fiscal year is not closed' }, 404);
+    }
+
+    const later = await db
+      .prepare('SELECT MAX(fiscal_year) as fiscal_year FROM fiscal_years WHERE book_id = ? AND fiscal_year > ? AND reopened_at IS NULL')
+      .bind(bookId, year)
+      .first();
+
+    if (later?.fiscal_year) {
+      return c.json({ error: `Reopen fiscal year ${later.fiscal_year} first` }, 409);
+    }
+
+    await db.batch([
+      db
+        .prepare(
+          `UPDATE fiscal_years
+           SET reopened_at = CURRENT_TIMESTAMP, reopened_by = ?, reopen_reason = ?
+           WHERE id = ?`
+        )
+        .bind(userId, reason.trim(), fiscalYear.id),
+      db
+        .prepare(
+          `UPDATE closed_periods
+           SET reopened_at = CURRENT_TIMESTAMP, reopened_by = ?, reopen_reason = ?
+           WHERE book_id = ? AND period BETWEEN ? AND ? AND reopened_at IS NULL`
+        )
+        .bind(
+          userId,
+          reason.trim(),
+          bookId,
+          (fiscalYear.start_date as string).slice(0, 7),
+          (fiscalYear.end_date as string).slice(0, 7)
+        )
+    ]);
+
+    return c.json({ success: true, fiscal_year: year });
+  } catch (error: any) {
+    console.error('Reopen fiscal year error:', error);
+    return c.json({ error: error.message || 'Failed to reopen fiscal year' }, 500);
+  }
+});
+
 // Create book
 books.post('/', async (c) => {
   try {
     const userId = getCurrentUserId(c);
-    const { business_name, account_name, opening_balance = 0, export_format = 'mf' } = await c.req.json();
+    const {
+      business_name,
+      account_name,
+      opening_balance = 0,
+      export_format = 'mf',
+      fiscal_year_start_month = 1
+    } = await c.req.json();
 
     if (!business_name || !account_name) {
       return c.json({ error: 'Business name and account name are required' }, 400);
     }
 
+    if (!isStartMonth(Number(fiscal_year_start_month))) {
+      return c.json({ error: 'fiscal_year_start_month must be 1-12' }, 400);
+    }
+
     const db: D1Database = c.env.DB;
 
+    const plan = currentPlan(c.get('user'));
+    const allowed = PLAN_ENTITLEMENTS[plan].books;
+    if (allowed !== null) {
+      const owned = await db
+        .prepare('SELECT COUNT(*) as count FROM books WHERE user_id = ?')
+        .bind(userId)
+        .first();
+      const current = (owned?.count as number) || 0;
+      if (current >= allowed) {
+        return c.json(planLimitError(plan, 'books', { allowed, current }), 403);
+      }
+    }
+
     const result = await db
       .prepare(
-        `INSERT INTO books (user_id, business_name, account_name, opening_balance, export_format) 
-         VALUES (?, ?, ?, ?, ?)`
+        `INSERT INTO books (user_id, business_name, account_name, opening_balance, export_format, fiscal_year_start_month) 
+         VALUES (?, ?, ?, ?, ?, ?)`
       )
-      .bind(userId, business_name, account_name, opening_balance, export_format)
+      .bind(userId, business_name, account_name, opening_balance, export_format, Number(fiscal_year_start_month))
       .run();
 
     const bookId = result.meta.last_row_id;
@@ -93,7 +706,11 @@ books.put('/:id', async (c) => {
 
     // Verify ownership
     const book = await db
-      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .prepare(
+        `SELECT id, opening_balance, fiscal_year_start_month,
+                EXISTS (SELECT 1 FROM fiscal_years WHERE book_id = books.id AND reopened_at IS NULL) as has_closed_year
+         FROM books WHERE id = ? AND user_id = ?`
+      )
       .bind(bookId, userId)
       .first();
 
@@ -101,6 +718,23 @@ books.put('/:id', async (c) => {
       return c.json({ error: 'Book not found' }, 404);
     }
 
+    if (updates.fiscal_year_start_month !== undefined && !isStartMonth(Number(updates.fiscal_year_start_month))) {
+      return c.json({ error: 'fiscal_year_start_month must be 1-12' }, 400);
+    }
+
+    // Closed fiscal years carry the opening balance forward under their own year boundaries
+    if (book.has_closed_year) {
+      if (updates.opening_balance !== undefined && Number(updates.opening_balance) !== ((book.opening_balance as number) || 0)) {
+        return c.json({ error: 'Opening balance cannot be changed while a fiscal year is closed' }, 409);
+      }
+      if (
+        updates.fiscal_year_start_month !== undefined &&
+        Number(updates.fiscal_year_start_month) !== book.fiscal_year_start_month
+      ) {
+        return c.json({ error: 'Fiscal year start month cannot be changed while a fiscal year is closed' }, 409);
+      }
+    }
+
     const setParts: string[] = [];
     const values: any[] = [];
 
@@ -120,6 +754,10 @@ books.put('/:id', async (c) => {
       setParts.push('export_format = ?');
       values.push(updates.export_format);
     }
+    if (updates.fiscal_year_start_month !== undefined) {
+      setParts.push('fiscal_year_start_month = ?');
+      values.push(Number(updates.fiscal_year_start_month));
+    }
 
     if (setParts.length === 0) {
       return c.json({ error: 'No valid updates provided' }, 400);
@@ -162,10 +800,72 @@ books.delete('/:id', async (c) => {
       return c.json({ error: 'Book not found' }, 404);
     }
 
-    await db
-      .prepare('DELETE FROM books WHERE id = ?')
+    // Closed months and years are final, so a book with any cannot be deleted
+    const closed = await db
+      .prepare(
+        `SELECT
+           (SELECT MIN(period) FROM closed_periods WHERE book_id = ? AND reopened_at IS NULL) as period,
+           (SELECT MIN(fiscal_year) FROM fiscal_years WHERE book_id = ? AND reopened_at IS NULL) as fiscal_year`
+      )
+      .bind(bookId, bookId)
+      .first();
+
+    if (closed?.fiscal_year) {
+      return c.json({ error: `Fiscal year ${closed.fiscal_year} is closed. A book with closed years cannot be deleted.` }, 409);
+    }
+    if (closed?.period) {
+      return c.json(periodClosedError({ book_id: Number(bookId), period: closed.period as string }), 409);
+    }
+
+    // Archived receipts (in the hash chain) are kept for the retention period together with
+    // their originals, deleted or not, so their book stays too
+    const archived = await db
+      .prepare('SELECT COUNT(*) as count FROM receipts WHERE book_id = ? AND chain_seq IS NOT NULL')
       .bind(bookId)
-      .run();
+      .first();
+
+    if (archived?.count) {
+      return c.json({ error: `The book has ${archived.count} archived receipts. A book with archived receipts cannot be deleted.` }, 409);
+    }
+
+    // Transfers with other books keep their other half as a plain transaction. That changes
+    // rows of the other book, so they must be in open months and get a revision.
+    const counterparts = await db
+      .prepare(
+        `SELECT id, book_id, date, transfer_id FROM transactions
+         WHERE book_id != ? AND transfer_id IN (SELECT transfer_id FROM transactions WHERE book_id = ? AND transfer_id IS NOT NULL)`
+      )
+      .bind(bookId, bookId)
+      .all();
+    const halves = (counterparts.results || []) as any[];
+
+    const closedCounterpart = await findClosedPeriod(db, halves);
+    if (closedCounterpart) {
+      return c.json(periodClosedError(closedCounterpart), 409);
+    }
+
+    const receiptFiles = await db
+      .prepare('SELECT file_path, thumbnail_path, display_path FROM receipts WHERE book_id = ?')
+      .bind(bookId)
+      .all();
+
+    await db.batch([
+      ...halves.flatMap(half => [
+        db
+          .prepare('UPDATE transactions SET transfer_id = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .bind(half.id),
+        revisionStatement(db, 't.id = ?', [half.id], userId, 'update', { transfer_id: [half.transfer_id, null] })
+      ]),
+      db.prepare('DELETE FROM books WHERE id = ?').bind(bookId)
+    ]);
+
+    // Receipt rows (all from before the archive) went with the book (ON DELETE CASCADE); remove
+    // their files too. The book is gone either way, so a failure here only leaves stray objects.
+    try {
+      await deleteReceiptObjects(c.env.RECEIPTS, (receiptFiles.results || []).flatMap(row => receiptObjectKeys(row)));
+    } catch (filesError) {
+      console.error('Delete book receipt files error:', filesError);
+    }
 
     return c.json({ success: true, message: 'Book deleted successfully' });
   } catch (error: any) {
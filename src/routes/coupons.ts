@@ -1,13 +1,14 @@
 import { Hono } from 'hono';
 import { authMiddleware, type Bindings } from '../middleware/auth';
 import { getCurrentUserId } from '../utils/auth';
+import { rateLimit } from '../middleware/rateLimit';
 
 const coupons = new Hono<{ Bindings: Bindings }>();
 
 coupons.use('*', authMiddleware);
 
 // Validate coupon
-coupons.post('/validate', async (c) => {
+coupons.post('/validate', rateLimit({ name: 'coupon-validate', limit: 10, windowSeconds: 60, perUser: true }), async (c) => {
   try {
     const { code, plan } = await c.req.json();
     const db: D1Database = c.env.DB;
@@ -1,40 +1,192 @@
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import { authMiddleware, type Bindings } from '../middleware/auth';
+import { rateLimit } from '../middleware/rateLimit';
+import { base64Encode, getMailTransport } from '../utils/mail';
 
 const emails = new Hono<{ Bindings: Bindings }>();
 
+const MAX_CSV_LENGTH = 5 * 1024 * 1024;
+const MAX_OUTBOX_MESSAGES = 100;
+
+// The capture outbox is only readable on a local dev server; anywhere else it does not exist
+function outboxAvailable(c: Context<{ Bindings: Bindings }>): boolean {
+  const hostname = new URL(c.req.url).hostname;
+  return c.env.MAIL_TRANSPORT === 'capture' && ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+}
+
+function outboxMessage(row: Record<string, any>, withContent: boolean) {
+  const attachments: { filename: string; content: string; contentType: string }[] = row.attachments
+    ? JSON.parse(row.attachments)
+    : [];
+  return {
+    ...row,
+    attachments: attachments.map(a => ({
+      filename: a.filename,
+      contentType: a.contentType,
+      size: atob(a.content).length,
+      ...(withContent ? { content: a.content } : {})
+    }))
+  };
+}
+
+// Captured mail (dev only). Registered before authMiddleware so verification and password
+// reset mail can be read while logged out.
+emails.get('/outbox', async (c) => {
+  if (!outboxAvailable(c)) {
+    return c.json({ error: 'Not found' }, 404);
+  }
+
+  try {
+    const to = c.req.query('to');
+    const { results } = await c.env.DB
+      .prepare(
+        `SELECT * FROM mail_outbox ${to ? 'WHERE to_address = ? COLLATE NOCASE' : ''}
+         ORDER BY id DESC LIMIT ${MAX_OUTBOX_MESSAGES}`
+      )
+      .bind(...(to ? [to] : []))
+      .all();
+
+    return c.json(results.map(row => outboxMessage(row, false)));
+  } catch (error: any) {
+    console.error('Get outbox error:', error);
+    return c.json({ error: error.message || 'Failed to get outbox' }, 500);
+  }
+});
+
+emails.get('/outbox/:id', async (c) => {
+  if (!outboxAvailable(c)) {
+    return c.json({ error: 'Not found' }, 404);
+  }
+
+  try {
+    const row = await c.env.DB.prepare('SELECT * FROM mail_outbox WHERE id = ?').bind(c.req.param('id')).first();
+    if (!row) {
+      return c.json({ error: 'Message not found' }, 404);
+    }
+
+    return c.json(outboxMessage(row, true));
+  } catch (error: any) {
+    console.error('Get outbox message error:', error);
+    return c.json({ error: error.message || 'Failed to get message' }, 500);
+  }
+});
+
+emails.delete('/outbox', async (c) => {
+  if (!outboxAvailable(c)) {
+    return c.json({ error: 'Not found' }, 404);
+  }
+
+  try {
+    await c.env.DB.prepare('DELETE FROM mail_outbox').run();
+    return c.json({ success: true });
+  } catch (error: any) {
+    console.error('Clear outbox error:', error);
+    return c.json({ error: error.message || 'Failed to clear outbox' }, 500);
+  }
+});
+
 emails.use('*', authMiddleware);
 
-// Send monthly report email (stub - requires email service integration)
-emails.post('/monthly-report', async (c) => {
+// Mail goes only to the user's own address or one of their recipients (連絡先)
+async function checkRecipient(
+  db: D1Database,
+  user: Record<string, any>,
+  email: unknown
+): Promise<{ error: string; status: 400 | 403 } | null> {
+  if (typeof email !== 'string' || !/^[^\s@<>]+@[^\s@<>]+$/.test(email.trim())) {
+    return { error: 'A valid recipientEmail is required', status: 400 };
+  }
+  if (email.trim().toLowerCase() === String(user.email).toLowerCase()) {
+    return null;
+  }
+
+  const recipient = await db
+    .prepare('SELECT id FROM recipients WHERE user_id = ? AND email = ? COLLATE NOCASE')
+    .bind(user.id, email.trim())
+    .first();
+  return recipient ? null : { error: 'Recipient is not one of your registered recipients', status: 403 };
+}
+
+function yen(value: unknown): string {
+  return `${Number(value || 0).toLocaleString('ja-JP')}円`;
+}
+
+// Send the monthly report (月次締めレポート) with the export CSV attached
+emails.post('/monthly-report', rateLimit({ name: 'monthly-report', limit: 20, windowSeconds: 60 * 60, perUser: true }), async (c) => {
   try {
+    const user = c.get('user');
     const params = await c.req.json();
-    
-    // TODO: Implement email sending logic with Resend/SendGrid/etc.
-    console.log('Monthly report request:', params);
-    
-    return c.json({
-      success: false,
-      message: 'Email sending not yet implemented - requires email service setup'
-    }, 501);
+
+    const transport = getMailTransport(c.env);
+    if (!transport) {
+      return c.json({ error: 'Mail is not configured' }, 503);
+    }
+
+    const recipientError = await checkRecipient(c.env.DB, user, params.recipientEmail);
+    if (recipientError) {
+      return c.json({ error: recipientError.error }, recipientError.status);
+    }
+    if (typeof params.csvContent !== 'string' || !params.csvContent || !params.startDate || !params.endDate) {
+      return c.json({ error: 'csvContent, startDate and endDate are required' }, 400);
+    }
+    if (params.csvContent.length > MAX_CSV_LENGTH) {
+      return c.json({ error: 'CSV is too large' }, 400);
+    }
+
+    const period = params.startDate === params.endDate ? params.startDate : `${params.startDate} ～ ${params.endDate}`;
+    const bookName = [params.businessName, params.accountName].filter(Boolean).join(' - ') || '出納帳';
+    const filename = String(params.csvFilename || `月次締め_${period}.csv`).replace(/[\\/:*?"<>|\x00-\x1f]/g, '_');
+    const csv = params.csvContent.startsWith('\uFEFF') ? params.csvContent : `\uFEFF${params.csvContent}`;
+
+    await transport.send({
+      to: params.recipientEmail.trim(),
+      subject: `【ZENIBO】月次締めレポート ${bookName}（${period}）`,
+      text: `${params.userName ? `${params.userName} 様\n\n` : ''}` +
+        `${user.name || user.email} さんから月次締めレポートが届きました。\n\n` +
+        `出納帳: ${bookName}\n` +
+        `対象期間: ${period}\n` +
+        `取引件数: ${Number(params.transactionCount) || 0}件\n` +
+        `入金合計: ${yen(params.totalIncome)}\n` +
+        `出金合計: ${yen(params.totalExpense)}\n` +
+        `差引残高: ${yen(params.balance)}\n\n` +
+        `取引明細のCSVファイルを添付しています。`,
+      attachments: [{ filename, content: base64Encode(csv), contentType: 'text/csv; charset=utf-8' }]
+    });
+
+    return c.json({ success: true, transport: transport.name });
   } catch (error: any) {
-    return c.json({ error: error.message }, 500);
+    console.error('Monthly report email error:', error);
+    return c.json({ error: error.message || 'Failed to send monthly report' }, 500);
   }
 });
 
-// Send test email (stub)
-emails.post('/test', async (c) => {
+// Send a test email to check the mail settings
+emails.post('/test', rateLimit({ name: 'test-email', limit: 10, windowSeconds: 60 * 60, perUser: true }), async (c) => {
   try {
+    const user = c.get('user');
     const { recipientEmail } = await c.req.json();
-    
-    console.log('Test email request to:', recipientEmail);
-    
-    return c.json({
-      success: false,
-      message: 'Email sending not yet implemented - requires email service setup'
-    }, 501);
+
+    const transport = getMailTransport(c.env);
+    if (!transport) {
+      return c.json({ error: 'Mail is not configured' }, 503);
+    }
+
+    const recipientError = await checkRecipient(c.env.DB, user, recipientEmail);
+    if (recipientError) {
+      return c.json({ error: recipientError.error }, recipientError.status);
+    }
+
+    await transport.send({
+      to: recipientEmail.trim(),
+      subject: '【ZENIBO】テストメール',
+      text: `${user.name || user.email} さんがZENIBOから送信したテストメールです。\n\n` +
+        `このメールが届いていれば、月次締めレポートをこのアドレスに送信できます。`
+    });
+
+    return c.json({ success: true, transport: transport.name });
   } catch (error: any) {
-    return c.json({ error: error.message }, 500);
+    console.error('Test email error:', error);
+    return c.json({ error: error.message || 'Failed to send test email' }, 500);
   }
 });
 
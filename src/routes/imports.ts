@@ -0,0 +1,337 @@
+import { Hono } from 'hono';
+import { authMiddleware, type Bindings } from '../middleware/auth';
+import { getCurrentUserId } from '../utils/auth';
+import { deriveLedgerColumns } from '../utils/ledger';
+import { revisionStatement, sqlTimestamp } from '../utils/history';
+import { findClosedPeriod, periodClosedError } from '../utils/periods';
+import { checkTransactionQuota } from '../utils/entitlements';
+import {
+  decodeCsv,
+  parseCsv,
+  parseMapping,
+  suggestMapping,
+  mapRow,
+  duplicateKey,
+  type CsvEncoding,
+  type ImportRow
+} from '../utils/csvImport';
+
+const imports = new Hono<{ Bindings: Bindings }>();
+
+// Apply auth middleware
+imports.use('*', authMiddleware);
+
+const MAX_IMPORT_ROWS = 2000;
+const PREVIEW_SAMPLE_ROWS = 5;
+
+// Decode, parse and validate an import request body. Each row is checked against the
+// book's existing transactions: a row is a duplicate while an identical transaction
+// (date, type, amount, description) is still unmatched, so repeated rows count separately.
+async function prepareImport(
+  db: D1Database,
+  bookId: string,
+  body: any
+): Promise<{ encoding?: CsvEncoding; headers?: string[]; records?: string[][]; rows?: ImportRow[]; error?: string }> {
+  if (!body.file) {
+    return { error: 'File content is required' };
+  }
+
+  const decoded = decodeCsv(body.file, body.encoding || 'auto');
+  if (decoded.error) {
+    return { error: decoded.error };
+  }
+
+  const records = parseCsv(decoded.text!);
+  const hasHeader = body.has_header !== false;
+  const headers = hasHeader ? records.shift() || [] : [];
+
+  if (records.length === 0) {
+    return { error: 'No rows found in file' };
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return { error: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` };
+  }
+
+  // Without a mapping, return only what the client needs to build one
+  if (body.mapping === undefined) {
+    return { encoding: decoded.encoding, headers, records };
+  }
+
+  const { mapping, error } = parseMapping(body.mapping);
+  if (error) {
+    return { error };
+  }
+
+  const firstLine = hasHeader ? 2 : 1;
+  const rows: ImportRow[] = records.map((values, i) => {
+    const mapped = mapRow(values, mapping!);
+    return { line: firstLine + i, values, entry: mapped.entry, error: mapped.error, duplicate: false };
+  });
+
+  const dates = rows.filter(row => row.entry).map(row => row.entry!.date).sort();
+  if (dates.length > 0) {
+    const existing = await db
+      .prepare(
+        `SELECT date, type, amount, description FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND date BETWEEN ? AND ?`
+      )
+      .bind(bookId, dates[0], dates[dates.length - 1])
+      .all();
+
+    const unmatched = new Map<string, number>();
+    for (const t of existing.results || []) {
+      const key = duplicateKey(t as any);
+      unmatched.set(key, (unmatched.get(key) || 0) + 1);
+    }
+
+    for (const row of rows) {
+      if (!row.entry) {
+        continue;
+      }
+      const key = duplicateKey(row.entry);
+      const count = unmatched.get(key) || 0;
+      if (count > 0) {
+        row.duplicate = true;
+        unmatched.set(key, count - 1);
+      }
+    }
+  }
+
+  return { encoding: decoded.encoding, headers, records, rows };
+}
+
+function summarize(rows: ImportRow[]) {
+  return {
+    total: rows.length,
+    valid: rows.filter(row => row.entry).length,
+    invalid: rows.filter(row => row.error).length,
+    duplicates: rows.filter(row => row.duplicate).length
+  };
+}
+
+// Get import history for a book
+imports.get('/book/:bookId', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const result = await db
+      .prepare('SELECT * FROM transaction_imports WHERE book_id = ? ORDER BY created_at DESC')
+      .bind(bookId)
+      .all();
+
+    return c.json({ imports: result.results || [] });
+  } catch (error: any) {
+    console.error('Get imports error:', error);
+    return c.json({ error: error.message || 'Failed to get imports' }, 500);
+  }
+});
+
+// Preview an import
+// Body: file (base64), encoding (auto | utf-8 | shift_jis), has_header, mapping (column indexes)
+// Without mapping, returns headers, sample rows and a suggested mapping
+imports.post('/book/:bookId/preview', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const body = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const prepared = await prepareImport(db, bookId, body);
+    if (prepared.error) {
+      return c.json({ error: prepared.error }, 400);
+    }
+
+    if (!prepared.rows) {
+      return c.json({
+        encoding: prepared.encoding,
+        headers: prepared.headers,
+        sample: prepared.records!.slice(0, PREVIEW_SAMPLE_ROWS),
+        suggested_mapping: suggestMapping(prepared.headers!)
+      });
+    }
+
+    return c.json({
+      encoding: prepared.encoding,
+      headers: prepared.headers,
+      rows: prepared.rows,
+      summary: summarize(prepared.rows)
+    });
+  } catch (error: any) {
+    console.error('Preview import error:', error);
+    return c.json({ error: error.message || 'Failed to preview import' }, 500);
+  }
+});
+
+// Commit an import - same body as preview plus filename and include_duplicates.
+// Invalid rows (and duplicates unless include_duplicates) are skipped.
+imports.post('/book/:bookId', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const body = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id, account_name FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    if (body.mapping === undefined) {
+      return c.json({ error: 'Column mapping is required' }, 400);
+    }
+
+    const prepared = await prepareImport(db, bookId, body);
+    if (prepared.error) {
+      return c.json({ error: prepared.error }, 400);
+    }
+
+    const rows = prepared.rows!;
+    const accepted = rows.filter(row => row.entry && (body.include_duplicates === true || !row.duplicate));
+
+    if (accepted.length === 0) {
+      return c.json({ error: 'No rows to import', summary: summarize(rows) }, 400);
+    }
+
+    const closed = await findClosedPeriod(db, accepted.map(row => ({ book_id: bookId, date: row.entry!.date })));
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const overLimit = await checkTransactionQuota(db, c.get('user'), accepted.map(row => row.entry!.date));
+    if (overLimit) {
+      return c.json({ ...overLimit, summary: summarize(rows) }, 403);
+    }
+
+    const importId = crypto.randomUUID();
+    const statements = [
+      db
+        .prepare(
+          `INSERT INTO transaction_imports (id, book_id, user_id, filename, encoding, imported_count, skipped_count)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(importId, bookId, userId, body.filename || null, prepared.encoding, accepted.length, rows.length - accepted.length),
+      ...accepted.map(row => {
+        const entry = row.entry!;
+        const lines = deriveLedgerColumns(book.account_name as string, entry);
+        return db
+          .prepare(
+            `INSERT INTO transactions
+             (book_id, date, type, amount, description, client,
+              debit_account, debit_sub_account, debit_amount,
+              credit_account, credit_sub_account, credit_amount, import_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          )
+          .bind(
+            bookId,
+            entry.date,
+            entry.type,
+            entry.amount,
+            entry.description,
+            entry.client,
+            lines.debit_account,
+            lines.debit_sub_account,
+            lines.debit_amount,
+            lines.credit_account,
+            lines.credit_sub_account,
+            lines.credit_amount,
+            importId
+          );
+      }),
+      revisionStatement(db, 't.import_id = ?', [importId], userId, 'create')
+    ];
+
+    // One batch so the import is applied all-or-nothing
+    await db.batch(statements);
+
+    return c.json({
+      success: true,
+      import_id: importId,
+      imported: accepted.length,
+      skipped: rows.length - accepted.length,
+      summary: summarize(rows)
+    });
+  } catch (error: any) {
+    console.error('Commit import error:', error);
+    return c.json({ error: error.message || 'Failed to import transactions' }, 500);
+  }
+});
+
+// Undo an import - moves every transaction it created to the trash
+imports.delete('/:id', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const importId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const record = await db
+      .prepare(
+        `SELECT i.id, i.undone_at FROM transaction_imports i
+         JOIN books b ON i.book_id = b.id
+         WHERE i.id = ? AND b.user_id = ?`
+      )
+      .bind(importId, userId)
+      .first();
+
+    if (!record) {
+      return c.json({ error: 'Import not found' }, 404);
+    }
+
+    if (record.undone_at) {
+      return c.json({ error: 'Import has already been undone' }, 409);
+    }
+
+    const imported = await db
+      .prepare('SELECT book_id, date FROM transactions WHERE import_id = ? AND deleted_at IS NULL')
+      .bind(importId)
+      .all();
+    const closed = await findClosedPeriod(db, (imported.results || []) as any[]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const deletedAt = sqlTimestamp();
+    const [deleted] = await db.batch([
+      db
+        .prepare(
+          `UPDATE transactions SET deleted_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE import_id = ? AND deleted_at IS NULL`
+        )
+        .bind(deletedAt, importId),
+      revisionStatement(db, 't.import_id = ? AND t.deleted_at = ?', [importId, deletedAt], userId, 'delete', {
+        deleted_at: [null, deletedAt]
+      }),
+      db.prepare('UPDATE transaction_imports SET undone_at = CURRENT_TIMESTAMP WHERE id = ?').bind(importId)
+    ]);
+
+    return c.json({ success: true, deleted: deleted.meta.changes });
+  } catch (error: any) {
+    console.error('Undo import error:', error);
+    return c.json({ error: error.message || 'Failed to undo import' }, 500);
+  }
+});
+
+export default imports;
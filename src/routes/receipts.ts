@@ -1,20 +1,236 @@
-import { Hono } from 'hono';
+import { Hono, type Context } from 'hono';
 import { authMiddleware, type Bindings } from '../middleware/auth';
 import { getCurrentUserId } from '../utils/auth';
+import { currentPlan, getEntitlements, planLimitError } from '../utils/entitlements';
+import {
+  validateReceiptFile,
+  receiptKey,
+  contentDisposition,
+  createReceiptVariants,
+  receiptVariantKeys,
+  receiptOcrInput,
+  archiveFileName,
+  uniqueName,
+  archiveIndexCsv,
+  RECEIPT_VARIANTS,
+  type ReceiptVariant,
+  type ArchiveIndexRow
+} from '../utils/receipts';
+import { revisionStatement, sqlTimestamp } from '../utils/history';
+import { findClosedPeriod, periodClosedError } from '../utils/periods';
+import { getOcrProvider, extractReceipt, type ReceiptExtraction } from '../utils/receiptOcr';
+import { scoreCandidates, candidateRange, assignMatches } from '../utils/receiptMatching';
+import { sha256Hex, appendReceipt, verifyChain, verifyFiles } from '../utils/receiptArchive';
+import { zipStream, zipDateTime, type ZipEntry } from '../utils/zip';
+import { getPdfFont, buildReceiptPdf, jpegImage, pngImage } from '../utils/receiptPdf';
 
 const receipts = new Hono<{ Bindings: Bindings }>();
 
 receipts.use('*', authMiddleware);
 
-// Upload receipt (stub - R2 storage needed for full implementation)
+// Unread receipts read by OCR per matching request
+const MAX_MATCH_EXTRACTIONS = 5;
+// D1 allows 100 bound parameters per query; accepted ids are bound together with the book id
+const MAX_ACCEPT_MATCHES = 50;
+// Per archive download: the files are streamed, but each one is read and checksummed in the request
+const MAX_ARCHIVE_FILES = 500;
+const MAX_ARCHIVE_BYTES = 500 * 1024 * 1024;
+
+// Add the download URLs of a receipt's thumbnail and display copies (null when it has none)
+function withVariantUrls(receipt: Record<string, unknown>) {
+  const download = `/api/receipts/${receipt.id}/download`;
+  return {
+    ...receipt,
+    thumbnail_url: receipt.thumbnail_path ? `${download}?variant=thumbnail` : null,
+    display_url: receipt.display_path ? `${download}?variant=display` : null
+  };
+}
+
+// Upload receipt - multipart/form-data with a single 'file' field (JPEG, PNG, WebP, HEIC or PDF).
+// The original is stored as uploaded, hashed and added to the book's receipt chain; images
+// also get thumbnail and display copies.
 receipts.post('/book/:bookId/upload', async (c) => {
   try {
-    return c.json({
-      success: false,
-      error: 'Receipt upload not yet implemented - R2 storage required'
-    }, 501);
+    const user = c.get('user');
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    if (!getEntitlements(user).receipts) {
+      return c.json(planLimitError(currentPlan(user), 'receipts', { allowed: 0 }), 403);
+    }
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, user.id)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const body = await c.req.parseBody();
+    const file = body.file;
+    if (!(file instanceof File)) {
+      return c.json({ error: 'A file is required (multipart field "file")' }, 400);
+    }
+
+    const { mimeType, error } = await validateReceiptFile(file);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const key = receiptKey(bookId, mimeType!);
+    const filename = file.name || key.split('/').pop()!;
+    const contentHash = await sha256Hex(await file.arrayBuffer());
+
+    // Originals are never overwritten (keys are random, so this only guards against a collision)
+    if (await c.env.RECEIPTS.head(key)) {
+      throw new Error('Receipt file already exists');
+    }
+    // R2 checks the received bytes against sha256
+    await c.env.RECEIPTS.put(key, file, {
+      httpMetadata: { contentType: mimeType },
+      customMetadata: { bookId: String(bookId), userId: String(user.id), filename },
+      sha256: contentHash
+    });
+    const variants = await createReceiptVariants(c.env.IMAGES, c.env.RECEIPTS, key, file, mimeType!);
+
+    let result: D1Result;
+    try {
+      result = await appendReceipt(db, {
+        book_id: Number(bookId),
+        filename,
+        file_path: key,
+        file_size: file.size,
+        mime_type: mimeType!,
+        uploaded_by: user.id,
+        content_hash: contentHash,
+        thumbnail_path: variants.thumbnail || null,
+        display_path: variants.display || null
+      });
+    } catch (insertError) {
+      // Don't leave objects no receipt points to
+      await c.env.RECEIPTS.delete([key, ...Object.values(variants)]);
+      throw insertError;
+    }
+
+    const receipt = await db
+      .prepare('SELECT * FROM receipts WHERE id = ?')
+      .bind(result.meta.last_row_id)
+      .first();
+
+    return c.json({ success: true, receipt_id: receipt!.id, receipt: withVariantUrls(receipt!) }, 201);
   } catch (error: any) {
-    return c.json({ error: error.message }, 500);
+    console.error('Upload receipt error:', error);
+    return c.json({ error: error.message || 'Failed to upload receipt' }, 500);
+  }
+});
+
+function saveExtraction(db: D1Database, receiptId: unknown, extraction: ReceiptExtraction) {
+  return db
+    .prepare('UPDATE receipts SET extraction = ?, extracted_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .bind(JSON.stringify(extraction), receiptId)
+    .run();
+}
+
+// Read a receipt with the configured OCR provider and return the suggested entry fields.
+// For a stored receipt (receiptId) the result is also saved for matching.
+async function extractionResponse(
+  c: Context<{ Bindings: Bindings }>,
+  bytes: Uint8Array,
+  mimeType: string,
+  receiptId?: unknown
+) {
+  const provider = getOcrProvider(c.env);
+  if (!provider) {
+    return c.json({ error: 'Receipt OCR is not configured' }, 503);
+  }
+
+  try {
+    const extraction = await extractReceipt(provider, bytes, mimeType);
+    if (receiptId !== undefined) {
+      await saveExtraction(c.env.DB, receiptId, extraction);
+    }
+    return c.json({ provider: provider.name, extraction });
+  } catch (error: any) {
+    console.error('Receipt OCR error:', error);
+    return c.json({ error: 'Failed to read receipt' }, 502);
+  }
+}
+
+// Extract suggested fields from a file before it is saved - same multipart body as upload
+receipts.post('/book/:bookId/extract', async (c) => {
+  try {
+    const user = c.get('user');
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    if (!getEntitlements(user).receipts) {
+      return c.json(planLimitError(currentPlan(user), 'receipts', { allowed: 0 }), 403);
+    }
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, user.id)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const body = await c.req.parseBody();
+    const file = body.file;
+    if (!(file instanceof File)) {
+      return c.json({ error: 'A file is required (multipart field "file")' }, 400);
+    }
+
+    const { mimeType, error } = await validateReceiptFile(file);
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    return await extractionResponse(c, new Uint8Array(await file.arrayBuffer()), mimeType!);
+  } catch (error: any) {
+    console.error('Extract receipt error:', error);
+    return c.json({ error: error.message || 'Failed to extract receipt' }, 500);
+  }
+});
+
+// Extract suggested fields from a stored receipt (e.g. one waiting in the inbox)
+receipts.post('/:id/extract', async (c) => {
+  try {
+    const user = c.get('user');
+    const receiptId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    if (!getEntitlements(user).receipts) {
+      return c.json(planLimitError(currentPlan(user), 'receipts', { allowed: 0 }), 403);
+    }
+
+    const receipt = await db
+      .prepare(
+        `SELECT r.id, r.file_path, r.mime_type, r.display_path FROM receipts r
+         JOIN books b ON r.book_id = b.id
+         WHERE r.id = ? AND b.user_id = ? AND r.deleted_at IS NULL`
+      )
+      .bind(receiptId, user.id)
+      .first();
+
+    if (!receipt) {
+      return c.json({ error: 'Receipt not found' }, 404);
+    }
+
+    const input = await receiptOcrInput(c.env.RECEIPTS, receipt);
+    if (!input) {
+      return c.json({ error: 'Receipt file not found' }, 404);
+    }
+
+    return await extractionResponse(c, input.bytes, input.mimeType, receipt.id);
+  } catch (error: any) {
+    console.error('Extract receipt error:', error);
+    return c.json({ error: error.message || 'Failed to extract receipt' }, 500);
   }
 });
 
@@ -35,25 +251,655 @@ receipts.get('/book/:bookId', async (c) => {
       return c.json({ error: 'Book not found' }, 404);
     }
 
+    // transaction_id: the transaction the receipt is attached to (null while in the inbox)
     const result = await db
-      .prepare('SELECT * FROM receipts WHERE book_id = ? ORDER BY uploaded_at DESC')
+      .prepare(
+        `SELECT r.*, (SELECT t.id FROM transactions t WHERE t.receipt_id = r.id LIMIT 1) as transaction_id
+         FROM receipts r WHERE r.book_id = ? AND r.deleted_at IS NULL ORDER BY r.uploaded_at DESC, r.id DESC`
+      )
       .bind(bookId)
       .all();
 
-    return c.json({ receipts: result.results || [] });
+    return c.json({ receipts: (result.results || []).map(withVariantUrls) });
   } catch (error: any) {
     return c.json({ error: error.message }, 500);
   }
 });
 
-// Download receipt (stub)
+// Receipt inbox - receipts uploaded without a transaction, waiting to be entered or attached
+receipts.get('/book/:bookId/inbox', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const result = await db
+      .prepare(
+        `SELECT r.* FROM receipts r
+         WHERE r.book_id = ? AND r.deleted_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.receipt_id = r.id)
+         ORDER BY r.uploaded_at DESC, r.id DESC`
+      )
+      .bind(bookId)
+      .all();
+
+    return c.json({ receipts: (result.results || []).map(withVariantUrls) });
+  } catch (error: any) {
+    console.error('Get receipt inbox error:', error);
+    return c.json({ error: error.message || 'Failed to get receipt inbox' }, 500);
+  }
+});
+
+// Link a receipt to a transaction, recording it in the transaction's history
+function attachStatements(db: D1Database, receiptId: unknown, transactionId: unknown, userId: number) {
+  return [
+    db
+      .prepare('UPDATE transactions SET receipt_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .bind(receiptId, transactionId),
+    revisionStatement(db, 't.id = ?', [transactionId], userId, 'update', { receipt_id: [null, receiptId] })
+  ];
+}
+
+// Attach an inbox receipt to an existing transaction of the same book
+// Body: transaction_id
+receipts.post('/:id/attach', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const receiptId = c.req.param('id');
+    const { transaction_id } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    const receipt = await db
+      .prepare(
+        `SELECT r.id, r.book_id FROM receipts r
+         JOIN books b ON r.book_id = b.id
+         WHERE r.id = ? AND b.user_id = ? AND r.deleted_at IS NULL`
+      )
+      .bind(receiptId, userId)
+      .first();
+
+    if (!receipt) {
+      return c.json({ error: 'Receipt not found' }, 404);
+    }
+
+    const transaction = await db
+      .prepare('SELECT id, book_id, date, receipt_id FROM transactions WHERE id = ? AND book_id = ? AND deleted_at IS NULL')
+      .bind(transaction_id ?? null, receipt.book_id)
+      .first();
+
+    if (!transaction) {
+      return c.json({ error: 'Transaction not found in this book' }, 404);
+    }
+
+    const attached = await db
+      .prepare('SELECT id FROM transactions WHERE receipt_id = ? LIMIT 1')
+      .bind(receiptId)
+      .first();
+
+    if (attached) {
+      return c.json({ error: 'Receipt is already attached to a transaction' }, 409);
+    }
+    if (transaction.receipt_id) {
+      return c.json({ error: 'Transaction already has a receipt' }, 409);
+    }
+
+    const closed = await findClosedPeriod(db, [transaction as any]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    await db.batch(attachStatements(db, receipt.id, transaction.id, userId));
+
+    return c.json({ success: true, receipt_id: receipt.id, transaction_id: transaction.id });
+  } catch (error: any) {
+    console.error('Attach receipt error:', error);
+    return c.json({ error: error.message || 'Failed to attach receipt' }, 500);
+  }
+});
+
+// Matching suggestions - for each receipt in the inbox, candidate transactions in the same book
+// (not deleted, no receipt yet) scored by amount, date and merchant, plus one suggested
+// transaction per receipt. Receipts not read yet are read first when OCR is configured.
+receipts.get('/book/:bookId/matches', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const inbox = await db
+      .prepare(
+        `SELECT r.* FROM receipts r
+         WHERE r.book_id = ? AND r.deleted_at IS NULL
+           AND NOT EXISTS (SELECT 1 FROM transactions t WHERE t.receipt_id = r.id)
+         ORDER BY r.uploaded_at DESC, r.id DESC`
+      )
+      .bind(bookId)
+      .all();
+    const receiptRows = (inbox.results || []) as Record<string, any>[];
+
+    // OCR calls are slow, so only a few unread receipts are read per request
+    const provider = getOcrProvider(c.env);
+    let read = 0;
+    for (const receipt of receiptRows) {
+      if (receipt.extraction || !provider || read >= MAX_MATCH_EXTRACTIONS) continue;
+      read++;
+      try {
+        const input = await receiptOcrInput(c.env.RECEIPTS, receipt);
+        if (!input) continue;
+        const extraction = await extractReceipt(provider, input.bytes, input.mimeType);
+        await saveExtraction(db, receipt.id, extraction);
+        receipt.extraction = JSON.stringify(extraction);
+      } catch (error) {
+        console.error('Receipt OCR error:', error);
+      }
+    }
+
+    const entries = receiptRows.map(receipt => ({
+      receipt,
+      extraction: receipt.extraction ? (JSON.parse(receipt.extraction) as ReceiptExtraction) : null,
+      uploadedDate: String(receipt.uploaded_at).slice(0, 10)
+    }));
+
+    const ranges = entries.map(entry => candidateRange(entry.extraction, entry.uploadedDate));
+    const unlinked = await db
+      .prepare(
+        `SELECT id, date, amount, client, description FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND receipt_id IS NULL AND transfer_id IS NULL`
+      )
+      .bind(bookId)
+      .all();
+    const transactions = (unlinked.results || []) as any[];
+    const from = ranges.reduce((min, r) => (r.from < min ? r.from : min), '9999-12-31');
+    const to = ranges.reduce((max, r) => (r.to > max ? r.to : max), '0000-01-01');
+    const inRange = transactions.filter(t => t.date >= from && t.date <= to);
+
+    const scored = entries.map(entry => ({
+      receipt_id: entry.receipt.id as number,
+      candidates: scoreCandidates(entry.extraction, entry.uploadedDate, inRange)
+    }));
+    const suggested = assignMatches(scored);
+
+    return c.json({
+      matches: entries.map((entry, i) => ({
+        receipt: withVariantUrls(entry.receipt),
+        extraction: entry.extraction,
+        candidates: scored[i].candidates,
+        suggested_transaction_id: suggested.get(entry.receipt.id) ?? null
+      })),
+      unread_receipts: entries.filter(entry => !entry.extraction).length,
+      transactions_without_receipt: transactions.length
+    });
+  } catch (error: any) {
+    console.error('Get receipt matches error:', error);
+    return c.json({ error: error.message || 'Failed to get receipt matches' }, 500);
+  }
+});
+
+// Accept matches - attach several inbox receipts at once, all or nothing
+// Body: matches: [{ receipt_id, transaction_id }]
+receipts.post('/book/:bookId/matches/accept', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const { matches } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return c.json({ error: 'matches must be a non-empty array of { receipt_id, transaction_id }' }, 400);
+    }
+    if (matches.length > MAX_ACCEPT_MATCHES) {
+      return c.json({ error: `Too many matches (max ${MAX_ACCEPT_MATCHES} per request)` }, 400);
+    }
+
+    const receiptIds = matches.map((m: any) => Number(m?.receipt_id));
+    const transactionIds = matches.map((m: any) => Number(m?.transaction_id));
+    if ([...receiptIds, ...transactionIds].some(id => !Number.isInteger(id))) {
+      return c.json({ error: 'Each match needs receipt_id and transaction_id' }, 400);
+    }
+    if (new Set(receiptIds).size !== receiptIds.length || new Set(transactionIds).size !== transactionIds.length) {
+      return c.json({ error: 'Each receipt and transaction can appear in only one match' }, 400);
+    }
+
+    const placeholders = matches.map(() => '?').join(', ');
+    const receiptRows = await db
+      .prepare(
+        `SELECT r.id, EXISTS (SELECT 1 FROM transactions t WHERE t.receipt_id = r.id) as attached
+         FROM receipts r WHERE r.book_id = ? AND r.deleted_at IS NULL AND r.id IN (${placeholders})`
+      )
+      .bind(bookId, ...receiptIds)
+      .all();
+    const foundReceipts = new Map((receiptRows.results || []).map((r: any) => [r.id as number, r]));
+
+    const transactionRows = await db
+      .prepare(
+        `SELECT id, book_id, date, receipt_id FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND id IN (${placeholders})`
+      )
+      .bind(bookId, ...transactionIds)
+      .all();
+    const foundTransactions = new Map((transactionRows.results || []).map((t: any) => [t.id as number, t]));
+
+    for (let i = 0; i < matches.length; i++) {
+      const receipt = foundReceipts.get(receiptIds[i]);
+      const transaction = foundTransactions.get(transactionIds[i]);
+      if (!receipt) {
+        return c.json({ error: 'Receipt not found in this book', receipt_id: receiptIds[i] }, 404);
+      }
+      if (!transaction) {
+        return c.json({ error: 'Transaction not found in this book', transaction_id: transactionIds[i] }, 404);
+      }
+      if (receipt.attached) {
+        return c.json({ error: 'Receipt is already attached to a transaction', receipt_id: receiptIds[i] }, 409);
+      }
+      if (transaction.receipt_id) {
+        return c.json({ error: 'Transaction already has a receipt', transaction_id: transactionIds[i] }, 409);
+      }
+    }
+
+    const closed = await findClosedPeriod(db, [...foundTransactions.values()]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    await db.batch(matches.flatMap((_: unknown, i: number) => attachStatements(db, receiptIds[i], transactionIds[i], userId)));
+
+    return c.json({ success: true, attached: matches.length });
+  } catch (error: any) {
+    console.error('Accept receipt matches error:', error);
+    return c.json({ error: error.message || 'Failed to accept receipt matches' }, 500);
+  }
+});
+
+// Verify the book's receipt archive - recomputes the hash chain and (unless ?files=0)
+// re-hashes every stored original. Receipts uploaded before the chain existed are counted
+// as unchained and cannot be verified.
+receipts.get('/book/:bookId/verify', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const checkFiles = c.req.query('files') !== '0';
+    const db: D1Database = c.env.DB;
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const chained = await db
+      .prepare('SELECT * FROM receipts WHERE book_id = ? AND chain_seq IS NOT NULL ORDER BY chain_seq')
+      .bind(bookId)
+      .all();
+    const unchained = await db
+      .prepare('SELECT COUNT(*) as count FROM receipts WHERE book_id = ? AND chain_seq IS NULL')
+      .bind(bookId)
+      .first();
+
+    const rows = chained.results || [];
+    const errors = await verifyChain(rows);
+    if (checkFiles) {
+      errors.push(...(await verifyFiles(c.env.RECEIPTS, rows)));
+    }
+
+    const last = rows[rows.length - 1];
+    return c.json({
+      valid: errors.length === 0,
+      receipts: rows.length,
+      deleted: rows.filter(row => row.deleted_at).length,
+      unchained: (unchained?.count as number) || 0,
+      files_checked: checkFiles ? rows.filter(row => !row.deleted_at).length : 0,
+      head: last ? { chain_seq: last.chain_seq, chain_hash: last.chain_hash } : null,
+      errors,
+      verified_at: sqlTimestamp()
+    });
+  } catch (error: any) {
+    console.error('Verify receipts error:', error);
+    return c.json({ error: error.message || 'Failed to verify receipts' }, 500);
+  }
+});
+
+function escapeLike(value: string): string {
+  return value.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+// A book's receipts with the fields they are searched by: an attached receipt by its
+// transaction, an inbox receipt by what OCR read from it (if anything)
+const RECEIPT_SEARCH_SQL = `
+  SELECT * FROM (
+    SELECT r.*, t.id as transaction_id, t.type, t.description,
+           COALESCE(t.date, json_extract(r.extraction, '$.date')) as date,
+           COALESCE(ABS(t.amount), json_extract(r.extraction, '$.total')) as amount,
+           COALESCE(t.client, json_extract(r.extraction, '$.merchant')) as client,
+           COALESCE(
+             (SELECT name FROM account_subjects WHERE id = t.account_subject_id),
+             (SELECT '諸口' FROM journal_lines WHERE transaction_id = t.id LIMIT 1)
+           ) as account_subject
+    FROM receipts r
+    LEFT JOIN transactions t ON t.receipt_id = r.id AND t.deleted_at IS NULL
+    WHERE r.book_id = ? AND r.deleted_at IS NULL
+  )`;
+
+// Translate search query parameters into WHERE conditions for RECEIPT_SEARCH_SQL.
+// from, to (YYYY-MM-DD), min_amount, max_amount, client and ids (comma-separated receipt ids).
+function buildReceiptFilters(query: Record<string, string>): { conditions: string[]; params: any[]; error?: string } {
+  const conditions: string[] = [];
+  const params: any[] = [];
+
+  for (const [name, op] of [['from', '>='], ['to', '<=']] as const) {
+    if (!query[name]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[name])) {
+      return { conditions, params, error: `${name} must be YYYY-MM-DD` };
+    }
+    conditions.push(`date ${op} ?`);
+    params.push(query[name]);
+  }
+  for (const [name, op] of [['min_amount', '>='], ['max_amount', '<=']] as const) {
+    if (!query[name]) continue;
+    if (!Number.isFinite(Number(query[name]))) {
+      return { conditions, params, error: `${name} must be a number` };
+    }
+    conditions.push(`amount ${op} ?`);
+    params.push(Number(query[name]));
+  }
+  if (query.client) {
+    conditions.push("client LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(query.client)}%`);
+  }
+  // Bound as one JSON array, so any number of ids fits in D1's parameter limit
+  if (query.ids) {
+    const ids = query.ids.split(',').map(Number);
+    if (ids.some(id => !Number.isInteger(id) || id <= 0)) {
+      return { conditions, params, error: 'ids must be comma-separated receipt ids' };
+    }
+    conditions.push('id IN (SELECT value FROM json_each(?))');
+    params.push(JSON.stringify(ids));
+  }
+
+  return { conditions, params };
+}
+
+async function searchReceipts(db: D1Database, bookId: string, conditions: string[], params: any[]) {
+  const result = await db
+    .prepare(
+      `${RECEIPT_SEARCH_SQL}
+       ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY date DESC, id DESC`
+    )
+    .bind(bookId, ...params)
+    .all();
+  return result.results || [];
+}
+
+// Search receipts by 取引年月日, 金額 and 取引先 (the search requirement of 電子帳簿保存法).
+// Query: see buildReceiptFilters.
+receipts.get('/book/:bookId/search', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    const { conditions, params, error } = buildReceiptFilters(c.req.query());
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    // Verify book ownership
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const rows = await searchReceipts(db, bookId, conditions, params);
+    return c.json({ receipts: rows.map(withVariantUrls) });
+  } catch (error: any) {
+    console.error('Search receipts error:', error);
+    return c.json({ error: error.message || 'Failed to search receipts' }, 500);
+  }
+});
+
+// Receipt archive for the tax accountant - a ZIP of the original files, named
+// <date>_<amount>_<client>.<ext>, plus index.csv linking each file to its transaction.
+// Query: the search filters (typically from and to). Files are streamed from R2 one at a time.
+receipts.get('/book/:bookId/archive', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    const { conditions, params, error } = buildReceiptFilters(c.req.query());
+    if (error) {
+      return c.json({ error }, 400);
+    }
+
+    const book = await db
+      .prepare('SELECT id, business_name FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    // Oldest first, the order an accountant files them in
+    const rows = (await searchReceipts(db, bookId, conditions, params)).reverse();
+    if (rows.length === 0) {
+      return c.json({ error: 'No receipts match' }, 404);
+    }
+    const totalSize = rows.reduce((sum, row) => sum + ((row.file_size as number) || 0), 0);
+    if (rows.length > MAX_ARCHIVE_FILES || totalSize > MAX_ARCHIVE_BYTES) {
+      return c.json(
+        {
+          error: `Too many receipts for one archive (max ${MAX_ARCHIVE_FILES} files, ${MAX_ARCHIVE_BYTES / 1024 / 1024} MB); narrow the period`
+        },
+        400
+      );
+    }
+
+    const bucket = c.env.RECEIPTS;
+    const names = new Set<string>();
+    const index: ArchiveIndexRow[] = [];
+    const entries: ZipEntry[] = rows.map(row => {
+      const name = uniqueName(archiveFileName(row), names);
+      return {
+        name,
+        modified: zipDateTime(row.uploaded_at as string),
+        open: async () => {
+          const object = await bucket.get(row.file_path as string);
+          index.push({ row, name: object ? name : null });
+          return object ? object.body : null;
+        }
+      };
+    });
+    // Written last, once it is known which files were found
+    entries.push({
+      name: 'index.csv',
+      modified: zipDateTime(sqlTimestamp()),
+      open: async () => archiveIndexCsv(index)
+    });
+
+    const query = c.req.query();
+    const period = [query.from, query.to].filter(Boolean).join('_') || 'all';
+    return new Response(zipStream(entries), {
+      headers: {
+        'Content-Type': 'application/zip',
+        'Content-Disposition': contentDisposition(`証憑_${book.business_name}_${period}.zip`, 'attachment'),
+        'Cache-Control': 'no-store'
+      }
+    });
+  } catch (error: any) {
+    console.error('Receipt archive error:', error);
+    return c.json({ error: error.message || 'Failed to create receipt archive' }, 500);
+  }
+});
+
+// Download receipt - streams the stored file with its content type.
+// ?variant=thumbnail|display returns the JPEG copy instead of the original.
 receipts.get('/:id/download', async (c) => {
-  return c.json({
-    error: 'Receipt download not yet implemented - R2 storage required'
-  }, 501);
+  try {
+    const userId = getCurrentUserId(c);
+    const receiptId = c.req.param('id');
+    const variant = c.req.query('variant') as ReceiptVariant | undefined;
+    const db: D1Database = c.env.DB;
+
+    if (variant !== undefined && !(variant in RECEIPT_VARIANTS)) {
+      return c.json({ error: `variant must be one of: ${Object.keys(RECEIPT_VARIANTS).join(', ')}` }, 400);
+    }
+
+    const receipt = await db
+      .prepare(
+        `SELECT r.* FROM receipts r
+         JOIN books b ON r.book_id = b.id
+         WHERE r.id = ? AND b.user_id = ? AND r.deleted_at IS NULL`
+      )
+      .bind(receiptId, userId)
+      .first();
+
+    if (!receipt) {
+      return c.json({ error: 'Receipt not found' }, 404);
+    }
+
+    const path = variant ? receipt[`${variant}_path`] : receipt.file_path;
+    if (!path) {
+      return c.json({ error: `Receipt has no ${variant}` }, 404);
+    }
+
+    const object = await c.env.RECEIPTS.get(path as string);
+    if (!object) {
+      return c.json({ error: 'Receipt file not found' }, 404);
+    }
+
+    const filename = variant
+      ? `${(receipt.filename as string).replace(/\.[^.]+$/, '')}_${variant}.jpg`
+      : (receipt.filename as string);
+
+    return new Response(object.body, {
+      headers: {
+        'Content-Type': object.httpMetadata?.contentType || (receipt.mime_type as string) || 'application/octet-stream',
+        'Content-Length': String(object.size),
+        'Content-Disposition': contentDisposition(filename),
+        'Cache-Control': 'private, max-age=0, must-revalidate',
+        ETag: object.httpEtag
+      }
+    });
+  } catch (error: any) {
+    console.error('Download receipt error:', error);
+    return c.json({ error: error.message || 'Failed to download receipt' }, 500);
+  }
+});
+
+// Receipt PDF - an A4 page with the transaction's 日付, 取引先, 金額, 内容 and 勘定科目 over the
+// receipt image (the display copy when there is one), in the embedded Japanese font.
+// PDF receipts are already documents and are downloaded as they are (415).
+receipts.get('/:id/pdf', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const receiptId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const receipt = await db
+      .prepare(
+        `SELECT r.id, r.book_id, r.mime_type FROM receipts r
+         JOIN books b ON r.book_id = b.id
+         WHERE r.id = ? AND b.user_id = ? AND r.deleted_at IS NULL`
+      )
+      .bind(receiptId, userId)
+      .first();
+
+    if (!receipt) {
+      return c.json({ error: 'Receipt not found' }, 404);
+    }
+    if (receipt.mime_type === 'application/pdf') {
+      return c.json({ error: 'Receipt is already a PDF; download the original' }, 415);
+    }
+
+    const font = await getPdfFont(c.env);
+    if (!font) {
+      return c.json({ error: 'Receipt PDF font is not configured' }, 503);
+    }
+
+    const [row] = await searchReceipts(db, String(receipt.book_id), ['id = ?'], [receipt.id]);
+    const source = await c.env.RECEIPTS.get((row.display_path || row.file_path) as string);
+    if (!source) {
+      return c.json({ error: 'Receipt file not found' }, 404);
+    }
+    const bytes = new Uint8Array(await source.arrayBuffer());
+    const mimeType = row.display_path ? 'image/jpeg' : row.mime_type;
+    const image = mimeType === 'image/jpeg' ? jpegImage(bytes) : mimeType === 'image/png' ? pngImage(bytes) : null;
+
+    const amount = row.amount != null ? `${Number(row.amount).toLocaleString('ja-JP')}円` : '';
+    const pdf = await buildReceiptPdf(font, {
+      title: '証憑',
+      fields: [
+        ['日付', (row.date as string) || ''],
+        ['取引先', (row.client as string) || ''],
+        ['金額', amount],
+        ['内容', (row.description as string) || ''],
+        ['勘定科目', (row.account_subject as string) || '']
+      ],
+      footer: [
+        `証憑ID ${row.id}${row.transaction_id ? ` / 取引ID ${row.transaction_id}` : ' / 取引未登録（読み取り結果）'} / 原本 ${row.filename} / 受領 ${row.uploaded_at}`,
+        ...(row.content_hash ? [`SHA-256 ${row.content_hash}`] : [])
+      ],
+      image,
+      imageNote: 'この形式の画像は埋め込めません。原本ファイルを参照してください。'
+    });
+
+    return new Response(pdf, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Length': String(pdf.length),
+        'Content-Disposition': contentDisposition(`証憑_${row.date || '日付不明'}_${row.id}.pdf`),
+        'Cache-Control': 'private, no-cache'
+      }
+    });
+  } catch (error: any) {
+    console.error('Receipt PDF error:', error);
+    return c.json({ error: error.message || 'Failed to create receipt PDF' }, 500);
+  }
 });
 
-// Delete receipt
+// Delete receipt - only receipts never attached to a transaction (e.g. a mistaken upload).
+// The row stays in the book's chain marked deleted (when and by whom). Only the derived images
+// are removed: the original is evidence that must be kept for the retention period (7 years),
+// so it stays in R2.
 receipts.delete('/:id', async (c) => {
   try {
     const userId = getCurrentUserId(c);
@@ -62,9 +908,9 @@ receipts.delete('/:id', async (c) => {
 
     const receipt = await db
       .prepare(
-        `SELECT r.id FROM receipts r
+        `SELECT r.id, r.file_path, r.thumbnail_path, r.display_path FROM receipts r
          JOIN books b ON r.book_id = b.id
-         WHERE r.id = ? AND b.user_id = ?`
+         WHERE r.id = ? AND b.user_id = ? AND r.deleted_at IS NULL`
       )
       .bind(receiptId, userId)
       .first();
@@ -73,14 +919,30 @@ receipts.delete('/:id', async (c) => {
       return c.json({ error: 'Receipt not found' }, 404);
     }
 
-    await db
-      .prepare('DELETE FROM receipts WHERE id = ?')
+    // Evidence of a recorded transaction (trashed ones can be restored) must be kept
+    const attached = await db
+      .prepare('SELECT id FROM transactions WHERE receipt_id = ? LIMIT 1')
       .bind(receiptId)
+      .first();
+
+    if (attached) {
+      return c.json({ error: 'Receipt is attached to a transaction' }, 409);
+    }
+
+    // Files go first, so a failed R2 delete leaves the receipt as it was and can be retried
+    const variants = receiptVariantKeys(receipt);
+    if (variants.length > 0) {
+      await c.env.RECEIPTS.delete(variants);
+    }
+    await db
+      .prepare('UPDATE receipts SET deleted_at = ?, deleted_by = ? WHERE id = ?')
+      .bind(sqlTimestamp(), userId, receiptId)
       .run();
 
     return c.json({ success: true });
   } catch (error: any) {
-    return c.json({ error: error.message }, 500);
+    console.error('Delete receipt error:', error);
+    return c.json({ error: error.message || 'Failed to delete receipt' }, 500);
   }
 });
 
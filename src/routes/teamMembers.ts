@@ -0,0 +1,111 @@
+import { Hono } from 'hono';
+import { authMiddleware, type Bindings } from '../middleware/auth';
+import { getCurrentUserId } from '../utils/auth';
+import { currentPlan, PLAN_ENTITLEMENTS, planLimitError } from '../utils/entitlements';
+
+const teamMembers = new Hono<{ Bindings: Bindings }>();
+
+// Apply auth middleware
+teamMembers.use('*', authMiddleware);
+
+// Get members - the main user first, then sub users in the order they were added
+teamMembers.get('/', async (c) => {
+  try {
+    const user = c.get('user');
+    const db: D1Database = c.env.DB;
+
+    const result = await db
+      .prepare('SELECT id, nickname, email, status, created_at FROM team_members WHERE owner_user_id = ? ORDER BY id')
+      .bind(user.id)
+      .all();
+
+    return c.json({
+      members: [
+        { id: null, nickname: user.name || user.email, email: user.email, role: 'main', status: 'active' },
+        ...(result.results || []).map((member: any) => ({ ...member, role: 'sub' }))
+      ],
+      limit: PLAN_ENTITLEMENTS[currentPlan(user)].members
+    });
+  } catch (error: any) {
+    console.error('Get team members error:', error);
+    return c.json({ error: error.message || 'Failed to get team members' }, 500);
+  }
+});
+
+// Add a sub user (within the plan's member allowance)
+teamMembers.post('/', async (c) => {
+  try {
+    const user = c.get('user');
+    const { nickname, email } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (!nickname || !email) {
+      return c.json({ error: 'Nickname and email are required' }, 400);
+    }
+
+    const normalizedEmail = String(email).trim().toLowerCase();
+    if (normalizedEmail === String(user.email).toLowerCase()) {
+      return c.json({ error: 'The main user is already a member' }, 400);
+    }
+
+    const plan = currentPlan(user);
+    const allowed = PLAN_ENTITLEMENTS[plan].members;
+    const subs = await db
+      .prepare('SELECT COUNT(*) as count FROM team_members WHERE owner_user_id = ?')
+      .bind(user.id)
+      .first();
+    const current = ((subs?.count as number) || 0) + 1;
+    if (current >= allowed) {
+      return c.json(planLimitError(plan, 'members', { allowed, current }), 403);
+    }
+
+    const existing = await db
+      .prepare('SELECT id FROM team_members WHERE owner_user_id = ? AND email = ?')
+      .bind(user.id, normalizedEmail)
+      .first();
+
+    if (existing) {
+      return c.json({ error: 'Member already exists' }, 409);
+    }
+
+    const result = await db
+      .prepare('INSERT INTO team_members (owner_user_id, nickname, email) VALUES (?, ?, ?)')
+      .bind(user.id, String(nickname).trim(), normalizedEmail)
+      .run();
+
+    const member = await db
+      .prepare('SELECT id, nickname, email, status, created_at FROM team_members WHERE id = ?')
+      .bind(result.meta.last_row_id)
+      .first();
+
+    return c.json({ member: { ...member, role: 'sub' } }, 201);
+  } catch (error: any) {
+    console.error('Add team member error:', error);
+    return c.json({ error: error.message || 'Failed to add team member' }, 500);
+  }
+});
+
+// Remove a sub user
+teamMembers.delete('/:id', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const memberId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const result = await db
+      .prepare('DELETE FROM team_members WHERE id = ? AND owner_user_id = ?')
+      .bind(memberId, userId)
+      .run();
+
+    if (!result.meta.changes) {
+      return c.json({ error: 'Member not found' }, 404);
+    }
+
+    return c.json({ success: true });
+  } catch (error: any) {
+    console.error('Remove team member error:', error);
+    return c.json({ error: error.message || 'Failed to remove team member' }, 500);
+  }
+});
+
+export default teamMembers;
@@ -1,22 +1,305 @@
 import { Hono } from 'hono';
 import { authMiddleware, type Bindings } from '../middleware/auth';
 import { getCurrentUserId } from '../utils/auth';
+import {
+  parseCashEntry,
+  buildLedgerColumns,
+  deriveLedgerColumns,
+  parseSplitLines,
+  buildJournalLines,
+  SIGNED_AMOUNT_SQL,
+  INCOME_AMOUNT_SQL,
+  EXPENSE_AMOUNT_SQL,
+  type CashEntry,
+  type JournalLine,
+  type LedgerColumns,
+  type SplitLine,
+  type TransactionType
+} from '../utils/ledger';
+import {
+  parseSchedule,
+  occurrenceOnOrAfter,
+  nextOccurrence,
+  materializeRecurringTransactions,
+  todayJst
+} from '../utils/recurring';
+import { revisionStatement, diffRevision, revisionLines, sqlTimestamp } from '../utils/history';
+import { findClosedPeriod, periodClosedError, type ClosedPeriod } from '../utils/periods';
+import { checkTransactionQuota, planLimitError } from '../utils/entitlements';
 
 const transactions = new Hono<{ Bindings: Bindings }>();
 
 // Apply auth middleware
 transactions.use('*', authMiddleware);
 
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Page size from ?limit=, kept within 1..MAX_PAGE_SIZE (SQLite reads a negative LIMIT as no limit)
+function pageSize(value: string | undefined): number {
+  const limit = parseInt(value || '', 10) || DEFAULT_PAGE_SIZE;
+  return Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+}
+
+// Sort options: column plus direction; id breaks ties so the cursor is stable
+const SORTS: Record<string, { column: string; direction: 'ASC' | 'DESC' }> = {
+  date_desc: { column: 'date', direction: 'DESC' },
+  date_asc: { column: 'date', direction: 'ASC' },
+  amount_desc: { column: 'amount', direction: 'DESC' },
+  amount_asc: { column: 'amount', direction: 'ASC' }
+};
+
+function escapeLike(value: string): string {
+  return value.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+// Translate list query parameters into WHERE conditions
+function buildTransactionFilters(query: Record<string, string>): { conditions: string[]; params: any[]; error?: string } {
+  const conditions: string[] = [];
+  const params: any[] = [];
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+  if (query.from) {
+    if (!datePattern.test(query.from)) {
+      return { conditions, params, error: 'from must be YYYY-MM-DD' };
+    }
+    conditions.push('date >= ?');
+    params.push(query.from);
+  }
+  if (query.to) {
+    if (!datePattern.test(query.to)) {
+      return { conditions, params, error: 'to must be YYYY-MM-DD' };
+    }
+    conditions.push('date <= ?');
+    params.push(query.to);
+  }
+  if (query.month) {
+    if (!/^\d{4}-\d{2}$/.test(query.month)) {
+      return { conditions, params, error: 'month must be YYYY-MM' };
+    }
+    conditions.push("substr(date, 1, 7) = ?");
+    params.push(query.month);
+  }
+  if (query.type) {
+    if (query.type !== 'income' && query.type !== 'expense') {
+      return { conditions, params, error: "type must be 'income' or 'expense'" };
+    }
+    conditions.push('type = ?');
+    params.push(query.type);
+  }
+  if (query.status) {
+    if (query.status !== 'pending' && query.status !== 'confirmed') {
+      return { conditions, params, error: "status must be 'pending' or 'confirmed'" };
+    }
+    conditions.push('status = ?');
+    params.push(query.status);
+  }
+  // Split transactions match when any of their lines uses the subject
+  if (query.account_subject_id) {
+    const subjectId = Number(query.account_subject_id);
+    if (!Number.isInteger(subjectId) || subjectId <= 0) {
+      return { conditions, params, error: 'account_subject_id must be a positive integer' };
+    }
+    conditions.push('(account_subject_id = ? OR id IN (SELECT transaction_id FROM journal_lines WHERE account_subject_id = ?))');
+    params.push(subjectId, subjectId);
+  }
+  if (query.client) {
+    conditions.push("client LIKE ? ESCAPE '\\'");
+    params.push(`%${escapeLike(query.client)}%`);
+  }
+  if (query.min_amount) {
+    const amount = Number(query.min_amount);
+    if (!Number.isFinite(amount)) {
+      return { conditions, params, error: 'min_amount must be a number' };
+    }
+    conditions.push('amount >= ?');
+    params.push(amount);
+  }
+  if (query.max_amount) {
+    const amount = Number(query.max_amount);
+    if (!Number.isFinite(amount)) {
+      return { conditions, params, error: 'max_amount must be a number' };
+    }
+    conditions.push('amount <= ?');
+    params.push(amount);
+  }
+  // Free-text search over description and client (the list tab's keyword box)
+  if (query.q) {
+    conditions.push("(description LIKE ? ESCAPE '\\' OR client LIKE ? ESCAPE '\\')");
+    params.push(`%${escapeLike(query.q)}%`, `%${escapeLike(query.q)}%`);
+  }
+
+  return { conditions, params };
+}
+
+// Insert statements for a split transaction's journal lines. Without a transactionId
+// the lines belong to the header inserted earlier in the same batch (the newest row).
+function insertJournalLines(db: D1Database, transactionId: number | string | null, lines: JournalLine[]): D1PreparedStatement[] {
+  const idSql = transactionId === null ? '(SELECT MAX(id) FROM transactions)' : '?';
+  return lines.map((line, i) =>
+    db
+      .prepare(
+        `INSERT INTO journal_lines
+         (transaction_id, line_no, side, account, sub_account, account_subject_id, sub_account_id, amount, tax_code, description)
+         VALUES (${idSql}, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .bind(
+        ...(transactionId === null ? [] : [transactionId]),
+        i + 1,
+        line.side,
+        line.account,
+        line.sub_account,
+        line.account_subject_id,
+        line.sub_account_id,
+        line.amount,
+        line.tax_code,
+        line.description
+      )
+  );
+}
+
+// D1 accepts at most 100 bound parameters per query, so IN (...) lists are split up
+const MAX_BOUND_PARAMS = 100;
+
+function chunk<T>(items: T[], size: number = MAX_BOUND_PARAMS): T[][] {
+  const chunks: T[][] = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// Add running_balance to each row: the book's balance after the row, accumulated over the whole
+// book in date order (whatever the list's filters and sort). Only the rows between the page's
+// earliest and latest (date, id) are summed, on top of one sum of everything before them, and
+// only the page's rows are returned. A date-sorted page spans a short stretch of the book; an
+// amount-sorted page usually spans most of it, so amount sorts fall back to a scan of nearly
+// the whole book per page (one window pass is still cheaper than a prefix sum per row).
+async function attachRunningBalances(
+  db: D1Database,
+  bookId: number | string,
+  openingBalance: number,
+  rows: Record<string, any>[]
+): Promise<void> {
+  if (rows.length === 0) {
+    return;
+  }
+
+  const byPosition = [...rows].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.id - b.id));
+  const first = byPosition[0];
+  const last = byPosition[byPosition.length - 1];
+
+  const [before, range] = await db.batch([
+    db
+      .prepare(
+        `SELECT COALESCE(SUM(${SIGNED_AMOUNT_SQL}), 0) AS balance FROM transactions
+         WHERE book_id = ? AND deleted_at IS NULL AND (date < ? OR (date = ? AND id < ?))`
+      )
+      .bind(bookId, first.date, first.date, first.id),
+    db
+      .prepare(
+        `SELECT id, balance FROM (
+           SELECT id, SUM(${SIGNED_AMOUNT_SQL}) OVER (ORDER BY date, id) AS balance FROM transactions
+           WHERE book_id = ? AND deleted_at IS NULL
+             AND (date > ? OR (date = ? AND id >= ?))
+             AND (date < ? OR (date = ? AND id <= ?))
+         ) WHERE id IN (SELECT value FROM json_each(?))`
+      )
+      .bind(bookId, first.date, first.date, first.id, last.date, last.date, last.id, JSON.stringify(rows.map(row => row.id)))
+  ]);
+
+  const start = openingBalance + ((before.results?.[0] as any)?.balance || 0);
+  const balances = new Map<number, number>();
+  for (const row of (range.results || []) as any[]) {
+    balances.set(row.id, start + row.balance);
+  }
+  for (const row of rows) {
+    row.running_balance = balances.get(row.id) ?? null;
+  }
+}
+
+// Add a lines array to each row (empty for simple single-line transactions)
+async function attachJournalLines(db: D1Database, rows: Record<string, any>[]): Promise<void> {
+  const byTransaction = new Map<number, any[]>();
+
+  for (const ids of chunk(rows.map(row => row.id))) {
+    const result = await db
+      .prepare(
+        `SELECT * FROM journal_lines WHERE transaction_id IN (${ids.map(() => '?').join(', ')})
+         ORDER BY transaction_id, line_no`
+      )
+      .bind(...ids)
+      .all();
+
+    for (const line of (result.results || []) as any[]) {
+      byTransaction.set(line.transaction_id, [...(byTransaction.get(line.transaction_id) || []), line]);
+    }
+  }
+  for (const row of rows) {
+    row.lines = byTransaction.get(row.id) || [];
+  }
+}
+
+// Add the other half of each transfer row: transfer = { transaction_id, book_id, business_name, account_name }
+async function attachTransferCounterparts(db: D1Database, rows: Record<string, any>[]): Promise<void> {
+  const transferIds = rows.filter(row => row.transfer_id).map(row => row.transfer_id);
+  const counterparts = new Map<string, any[]>();
+
+  for (const ids of chunk(transferIds)) {
+    const result = await db
+      .prepare(
+        `SELECT t.id, t.book_id, t.transfer_id, b.business_name, b.account_name
+         FROM transactions t JOIN books b ON t.book_id = b.id
+         WHERE t.transfer_id IN (${ids.map(() => '?').join(', ')})`
+      )
+      .bind(...ids)
+      .all();
+
+    for (const half of (result.results || []) as any[]) {
+      counterparts.set(half.transfer_id, [...(counterparts.get(half.transfer_id) || []), half]);
+    }
+  }
+
+  for (const row of rows) {
+    const other = (counterparts.get(row.transfer_id) || []).find(half => half.id !== row.id);
+    row.transfer = other
+      ? { transaction_id: other.id, book_id: other.book_id, business_name: other.business_name, account_name: other.account_name }
+      : null;
+  }
+}
+
+function encodeCursor(value: any, id: number): string {
+  return btoa(JSON.stringify([value, id]));
+}
+
+// A cursor is [sort value, id]; anything else (e.g. hand-edited) is rejected rather than bound
+function decodeCursor(cursor: string): [string | number, number] | null {
+  try {
+    const decoded = JSON.parse(atob(cursor));
+    if (!Array.isArray(decoded) || decoded.length !== 2) {
+      return null;
+    }
+    const [value, id] = decoded;
+    const validValue = typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+    return validValue && Number.isInteger(id) ? [value, id] : null;
+  } catch {
+    return null;
+  }
+}
+
 // Get transactions for a book
+// Query: from, to, month, type, status, account_subject_id, client, min_amount, max_amount, q,
+//        sort (date_desc | date_asc | amount_desc | amount_asc), limit, cursor
 transactions.get('/book/:bookId', async (c) => {
   try {
     const userId = getCurrentUserId(c);
     const bookId = c.req.param('bookId');
+    const query = c.req.query();
     const db: D1Database = c.env.DB;
 
     // Verify book ownership
     const book = await db
-      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .prepare('SELECT id, opening_balance FROM books WHERE id = ? AND user_id = ?')
       .bind(bookId, userId)
       .first();
 
@@ -24,12 +307,71 @@ transactions.get('/book/:bookId', async (c) => {
       return c.json({ error: 'Book not found' }, 404);
     }
 
+    const sort = SORTS[query.sort || 'date_desc'];
+    if (!sort) {
+      return c.json({ error: `Unknown sort: ${query.sort}` }, 400);
+    }
+
+    const limit = pageSize(query.limit);
+
+    const filters = buildTransactionFilters(query);
+    if (filters.error) {
+      return c.json({ error: filters.error }, 400);
+    }
+
+    const where = ['book_id = ?', 'deleted_at IS NULL', ...filters.conditions].join(' AND ');
+    const params = [bookId, ...filters.params];
+
+    // Totals for the whole filtered set, independent of the page
+    const summary = await db
+      .prepare(
+        `SELECT COUNT(*) as total,
+                COALESCE(SUM(${INCOME_AMOUNT_SQL}), 0) as income,
+                COALESCE(SUM(${EXPENSE_AMOUNT_SQL}), 0) as expense
+         FROM transactions WHERE ${where}`
+      )
+      .bind(...params)
+      .first();
+
+    // Keyset pagination: continue after the (sort value, id) of the last row
+    let pageWhere = where;
+    const pageParams = [...params];
+    if (query.cursor) {
+      const cursor = decodeCursor(query.cursor);
+      if (!cursor) {
+        return c.json({ error: 'Invalid cursor' }, 400);
+      }
+      const op = sort.direction === 'DESC' ? '<' : '>';
+      pageWhere += ` AND (${sort.column} ${op} ? OR (${sort.column} = ? AND id ${op} ?))`;
+      pageParams.push(cursor[0], cursor[0], cursor[1]);
+    }
+
     const result = await db
-      .prepare('SELECT * FROM transactions WHERE book_id = ? ORDER BY date DESC, created_at DESC')
-      .bind(bookId)
+      .prepare(
+        `SELECT * FROM transactions WHERE ${pageWhere}
+         ORDER BY ${sort.column} ${sort.direction}, id ${sort.direction}
+         LIMIT ?`
+      )
+      .bind(...pageParams, limit + 1)
       .all();
 
-    return c.json({ transactions: result.results || [] });
+    const rows = (result.results || []) as Record<string, any>[];
+    const hasMore = rows.length > limit;
+    const page = hasMore ? rows.slice(0, limit) : rows;
+    const last = page[page.length - 1];
+    await attachRunningBalances(db, bookId, (book.opening_balance as number) || 0, page);
+    await attachJournalLines(db, page);
+    await attachTransferCounterparts(db, page);
+
+    return c.json({
+      transactions: page,
+      total: summary?.total || 0,
+      totals: {
+        income: summary?.income || 0,
+        expense: summary?.expense || 0
+      },
+      next_cursor: hasMore && last ? encodeCursor(last[sort.column], last.id) : null
+    });
   } catch (error: any) {
     console.error('Get transactions error:', error);
     return c.json({ error: error.message || 'Failed to get transactions' }, 500);
@@ -54,31 +396,79 @@ transactions.post('/book/:bookId', async (c) => {
       return c.json({ error: 'Book not found' }, 404);
     }
 
-    const result = await db
-      .prepare(
-        `INSERT INTO transactions 
-         (book_id, date, description, debit_account, debit_sub_account, debit_amount, 
-          credit_account, credit_sub_account, credit_amount, receipt_id)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-      )
-      .bind(
-        bookId,
-        transaction.date,
-        transaction.description || null,
-        transaction.debit_account || null,
-        transaction.debit_sub_account || null,
-        transaction.debit_amount || 0,
-        transaction.credit_account || null,
-        transaction.credit_sub_account || null,
-        transaction.credit_amount || 0,
-        transaction.receipt_id || null
-      )
-      .run();
+    // With lines (2+), the transaction is split across several account subjects
+    let splits: SplitLine[] | null = null;
+    let input = transaction;
+    if (transaction.lines !== undefined && transaction.lines !== null) {
+      const parsed = parseSplitLines(transaction.lines, transaction.amount);
+      if (!parsed.lines) {
+        return c.json({ error: parsed.error }, 400);
+      }
+      splits = parsed.lines;
+      input = { ...transaction, amount: parsed.total, account_subject_id: null, sub_account_id: null, tax_code: null };
+    }
+
+    const { entry, error } = parseCashEntry(input);
+    if (!entry) {
+      return c.json({ error }, 400);
+    }
+
+    const closed = await findClosedPeriod(db, [{ book_id: bookId, date: entry.date }]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const overLimit = await checkTransactionQuota(db, c.get('user'), [entry.date]);
+    if (overLimit) {
+      return c.json(overLimit, 403);
+    }
+
+    const ledger: { columns?: LedgerColumns; lines?: JournalLine[]; error?: string } = splits
+      ? await buildJournalLines(db, bookId, entry, splits)
+      : await buildLedgerColumns(db, bookId, entry);
+    if (!ledger.columns) {
+      return c.json({ error: ledger.error }, 400);
+    }
+    const lines = ledger.columns;
+    const journalLines = ledger.lines || [];
+
+    const [result] = await db.batch([
+      db
+        .prepare(
+          `INSERT INTO transactions 
+           (book_id, date, type, amount, description, client, account_subject_id, sub_account_id, tax_code,
+            debit_account, debit_sub_account, debit_amount, 
+            credit_account, credit_sub_account, credit_amount, receipt_id)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(
+          bookId,
+          entry.date,
+          entry.type,
+          entry.amount,
+          entry.description,
+          entry.client,
+          entry.account_subject_id,
+          entry.sub_account_id,
+          entry.tax_code,
+          lines.debit_account,
+          lines.debit_sub_account,
+          lines.debit_amount,
+          lines.credit_account,
+          lines.credit_sub_account,
+          lines.credit_amount,
+          entry.receipt_id
+        ),
+      ...insertJournalLines(db, null, journalLines),
+      revisionStatement(db, 't.id = (SELECT MAX(id) FROM transactions)', [], userId, 'create')
+    ]);
 
     const newTransaction = await db
       .prepare('SELECT * FROM transactions WHERE id = ?')
       .bind(result.meta.last_row_id)
       .first();
+    await attachJournalLines(db, [newTransaction!]);
+    await attachTransferCounterparts(db, [newTransaction!]);
 
     return c.json({ transaction: newTransaction }, 201);
   } catch (error: any) {
@@ -100,7 +490,7 @@ transactions.put('/:id', async (c) => {
       .prepare(
         `SELECT t.* FROM transactions t
          JOIN books b ON t.book_id = b.id
-         WHERE t.id = ? AND b.user_id = ?`
+         WHERE t.id = ? AND b.user_id = ? AND t.deleted_at IS NULL`
       )
       .bind(transactionId, userId)
       .first();
@@ -109,58 +499,159 @@ transactions.put('/:id', async (c) => {
       return c.json({ error: 'Transaction not found' }, 404);
     }
 
-    const setParts: string[] = [];
-    const values: any[] = [];
+    // Both halves of a transfer are edited together
+    if (transaction.transfer_id) {
+      const { error, closed, overLimit } = await updateTransfer(db, transaction.transfer_id as string, updates, c.get('user'));
+      if (closed) {
+        return c.json(periodClosedError(closed), 409);
+      }
+      if (overLimit) {
+        return c.json(overLimit, 403);
+      }
+      if (error) {
+        return c.json({ error }, 400);
+      }
+
+      const updatedTransaction = await db
+        .prepare('SELECT * FROM transactions WHERE id = ?')
+        .bind(transactionId)
+        .first();
+      await attachJournalLines(db, [updatedTransaction!]);
+      await attachTransferCounterparts(db, [updatedTransaction!]);
 
-    if (updates.date !== undefined) {
-      setParts.push('date = ?');
-      values.push(updates.date);
+      return c.json({ transaction: updatedTransaction });
     }
-    if (updates.description !== undefined) {
-      setParts.push('description = ?');
-      values.push(updates.description);
+
+    // Merge the update into the stored entry and re-derive the debit/credit columns
+    const fields = [
+      'date', 'type', 'amount', 'description', 'client',
+      'account_subject_id', 'sub_account_id', 'tax_code', 'receipt_id'
+    ];
+    if (!fields.some(field => updates[field] !== undefined) && updates.lines === undefined) {
+      return c.json({ error: 'No valid updates provided' }, 400);
     }
-    if (updates.debit_account !== undefined) {
-      setParts.push('debit_account = ?');
-      values.push(updates.debit_account);
+
+    // Split lines: new lines replace the old ones, null or [] makes it a single-line
+    // transaction again, and otherwise a split transaction keeps its stored lines
+    const stored = await db
+      .prepare('SELECT * FROM journal_lines WHERE transaction_id = ? ORDER BY line_no')
+      .bind(transactionId)
+      .all();
+    const storedLines = (stored.results || []) as Record<string, any>[];
+
+    let splitInput: any[] | null = null;
+    if (updates.lines !== undefined) {
+      splitInput = Array.isArray(updates.lines) && updates.lines.length > 0 ? updates.lines : null;
+    } else {
+      const counterSide = transaction.type === 'expense' ? 'debit' : 'credit';
+      const counterLines = storedLines.filter(line => line.side === counterSide);
+      if (counterLines.length > 0) {
+        splitInput = counterLines;
+      }
     }
-    if (updates.debit_sub_account !== undefined) {
-      setParts.push('debit_sub_account = ?');
-      values.push(updates.debit_sub_account);
+
+    let splits: SplitLine[] | null = null;
+    if (splitInput) {
+      const parsed = parseSplitLines(splitInput, updates.amount);
+      if (!parsed.lines) {
+        return c.json({ error: parsed.error }, 400);
+      }
+      splits = parsed.lines;
+      updates.amount = parsed.total;
     }
-    if (updates.debit_amount !== undefined) {
-      setParts.push('debit_amount = ?');
-      values.push(updates.debit_amount);
+
+    const merged: Record<string, any> = { ...transaction };
+    for (const field of fields) {
+      if (updates[field] !== undefined) {
+        merged[field] = updates[field];
+      }
     }
-    if (updates.credit_account !== undefined) {
-      setParts.push('credit_account = ?');
-      values.push(updates.credit_account);
+    // Changing the subject invalidates the old sub-account unless a new one is given
+    if (updates.account_subject_id !== undefined && updates.sub_account_id === undefined) {
+      merged.sub_account_id = null;
     }
-    if (updates.credit_sub_account !== undefined) {
-      setParts.push('credit_sub_account = ?');
-      values.push(updates.credit_sub_account);
+    if (splits) {
+      merged.account_subject_id = null;
+      merged.sub_account_id = null;
+      merged.tax_code = null;
     }
-    if (updates.credit_amount !== undefined) {
-      setParts.push('credit_amount = ?');
-      values.push(updates.credit_amount);
+
+    const { entry, error } = parseCashEntry(merged);
+    if (!entry) {
+      return c.json({ error }, 400);
     }
 
-    if (setParts.length === 0) {
-      return c.json({ error: 'No valid updates provided' }, 400);
+    // Both the current and the new date must be in open periods
+    const closed = await findClosedPeriod(db, [
+      { book_id: transaction.book_id as number, date: transaction.date as string },
+      { book_id: transaction.book_id as number, date: entry.date }
+    ]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    // Moving a confirmed row to another month adds to that month's count
+    if (transaction.status === 'confirmed' && entry.date.slice(0, 7) !== (transaction.date as string).slice(0, 7)) {
+      const overLimit = await checkTransactionQuota(db, c.get('user'), [entry.date]);
+      if (overLimit) {
+        return c.json(overLimit, 403);
+      }
     }
 
-    setParts.push('updated_at = CURRENT_TIMESTAMP');
-    values.push(transactionId);
+    const ledger: { columns?: LedgerColumns; lines?: JournalLine[]; error?: string } = splits
+      ? await buildJournalLines(db, transaction.book_id as number, entry, splits)
+      : await buildLedgerColumns(db, transaction.book_id as number, entry);
+    if (!ledger.columns) {
+      return c.json({ error: ledger.error }, 400);
+    }
+    const lines = ledger.columns;
+    const journalLines = ledger.lines || [];
 
-    await db
-      .prepare(`UPDATE transactions SET ${setParts.join(', ')} WHERE id = ?`)
-      .bind(...values)
-      .run();
+    const changes = diffRevision(
+      { ...transaction, lines: revisionLines(storedLines) },
+      { ...entry, ...lines, lines: revisionLines(journalLines) }
+    );
+
+    await db.batch([
+      db
+        .prepare(
+          `UPDATE transactions
+           SET date = ?, type = ?, amount = ?, description = ?, client = ?,
+               account_subject_id = ?, sub_account_id = ?, tax_code = ?, receipt_id = ?,
+               debit_account = ?, debit_sub_account = ?, debit_amount = ?,
+               credit_account = ?, credit_sub_account = ?, credit_amount = ?,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        )
+        .bind(
+          entry.date,
+          entry.type,
+          entry.amount,
+          entry.description,
+          entry.client,
+          entry.account_subject_id,
+          entry.sub_account_id,
+          entry.tax_code,
+          entry.receipt_id,
+          lines.debit_account,
+          lines.debit_sub_account,
+          lines.debit_amount,
+          lines.credit_account,
+          lines.credit_sub_account,
+          lines.credit_amount,
+          transactionId
+        ),
+      db.prepare('DELETE FROM journal_lines WHERE transaction_id = ?').bind(transactionId),
+      ...insertJournalLines(db, transactionId, journalLines),
+      revisionStatement(db, 't.id = ?', [transactionId], userId, 'update', changes)
+    ]);
 
     const updatedTransaction = await db
       .prepare('SELECT * FROM transactions WHERE id = ?')
       .bind(transactionId)
       .first();
+    await attachJournalLines(db, [updatedTransaction!]);
+    await attachTransferCounterparts(db, [updatedTransaction!]);
 
     return c.json({ transaction: updatedTransaction });
   } catch (error: any) {
@@ -169,7 +660,7 @@ transactions.put('/:id', async (c) => {
   }
 });
 
-// Delete transaction
+// Delete transaction - moves it to the trash (restorable, history is kept)
 transactions.delete('/:id', async (c) => {
   try {
     const userId = getCurrentUserId(c);
@@ -177,6 +668,164 @@ transactions.delete('/:id', async (c) => {
     const db: D1Database = c.env.DB;
 
     // Verify ownership through book
+    const transaction = await db
+      .prepare(
+        `SELECT t.id, t.transfer_id FROM transactions t
+         JOIN books b ON t.book_id = b.id
+         WHERE t.id = ? AND b.user_id = ? AND t.deleted_at IS NULL`
+      )
+      .bind(transactionId, userId)
+      .first();
+
+    if (!transaction) {
+      return c.json({ error: 'Transaction not found' }, 404);
+    }
+
+    // Deleting either half of a transfer deletes both
+    const [column, key] = transaction.transfer_id ? ['transfer_id', transaction.transfer_id] : ['id', transactionId];
+
+    const targets = await db
+      .prepare(`SELECT book_id, date FROM transactions WHERE ${column} = ? AND deleted_at IS NULL`)
+      .bind(key)
+      .all();
+    const closed = await findClosedPeriod(db, (targets.results || []) as any[]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const deletedAt = sqlTimestamp();
+
+    await db.batch([
+      db
+        .prepare(
+          `UPDATE transactions SET deleted_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE ${column} = ? AND deleted_at IS NULL`
+        )
+        .bind(deletedAt, key),
+      revisionStatement(db, `t.${column} = ? AND t.deleted_at = ?`, [key, deletedAt], userId, 'delete', {
+        deleted_at: [null, deletedAt]
+      })
+    ]);
+
+    return c.json({ success: true, message: 'Transaction deleted successfully' });
+  } catch (error: any) {
+    console.error('Delete transaction error:', error);
+    return c.json({ error: error.message || 'Failed to delete transaction' }, 500);
+  }
+});
+
+// Get deleted transactions of a book (trash), most recently deleted first
+// Query: limit
+transactions.get('/book/:bookId/trash', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const limit = pageSize(c.req.query('limit'));
+
+    const summary = await db
+      .prepare('SELECT COUNT(*) as total FROM transactions WHERE book_id = ? AND deleted_at IS NOT NULL')
+      .bind(bookId)
+      .first();
+
+    const result = await db
+      .prepare(
+        `SELECT * FROM transactions WHERE book_id = ? AND deleted_at IS NOT NULL
+         ORDER BY deleted_at DESC, id DESC LIMIT ?`
+      )
+      .bind(bookId, limit)
+      .all();
+
+    const rows = (result.results || []) as Record<string, any>[];
+    await attachJournalLines(db, rows);
+    await attachTransferCounterparts(db, rows);
+
+    return c.json({ transactions: rows, total: summary?.total || 0 });
+  } catch (error: any) {
+    console.error('Get trash error:', error);
+    return c.json({ error: error.message || 'Failed to get deleted transactions' }, 500);
+  }
+});
+
+// Restore a deleted transaction (both halves for a transfer)
+transactions.post('/:id/restore', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const transactionId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const transaction = await db
+      .prepare(
+        `SELECT t.id, t.transfer_id FROM transactions t
+         JOIN books b ON t.book_id = b.id
+         WHERE t.id = ? AND b.user_id = ? AND t.deleted_at IS NOT NULL`
+      )
+      .bind(transactionId, userId)
+      .first();
+
+    if (!transaction) {
+      return c.json({ error: 'Deleted transaction not found' }, 404);
+    }
+
+    const deleted = await db
+      .prepare(
+        `SELECT id, book_id, date, deleted_at FROM transactions
+         WHERE (id = ? OR transfer_id = ?) AND deleted_at IS NOT NULL`
+      )
+      .bind(transactionId, transaction.transfer_id)
+      .all();
+
+    const closed = await findClosedPeriod(db, (deleted.results || []) as any[]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    // Restored rows count towards the month's allowance again
+    const overLimit = await checkTransactionQuota(db, c.get('user'), ((deleted.results || []) as any[]).map(row => row.date));
+    if (overLimit) {
+      return c.json(overLimit, 403);
+    }
+
+    await db.batch(
+      ((deleted.results || []) as any[]).flatMap(row => [
+        db
+          .prepare('UPDATE transactions SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+          .bind(row.id),
+        revisionStatement(db, 't.id = ?', [row.id], userId, 'restore', { deleted_at: [row.deleted_at, null] })
+      ])
+    );
+
+    const restored = await db
+      .prepare('SELECT * FROM transactions WHERE id = ?')
+      .bind(transactionId)
+      .first();
+    await attachJournalLines(db, [restored!]);
+    await attachTransferCounterparts(db, [restored!]);
+
+    return c.json({ transaction: restored, restored: (deleted.results || []).length });
+  } catch (error: any) {
+    console.error('Restore transaction error:', error);
+    return c.json({ error: error.message || 'Failed to restore transaction' }, 500);
+  }
+});
+
+// Get the revision history of a transaction (oldest first), including deleted ones
+transactions.get('/:id/history', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const transactionId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
     const transaction = await db
       .prepare(
         `SELECT t.id FROM transactions t
@@ -190,15 +839,587 @@ transactions.delete('/:id', async (c) => {
       return c.json({ error: 'Transaction not found' }, 404);
     }
 
-    await db
-      .prepare('DELETE FROM transactions WHERE id = ?')
+    const result = await db
+      .prepare(
+        `SELECT r.id, r.action, r.user_id, u.name as user_name, u.email as user_email,
+                r.snapshot, r.changes, r.created_at
+         FROM transaction_revisions r
+         LEFT JOIN users u ON r.user_id = u.id
+         WHERE r.transaction_id = ?
+         ORDER BY r.id`
+      )
       .bind(transactionId)
+      .all();
+
+    const revisions = ((result.results || []) as any[]).map(revision => ({
+      ...revision,
+      snapshot: JSON.parse(revision.snapshot),
+      changes: revision.changes ? JSON.parse(revision.changes) : null
+    }));
+
+    return c.json({ transaction_id: transaction.id, revisions });
+  } catch (error: any) {
+    console.error('Get transaction history error:', error);
+    return c.json({ error: error.message || 'Failed to get transaction history' }, 500);
+  }
+});
+
+// Confirm pending (recurring) transactions after review
+// Body: ids (transaction IDs)
+transactions.post('/confirm', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const { ids } = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => Number.isInteger(Number(id)))) {
+      return c.json({ error: 'ids must be a non-empty array of transaction IDs' }, 400);
+    }
+
+    // Only the user's pending rows are confirmed (one slot per query is taken by the user ID)
+    const pending: { id: number; book_id: number; date: string }[] = [];
+    for (const part of chunk(ids.map(Number), MAX_BOUND_PARAMS - 1)) {
+      const result = await db
+        .prepare(
+          `SELECT id, book_id, date FROM transactions
+           WHERE id IN (${part.map(() => '?').join(', ')}) AND status = 'pending' AND deleted_at IS NULL
+             AND book_id IN (SELECT id FROM books WHERE user_id = ?)`
+        )
+        .bind(...part, userId)
+        .all();
+      pending.push(...((result.results || []) as any[]));
+    }
+
+    // Confirming adds to a month's totals, so closed months are rejected too
+    const closed = await findClosedPeriod(db, pending);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const overLimit = await checkTransactionQuota(db, c.get('user'), pending.map(row => row.date));
+    if (overLimit) {
+      return c.json(overLimit, 403);
+    }
+
+    const pendingIds = pending.map(row => row.id);
+
+    if (pendingIds.length > 0) {
+      await db.batch(
+        chunk(pendingIds).flatMap(part => {
+          const placeholders = part.map(() => '?').join(', ');
+          return [
+            db
+              .prepare(`UPDATE transactions SET status = 'confirmed', updated_at = CURRENT_TIMESTAMP WHERE id IN (${placeholders})`)
+              .bind(...part),
+            revisionStatement(db, `t.id IN (${placeholders})`, part, userId, 'confirm', { status: ['pending', 'confirmed'] })
+          ];
+        })
+      );
+    }
+
+    return c.json({ success: true, confirmed: pendingIds.length });
+  } catch (error: any) {
+    console.error('Confirm transactions error:', error);
+    return c.json({ error: error.message || 'Failed to confirm transactions' }, 500);
+  }
+});
+
+// ==================== Transfers between books ====================
+
+// Fields a transfer can change; both halves always share them
+const TRANSFER_FIELDS = ['date', 'amount', 'description'];
+
+// Statements re-deriving both halves of a transfer (plus a revision each): the source
+// book's half is 出金 (借) destination account / (貸) source account, the destination's the reverse
+function transferStatements(
+  db: D1Database,
+  halves: Record<string, any>[],
+  entry: CashEntry,
+  userId: number
+): D1PreparedStatement[] {
+  return halves.flatMap((half, i) => {
+    const other = halves[1 - i];
+    const lines = deriveLedgerColumns(half.account_name, { ...entry, type: half.type as TransactionType }, other.account_name);
+    const changes = diffRevision(half, { date: entry.date, amount: entry.amount, description: entry.description, ...lines });
+    return [
+      db
+        .prepare(
+          `UPDATE transactions
+           SET date = ?, amount = ?, description = ?,
+               debit_account = ?, debit_sub_account = ?, debit_amount = ?,
+               credit_account = ?, credit_sub_account = ?, credit_amount = ?,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = ?`
+        )
+        .bind(
+          entry.date,
+          entry.amount,
+          entry.description,
+          lines.debit_account,
+          lines.debit_sub_account,
+          lines.debit_amount,
+          lines.credit_account,
+          lines.credit_sub_account,
+          lines.credit_amount,
+          half.id
+        ),
+      revisionStatement(db, 't.id = ?', [half.id], userId, 'update', changes)
+    ];
+  });
+}
+
+// Apply date / amount / description changes to both halves of a transfer
+async function updateTransfer(
+  db: D1Database,
+  transferId: string,
+  updates: any,
+  user: Record<string, any>
+): Promise<{ error?: string; closed?: ClosedPeriod; overLimit?: ReturnType<typeof planLimitError> }> {
+  const unsupported = Object.keys(updates).filter(field => !TRANSFER_FIELDS.includes(field));
+  if (unsupported.length > 0) {
+    return { error: `Transfers can only change ${TRANSFER_FIELDS.join(', ')} (got: ${unsupported.join(', ')})` };
+  }
+
+  const result = await db
+    .prepare(
+      `SELECT t.*, b.account_name
+       FROM transactions t JOIN books b ON t.book_id = b.id
+       WHERE t.transfer_id = ? AND t.deleted_at IS NULL
+       ORDER BY t.type`
+    )
+    .bind(transferId)
+    .all();
+  const halves = (result.results || []) as any[];
+  if (halves.length !== 2) {
+    return { error: 'Transfer is missing its counterpart entry' };
+  }
+
+  const merged: Record<string, any> = { ...halves[0] };
+  for (const field of TRANSFER_FIELDS) {
+    if (updates[field] !== undefined) {
+      merged[field] = updates[field];
+    }
+  }
+
+  const { entry, error } = parseCashEntry(merged);
+  if (!entry) {
+    return { error };
+  }
+
+  const closed = await findClosedPeriod(db, halves.flatMap(half => [half, { book_id: half.book_id, date: entry.date }]));
+  if (closed) {
+    return { closed };
+  }
+
+  // Both halves move to the new month and count there
+  if (entry.date.slice(0, 7) !== halves[0].date.slice(0, 7)) {
+    const overLimit = await checkTransactionQuota(db, user, [entry.date, entry.date]);
+    if (overLimit) {
+      return { overLimit };
+    }
+  }
+
+  await db.batch(transferStatements(db, halves, entry, user.id));
+  return {};
+}
+
+// Transfer money between two of the user's books (e.g. ATM withdrawal: 普通預金 -> 現金)
+// Body: from_book_id, to_book_id, date, amount, description
+// Creates an expense in the source book and an income in the destination book, linked
+// by a shared transfer_id; editing or deleting either half applies to both
+transactions.post('/transfer', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const body = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    if (!body.from_book_id || !body.to_book_id) {
+      return c.json({ error: 'from_book_id and to_book_id are required' }, 400);
+    }
+    if (String(body.from_book_id) === String(body.to_book_id)) {
+      return c.json({ error: 'Source and destination books must be different' }, 400);
+    }
+
+    const fromBook = await db
+      .prepare('SELECT id, account_name FROM books WHERE id = ? AND user_id = ?')
+      .bind(body.from_book_id, userId)
+      .first();
+    const toBook = await db
+      .prepare('SELECT id, account_name FROM books WHERE id = ? AND user_id = ?')
+      .bind(body.to_book_id, userId)
+      .first();
+
+    if (!fromBook || !toBook) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const { entry, error } = parseCashEntry({
+      date: body.date,
+      type: 'expense',
+      amount: body.amount,
+      description: body.description ?? '振替'
+    });
+    if (!entry) {
+      return c.json({ error }, 400);
+    }
+
+    const closed = await findClosedPeriod(db, [
+      { book_id: fromBook.id as number, date: entry.date },
+      { book_id: toBook.id as number, date: entry.date }
+    ]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const overLimit = await checkTransactionQuota(db, c.get('user'), [entry.date, entry.date]);
+    if (overLimit) {
+      return c.json(overLimit, 403);
+    }
+
+    const transferId = crypto.randomUUID();
+    const halves = [
+      { book: fromBook, type: 'expense' as TransactionType, counter: toBook },
+      { book: toBook, type: 'income' as TransactionType, counter: fromBook }
+    ];
+
+    // One batch so both halves exist or neither does
+    await db.batch(
+      halves.map(half => {
+        const lines = deriveLedgerColumns(
+          half.book.account_name as string,
+          { ...entry, type: half.type },
+          half.counter.account_name as string
+        );
+        return db
+          .prepare(
+            `INSERT INTO transactions
+             (book_id, date, type, amount, description,
+              debit_account, debit_sub_account, debit_amount,
+              credit_account, credit_sub_account, credit_amount, transfer_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+          )
+          .bind(
+            half.book.id,
+            entry.date,
+            half.type,
+            entry.amount,
+            entry.description,
+            lines.debit_account,
+            lines.debit_sub_account,
+            lines.debit_amount,
+            lines.credit_account,
+            lines.credit_sub_account,
+            lines.credit_amount,
+            transferId
+          );
+      }).concat(revisionStatement(db, 't.transfer_id = ?', [transferId], userId, 'create'))
+    );
+
+    const result = await db
+      .prepare('SELECT * FROM transactions WHERE transfer_id = ? ORDER BY type')
+      .bind(transferId)
+      .all();
+    const created = (result.results || []) as Record<string, any>[];
+    await attachJournalLines(db, created);
+    await attachTransferCounterparts(db, created);
+
+    return c.json({ transfer_id: transferId, transactions: created }, 201);
+  } catch (error: any) {
+    console.error('Create transfer error:', error);
+    return c.json({ error: error.message || 'Failed to create transfer' }, 500);
+  }
+});
+
+// ==================== Recurring transactions ====================
+
+const RECURRING_FIELDS = [
+  'type', 'amount', 'description', 'client', 'account_subject_id', 'sub_account_id', 'tax_code',
+  'frequency', 'day_of_month', 'day_of_week', 'month', 'start_date', 'end_date'
+];
+
+// Validate a rule: entry fields as for a transaction (start_date as its date) plus the schedule
+async function parseRecurringRule(db: D1Database, bookId: number | string, input: any) {
+  const { entry, error } = parseCashEntry({ ...input, date: input.start_date, receipt_id: null });
+  if (!entry) {
+    return { error: error === 'Date is required (YYYY-MM-DD)' ? 'start_date is required (YYYY-MM-DD)' : error };
+  }
+
+  const parsed = parseSchedule(input);
+  if (!parsed.schedule) {
+    return { error: parsed.error };
+  }
+
+  const endDate = input.end_date || null;
+  if (endDate !== null && (!/^\d{4}-\d{2}-\d{2}$/.test(endDate) || endDate < entry.date)) {
+    return { error: 'end_date must be YYYY-MM-DD and not before start_date' };
+  }
+
+  // Checks the subject/sub-account belong to the book
+  const ledger = await buildLedgerColumns(db, bookId, entry);
+  if (!ledger.columns) {
+    return { error: ledger.error };
+  }
+
+  return { rule: { ...entry, ...parsed.schedule, start_date: entry.date, end_date: endDate } };
+}
+
+// Get recurring transactions for a book
+transactions.get('/recurring/book/:bookId', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const result = await db
+      .prepare('SELECT * FROM recurring_transactions WHERE book_id = ? ORDER BY next_date, id')
+      .bind(bookId)
+      .all();
+
+    return c.json({ recurring_transactions: result.results || [] });
+  } catch (error: any) {
+    console.error('Get recurring transactions error:', error);
+    return c.json({ error: error.message || 'Failed to get recurring transactions' }, 500);
+  }
+});
+
+// Create recurring transaction; occurrences already due are materialized right away
+transactions.post('/recurring/book/:bookId', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const bookId = c.req.param('bookId');
+    const body = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    const book = await db
+      .prepare('SELECT id FROM books WHERE id = ? AND user_id = ?')
+      .bind(bookId, userId)
+      .first();
+
+    if (!book) {
+      return c.json({ error: 'Book not found' }, 404);
+    }
+
+    const { rule, error } = await parseRecurringRule(db, bookId, body);
+    if (!rule) {
+      return c.json({ error }, 400);
+    }
+
+    const result = await db
+      .prepare(
+        `INSERT INTO recurring_transactions
+         (book_id, type, amount, description, client, account_subject_id, sub_account_id, tax_code,
+          frequency, day_of_month, day_of_week, month, start_date, end_date, next_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+      )
+      .bind(
+        bookId,
+        rule.type,
+        rule.amount,
+        rule.description,
+        rule.client,
+        rule.account_subject_id,
+        rule.sub_account_id,
+        rule.tax_code,
+        rule.frequency,
+        rule.day_of_month,
+        rule.day_of_week,
+        rule.month,
+        rule.start_date,
+        rule.end_date,
+        occurrenceOnOrAfter(rule, rule.start_date)
+      )
       .run();
 
-    return c.json({ success: true, message: 'Transaction deleted successfully' });
+    const created = await materializeRecurringTransactions(db, todayJst(), userId);
+
+    const recurring = await db
+      .prepare('SELECT * FROM recurring_transactions WHERE id = ?')
+      .bind(result.meta.last_row_id)
+      .first();
+
+    return c.json({ success: true, recurring_transaction: recurring, created });
   } catch (error: any) {
-    console.error('Delete transaction error:', error);
-    return c.json({ error: error.message || 'Failed to delete transaction' }, 500);
+    console.error('Create recurring transaction error:', error);
+    return c.json({ error: error.message || 'Failed to create recurring transaction' }, 500);
+  }
+});
+
+// Update recurring transaction (fields as for create, plus active).
+// The schedule resumes after the last materialized occurrence.
+transactions.put('/recurring/:id', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const recurringId = c.req.param('id');
+    const updates = await c.req.json();
+    const db: D1Database = c.env.DB;
+
+    const recurring = await db
+      .prepare(
+        `SELECT r.* FROM recurring_transactions r
+         JOIN books b ON r.book_id = b.id
+         WHERE r.id = ? AND b.user_id = ?`
+      )
+      .bind(recurringId, userId)
+      .first();
+
+    if (!recurring) {
+      return c.json({ error: 'Recurring transaction not found' }, 404);
+    }
+
+    if (!RECURRING_FIELDS.some(field => updates[field] !== undefined) && updates.active === undefined) {
+      return c.json({ error: 'No valid updates provided' }, 400);
+    }
+
+    const merged: Record<string, any> = { ...recurring };
+    for (const field of RECURRING_FIELDS) {
+      if (updates[field] !== undefined) {
+        merged[field] = updates[field];
+      }
+    }
+    if (updates.account_subject_id !== undefined && updates.sub_account_id === undefined) {
+      merged.sub_account_id = null;
+    }
+
+    const { rule, error } = await parseRecurringRule(db, recurring.book_id as number, merged);
+    if (!rule) {
+      return c.json({ error }, 400);
+    }
+
+    const last = await db
+      .prepare('SELECT MAX(date) as date FROM transactions WHERE recurring_id = ?')
+      .bind(recurringId)
+      .first();
+    const lastDate = (last?.date as string) || null;
+    let nextDate = lastDate && lastDate >= rule.start_date
+      ? nextOccurrence(rule, lastDate)
+      : occurrenceOnOrAfter(rule, rule.start_date);
+    const active = updates.active !== undefined ? (updates.active ? 1 : 0) : recurring.active;
+
+    // Resuming a paused rule does not backfill the paused period
+    const today = todayJst();
+    if (active && !recurring.active && nextDate < today) {
+      nextDate = occurrenceOnOrAfter(rule, today);
+    }
+
+    await db
+      .prepare(
+        `UPDATE recurring_transactions
+         SET type = ?, amount = ?, description = ?, client = ?, account_subject_id = ?, sub_account_id = ?,
+             tax_code = ?, frequency = ?, day_of_month = ?, day_of_week = ?, month = ?,
+             start_date = ?, end_date = ?, next_date = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`
+      )
+      .bind(
+        rule.type,
+        rule.amount,
+        rule.description,
+        rule.client,
+        rule.account_subject_id,
+        rule.sub_account_id,
+        rule.tax_code,
+        rule.frequency,
+        rule.day_of_month,
+        rule.day_of_week,
+        rule.month,
+        rule.start_date,
+        rule.end_date,
+        nextDate,
+        active,
+        recurringId
+      )
+      .run();
+
+    const created = await materializeRecurringTransactions(db, today, userId);
+
+    const updated = await db
+      .prepare('SELECT * FROM recurring_transactions WHERE id = ?')
+      .bind(recurringId)
+      .first();
+
+    return c.json({ success: true, recurring_transaction: updated, created });
+  } catch (error: any) {
+    console.error('Update recurring transaction error:', error);
+    return c.json({ error: error.message || 'Failed to update recurring transaction' }, 500);
+  }
+});
+
+// Delete recurring transaction and its still-pending occurrences (confirmed ones are kept)
+transactions.delete('/recurring/:id', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const recurringId = c.req.param('id');
+    const db: D1Database = c.env.DB;
+
+    const recurring = await db
+      .prepare(
+        `SELECT r.id FROM recurring_transactions r
+         JOIN books b ON r.book_id = b.id
+         WHERE r.id = ? AND b.user_id = ?`
+      )
+      .bind(recurringId, userId)
+      .first();
+
+    if (!recurring) {
+      return c.json({ error: 'Recurring transaction not found' }, 404);
+    }
+
+    // Pending occurrences go to the trash like any deleted transaction, so none may be in a
+    // closed month (closing a month doesn't require its pending rows to be resolved first)
+    const pending = await db
+      .prepare(
+        `SELECT book_id, date FROM transactions
+         WHERE recurring_id = ? AND status = 'pending' AND deleted_at IS NULL`
+      )
+      .bind(recurringId)
+      .all();
+
+    const closed = await findClosedPeriod(db, (pending.results || []) as any[]);
+    if (closed) {
+      return c.json(periodClosedError(closed), 409);
+    }
+
+    const deletedAt = sqlTimestamp();
+    await db.batch([
+      db
+        .prepare(
+          `UPDATE transactions SET deleted_at = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE recurring_id = ? AND status = 'pending' AND deleted_at IS NULL`
+        )
+        .bind(deletedAt, recurringId),
+      revisionStatement(db, 't.recurring_id = ? AND t.deleted_at = ?', [recurringId, deletedAt], userId, 'delete', {
+        deleted_at: [null, deletedAt]
+      }),
+      db.prepare('DELETE FROM recurring_transactions WHERE id = ?').bind(recurringId)
+    ]);
+
+    return c.json({ success: true, message: 'Recurring transaction deleted successfully' });
+  } catch (error: any) {
+    console.error('Delete recurring transaction error:', error);
+    return c.json({ error: error.message || 'Failed to delete recurring transaction' }, 500);
+  }
+});
+
+// Materialize the current user's due occurrences now (same as the cron run)
+transactions.post('/recurring/materialize', async (c) => {
+  try {
+    const userId = getCurrentUserId(c);
+    const db: D1Database = c.env.DB;
+
+    const created = await materializeRecurringTransactions(db, todayJst(), userId);
+
+    return c.json({ success: true, created });
+  } catch (error: any) {
+    console.error('Materialize recurring transactions error:', error);
+    return c.json({ error: error.message || 'Failed to materialize recurring transactions' }, 500);
   }
 });
 
@@ -1,41 +1,226 @@
 import { Context } from 'hono';
+import { sign, verify } from 'hono/jwt';
 
-// Simple password hashing (for demo - use bcrypt in production)
-export async function hashPassword(password: string): Promise<string> {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hash = await crypto.subtle.digest('SHA-256', data);
+// Password hashing (PBKDF2-SHA256 via WebCrypto)
+// Stored as "pbkdf2$<iterations>$<base64 salt>$<base64 hash>"
+const PBKDF2_ITERATIONS = 100000; // Workers caps PBKDF2 at 100k iterations
+const PBKDF2_SALT_BYTES = 16;
+const PBKDF2_HASH_BITS = 256;
+
+function toBase64(bytes: Uint8Array): string {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+function fromBase64(value: string): Uint8Array {
+  return Uint8Array.from(atob(value), ch => ch.charCodeAt(0));
+}
+
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  return diff === 0;
+}
+
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    PBKDF2_HASH_BITS
+  );
+  return new Uint8Array(bits);
+}
+
+export async function sha256Hex(value: string): Promise<string> {
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
   return Array.from(new Uint8Array(hash))
     .map(b => b.toString(16).padStart(2, '0'))
     .join('');
 }
 
-export async function verifyPassword(password: string, hash: string): Promise<boolean> {
-  const passwordHash = await hashPassword(password);
-  return passwordHash === hash;
+export async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(PBKDF2_SALT_BYTES));
+  const hash = await pbkdf2(password, salt, PBKDF2_ITERATIONS);
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`;
+}
+
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  const parts = stored.split('$');
+
+  if (parts.length === 4 && parts[0] === 'pbkdf2') {
+    const iterations = parseInt(parts[1], 10);
+    if (!iterations) {
+      return false;
+    }
+    const expected = fromBase64(parts[3]);
+    const actual = await pbkdf2(password, fromBase64(parts[2]), iterations);
+    return timingSafeEqual(actual, expected);
+  }
+
+  // Legacy unsalted SHA-256 hex digest
+  const encoder = new TextEncoder();
+  return timingSafeEqual(encoder.encode(await sha256Hex(password)), encoder.encode(stored));
+}
+
+// True for legacy SHA-256 hashes or PBKDF2 hashes below the current iteration count
+export function needsRehash(stored: string): boolean {
+  const parts = stored.split('$');
+  return parts[0] !== 'pbkdf2' || parseInt(parts[1], 10) < PBKDF2_ITERATIONS;
+}
+
+// JWT utilities (HS256-signed, backed by the sessions table)
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 30; // 30 days
+
+function requireSecret(secret: string | undefined): string {
+  if (!secret) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+export async function generateToken(db: D1Database, secret: string, userId: number): Promise<string> {
+  const sessionId = crypto.randomUUID();
+  const exp = Math.floor(Date.now() / 1000) + SESSION_TTL_SECONDS;
+
+  await db
+    .prepare('INSERT INTO sessions (id, user_id, expires_at) VALUES (?, ?, ?)')
+    .bind(sessionId, userId, new Date(exp * 1000).toISOString())
+    .run();
+
+  return sign({ sub: String(userId), sid: sessionId, exp }, requireSecret(secret), 'HS256');
+}
+
+export async function verifyToken(
+  db: D1Database,
+  secret: string,
+  token: string
+): Promise<{ userId: number; sessionId: string } | null> {
+  const key = requireSecret(secret);
+
+  let payload;
+  try {
+    payload = await verify(token, key, 'HS256');
+  } catch {
+    return null;
+  }
+
+  const userId = Number(payload.sub);
+  const sessionId = payload.sid as string;
+  if (!userId || !sessionId) {
+    return null;
+  }
+
+  // Reject tokens whose session was revoked (logout, password change)
+  const session = await db
+    .prepare('SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+    .bind(sessionId, userId)
+    .first();
+
+  if (!session) {
+    return null;
+  }
+
+  return { userId, sessionId };
 }
 
-// JWT utilities (simplified for Cloudflare Workers)
-export async function generateToken(userId: number): Promise<string> {
-  const payload = {
-    userId,
-    exp: Math.floor(Date.now() / 1000) + (60 * 60 * 24 * 30) // 30 days
-  };
-  return btoa(JSON.stringify(payload));
+// Short-lived token proving the password step of a 2FA login. Carries no session,
+// so verifyToken never accepts it as a bearer token.
+const CHALLENGE_TTL_SECONDS = 60 * 5; // 5 minutes
+
+export async function generateChallengeToken(secret: string, userId: number): Promise<string> {
+  const exp = Math.floor(Date.now() / 1000) + CHALLENGE_TTL_SECONDS;
+  return sign({ sub: String(userId), purpose: '2fa', exp }, requireSecret(secret), 'HS256');
 }
 
-export async function verifyToken(token: string): Promise<{ userId: number } | null> {
+export async function verifyChallengeToken(secret: string, token: string): Promise<number | null> {
+  const key = requireSecret(secret);
+
   try {
-    const payload = JSON.parse(atob(token));
-    if (payload.exp < Math.floor(Date.now() / 1000)) {
+    const payload = await verify(token, key, 'HS256');
+    if (payload.purpose !== '2fa') {
       return null;
     }
-    return { userId: payload.userId };
+    return Number(payload.sub) || null;
   } catch {
     return null;
   }
 }
 
+export async function revokeSession(db: D1Database, sessionId: string): Promise<void> {
+  await db
+    .prepare('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL')
+    .bind(sessionId)
+    .run();
+}
+
+// Revoke every active session of a user, optionally keeping the current one
+export async function revokeUserSessions(db: D1Database, userId: number, exceptSessionId?: string): Promise<void> {
+  await db
+    .prepare(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND revoked_at IS NULL AND id != ?`
+    )
+    .bind(userId, exceptSessionId || '')
+    .run();
+}
+
+// Single-use tokens for password reset / email verification
+export type UserTokenPurpose = 'password_reset' | 'email_verification';
+
+export async function createUserToken(
+  db: D1Database,
+  userId: number,
+  purpose: UserTokenPurpose,
+  ttlSeconds: number
+): Promise<string> {
+  const token = toBase64(crypto.getRandomValues(new Uint8Array(32)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+  const expiresAt = new Date(Date.now() + ttlSeconds * 1000).toISOString();
+
+  // Only the newest token of each purpose stays usable
+  await db.batch([
+    db
+      .prepare('UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND purpose = ? AND used_at IS NULL')
+      .bind(userId, purpose),
+    db
+      .prepare('INSERT INTO auth_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)')
+      .bind(userId, purpose, await sha256Hex(token), expiresAt)
+  ]);
+
+  return token;
+}
+
+// Marks the token used and returns its user ID, or null if invalid/expired/already used
+export async function consumeUserToken(
+  db: D1Database,
+  token: string,
+  purpose: UserTokenPurpose
+): Promise<number | null> {
+  const row = await db
+    .prepare(
+      `UPDATE auth_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > ?
+       RETURNING user_id`
+    )
+    .bind(await sha256Hex(token), purpose, new Date().toISOString())
+    .first();
+
+  return row ? (row.user_id as number) : null;
+}
+
 export function getCurrentUserId(c: Context): number {
   const user = c.get('user');
   if (!user || !user.id) {
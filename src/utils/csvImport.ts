@@ -0,0 +1,252 @@
+// CSV import helpers - decode UTF-8 / Shift_JIS files, parse CSV and map columns
+// onto cash book entries (bank statements and other cash-book apps' exports).
+import { parseCashEntry, type CashEntry } from './ledger';
+
+export type CsvEncoding = 'utf-8' | 'shift_jis';
+
+// Column indexes (0-based). Either amount (+ optional type, or signed amounts)
+// or separate income/expense columns must be mapped.
+export type ColumnMapping = {
+  date: number;
+  description?: number;
+  client?: number;
+  amount?: number;
+  type?: number;
+  income?: number;
+  expense?: number;
+};
+
+export type ImportRow = {
+  line: number;
+  values: string[];
+  entry?: CashEntry;
+  error?: string;
+  duplicate: boolean;
+};
+
+const MAPPING_FIELDS: (keyof ColumnMapping)[] = ['date', 'description', 'client', 'amount', 'type', 'income', 'expense'];
+
+// Header names recognized when suggesting a mapping
+const HEADER_HINTS: Record<keyof ColumnMapping, RegExp> = {
+  date: /日付|取引日|年月日|^date$/i,
+  description: /摘要|取引内容|内容|明細|^description$|^memo$/i,
+  client: /取引先|相手先|^client$|^payee$/i,
+  amount: /^金額$|^amount$/i,
+  type: /区分|入出金|^type$/i,
+  income: /入金|預入|お預り|お預かり|収入|^income$|^deposit$/i,
+  expense: /出金|引出|お引出し|お支払|支出|^expense$|^withdrawal$/i
+};
+
+const INCOME_VALUES = /^(入金|収入|預入|お預り|お預かり|income|in|deposit)$/i;
+const EXPENSE_VALUES = /^(出金|支出|引出|お引出し|支払|お支払|expense|out|withdrawal)$/i;
+
+// Decode base64 file content; 'auto' tries strict UTF-8 first and falls back to Shift_JIS
+export function decodeCsv(base64: string, encoding: string = 'auto'): { text?: string; encoding?: CsvEncoding; error?: string } {
+  let bytes: Uint8Array;
+  try {
+    bytes = Uint8Array.from(atob(base64), ch => ch.charCodeAt(0));
+  } catch {
+    return { error: 'File must be base64 encoded' };
+  }
+
+  if (encoding === 'auto') {
+    try {
+      return { text: new TextDecoder('utf-8', { fatal: true, ignoreBOM: false }).decode(bytes), encoding: 'utf-8' };
+    } catch {
+      encoding = 'shift_jis';
+    }
+  }
+
+  if (encoding !== 'utf-8' && encoding !== 'shift_jis') {
+    return { error: "Encoding must be 'auto', 'utf-8' or 'shift_jis'" };
+  }
+
+  try {
+    return { text: new TextDecoder(encoding).decode(bytes), encoding };
+  } catch {
+    return { error: `Could not decode file as ${encoding}` };
+  }
+}
+
+// RFC 4180 parser: quoted fields, escaped quotes, embedded newlines, CRLF or LF
+export function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Guess a mapping from header names; unrecognized fields are left out
+export function suggestMapping(headers: string[]): Partial<ColumnMapping> {
+  const mapping: Partial<ColumnMapping> = {};
+  const used = new Set<number>();
+
+  for (const field of MAPPING_FIELDS) {
+    const index = headers.findIndex((header, i) => !used.has(i) && HEADER_HINTS[field].test(header.trim()));
+    if (index !== -1) {
+      mapping[field] = index;
+      used.add(index);
+    }
+  }
+
+  return mapping;
+}
+
+export function parseMapping(input: any): { mapping?: ColumnMapping; error?: string } {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Column mapping is required' };
+  }
+
+  const mapping: Partial<ColumnMapping> = {};
+  for (const field of MAPPING_FIELDS) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') {
+      continue;
+    }
+    const index = Number(value);
+    if (!Number.isInteger(index) || index < 0) {
+      return { error: `Invalid column for ${field}` };
+    }
+    mapping[field] = index;
+  }
+
+  if (mapping.date === undefined) {
+    return { error: 'Date column is required' };
+  }
+  if (mapping.amount === undefined && (mapping.income === undefined || mapping.expense === undefined)) {
+    return { error: 'Map either an amount column or both income and expense columns' };
+  }
+
+  return { mapping: mapping as ColumnMapping };
+}
+
+// 2024/1/5, 2024-01-05, 2024年1月5日 or 20240105 -> 2024-01-05
+function normalizeDate(value: string): string | null {
+  const text = value.trim();
+  const match = text.match(/^(\d{4})[\/\-.年](\d{1,2})[\/\-.月](\d{1,2})日?$/) || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match;
+  const date = `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date ? date : null;
+}
+
+// ¥1,234 / 1,234円 / △1,234 / (1,234) -> number; empty -> null
+function parseAmount(value: string): number | null {
+  let text = value.trim().replace(/[¥￥,円\s]/g, '');
+  if (text === '') {
+    return null;
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text) || /^[△▲-]/.test(text)) {
+    negative = true;
+    text = text.replace(/^[(△▲-]|\)$/g, '');
+  }
+
+  const amount = Number(text);
+  if (!Number.isFinite(amount)) {
+    return NaN;
+  }
+  return negative ? -amount : amount;
+}
+
+// Map one CSV record onto a validated cash book entry
+export function mapRow(values: string[], mapping: ColumnMapping): { entry?: CashEntry; error?: string } {
+  const cell = (index: number | undefined) => (index === undefined ? '' : (values[index] ?? '').trim());
+
+  const date = normalizeDate(cell(mapping.date));
+  if (!date) {
+    return { error: `Invalid date: ${cell(mapping.date)}` };
+  }
+
+  let type: string | null = null;
+  let amount: number | null = null;
+
+  if (mapping.income !== undefined && mapping.expense !== undefined) {
+    const income = parseAmount(cell(mapping.income));
+    const expense = parseAmount(cell(mapping.expense));
+    if (Number.isNaN(income) || Number.isNaN(expense)) {
+      return { error: 'Invalid amount' };
+    }
+    if (income && expense) {
+      return { error: 'Row has both income and expense amounts' };
+    }
+    type = income ? 'income' : 'expense';
+    amount = income || expense;
+  } else {
+    amount = parseAmount(cell(mapping.amount));
+    if (amount === null || Number.isNaN(amount)) {
+      return { error: `Invalid amount: ${cell(mapping.amount)}` };
+    }
+
+    if (mapping.type !== undefined) {
+      const typeValue = cell(mapping.type);
+      if (INCOME_VALUES.test(typeValue)) {
+        type = 'income';
+      } else if (EXPENSE_VALUES.test(typeValue)) {
+        type = 'expense';
+      } else {
+        return { error: `Unknown income/expense value: ${typeValue}` };
+      }
+      amount = Math.abs(amount);
+    } else {
+      // Signed amounts: negative means money out
+      type = amount < 0 ? 'expense' : 'income';
+      amount = Math.abs(amount);
+    }
+  }
+
+  return parseCashEntry({
+    date,
+    type,
+    amount,
+    description: cell(mapping.description),
+    client: cell(mapping.client)
+  });
+}
+
+export function duplicateKey(entry: { date: string; type: string; amount: number; description: string | null }): string {
+  return [entry.date, entry.type, entry.amount, entry.description || ''].join('\u0000');
+}
@@ -0,0 +1,96 @@
+// Plan entitlements - what each subscription plan (users.subscription_plan) may use.
+// Routes check these before creating books, transactions, receipts and team members.
+
+export type Plan = 'free' | 'basic' | 'professional';
+
+export type Entitlements = {
+  books: number | null; // null = unlimited
+  transactions_per_month: number | null; // per calendar month of the transaction date, all books
+  receipts: boolean;
+  members: number; // including the main user
+};
+
+export type LimitKey = 'books' | 'transactions_per_month' | 'receipts' | 'members';
+
+export const PLAN_ENTITLEMENTS: Record<Plan, Entitlements> = {
+  free: { books: 1, transactions_per_month: 30, receipts: false, members: 1 },
+  basic: { books: 3, transactions_per_month: null, receipts: true, members: 2 },
+  // Books beyond the 10 included are billed per 5 (従量課金), so they are not capped
+  professional: { books: null, transactions_per_month: null, receipts: true, members: 4 }
+};
+
+// Plan in effect: a cancelled subscription keeps its plan until its end date
+export function currentPlan(user: Record<string, any>): Plan {
+  const plan = user.subscription_plan as Plan;
+  if (!PLAN_ENTITLEMENTS[plan] || plan === 'free') {
+    return 'free';
+  }
+  if (user.subscription_status === 'active') {
+    return plan;
+  }
+  if (user.subscription_status === 'cancelled' && user.subscription_end_date && new Date(user.subscription_end_date) > new Date()) {
+    return plan;
+  }
+  return 'free';
+}
+
+export function getEntitlements(user: Record<string, any>): Entitlements {
+  return PLAN_ENTITLEMENTS[currentPlan(user)];
+}
+
+// Response body for requests over the plan's limit (sent with 403)
+export function planLimitError(plan: Plan, limit: LimitKey, details: { allowed?: number | null; current?: number; period?: string } = {}) {
+  return {
+    error: `Plan limit exceeded: the ${plan} plan does not allow more ${limit.replace(/_/g, ' ')}`,
+    code: 'plan_limit_exceeded',
+    plan,
+    limit,
+    allowed: details.allowed ?? null,
+    current: details.current ?? null,
+    ...(details.period ? { period: details.period } : {})
+  };
+}
+
+// Check that adding transactions on the given dates keeps every month within the plan's
+// monthly allowance. Pending (未確定) rows count once confirmed, unless countPending is set.
+// Returns the error body, or null when allowed.
+export async function checkTransactionQuota(
+  db: D1Database,
+  user: Record<string, any>,
+  dates: string[],
+  countPending = false
+) {
+  const plan = currentPlan(user);
+  const allowed = PLAN_ENTITLEMENTS[plan].transactions_per_month;
+  if (allowed === null || dates.length === 0) {
+    return null;
+  }
+
+  const adding = new Map<string, number>();
+  for (const date of dates) {
+    const period = date.slice(0, 7);
+    adding.set(period, (adding.get(period) || 0) + 1);
+  }
+
+  const periods = [...adding.keys()].sort();
+  const result = await db
+    .prepare(
+      `SELECT substr(t.date, 1, 7) as period, COUNT(*) as count
+       FROM transactions t
+       JOIN books b ON t.book_id = b.id
+       WHERE b.user_id = ? AND t.deleted_at IS NULL AND t.date BETWEEN ? AND ?
+         ${countPending ? '' : "AND t.status = 'confirmed'"}
+       GROUP BY period`
+    )
+    .bind(user.id, `${periods[0]}-01`, `${periods[periods.length - 1]}-31`)
+    .all();
+  const existing = new Map((result.results || []).map((row: any) => [row.period as string, row.count as number]));
+
+  for (const period of periods) {
+    const current = existing.get(period) || 0;
+    if (current + adding.get(period)! > allowed) {
+      return planLimitError(plan, 'transactions_per_month', { allowed, current, period });
+    }
+  }
+  return null;
+}
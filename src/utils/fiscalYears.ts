@@ -0,0 +1,67 @@
+// Fiscal years (会計年度) - a book's year starts in its fiscal_year_start_month and is
+// labelled by the calendar year it starts in (2024年度 = 2024-04-01 .. 2025-03-31).
+import { SIGNED_AMOUNT_SQL } from './ledger';
+import { periodRange } from './periods';
+
+export type FiscalYearRange = {
+  fiscal_year: number;
+  start_date: string;
+  end_date: string;
+  periods: string[]; // YYYY-MM of every month in the year
+};
+
+export function isStartMonth(value: any): boolean {
+  return Number.isInteger(value) && value >= 1 && value <= 12;
+}
+
+// Fiscal year a YYYY-MM-DD (or YYYY-MM) date falls in
+export function fiscalYearOf(date: string, startMonth: number): number {
+  const year = Number(date.slice(0, 4));
+  return Number(date.slice(5, 7)) >= startMonth ? year : year - 1;
+}
+
+export function fiscalYearRange(fiscalYear: number, startMonth: number): FiscalYearRange {
+  const first = `${fiscalYear}-${String(startMonth).padStart(2, '0')}`;
+  const lastMonth = startMonth === 1 ? 12 : startMonth - 1;
+  const lastYear = startMonth === 1 ? fiscalYear : fiscalYear + 1;
+  const last = `${lastYear}-${String(lastMonth).padStart(2, '0')}`;
+  const lastDay = new Date(Date.UTC(lastYear, lastMonth, 0)).getUTCDate();
+
+  return {
+    fiscal_year: fiscalYear,
+    start_date: `${first}-01`,
+    end_date: `${last}-${String(lastDay).padStart(2, '0')}`,
+    periods: periodRange(first, last)
+  };
+}
+
+// Balance brought into a date (exclusive). The latest closed fiscal year ending before it
+// carries its closing balance forward; without one, the book's opening balance is used.
+export async function openingBalanceAt(
+  db: D1Database,
+  bookId: number | string,
+  bookOpeningBalance: number,
+  date: string
+): Promise<number> {
+  const carried = await db
+    .prepare(
+      `SELECT end_date, closing_balance FROM fiscal_years
+       WHERE book_id = ? AND reopened_at IS NULL AND end_date < ?
+       ORDER BY end_date DESC LIMIT 1`
+    )
+    .bind(bookId, date)
+    .first();
+
+  const since = (carried?.end_date as string) || null;
+  const total = await db
+    .prepare(
+      `SELECT COALESCE(SUM(${SIGNED_AMOUNT_SQL}), 0) as total
+       FROM transactions
+       WHERE book_id = ? AND deleted_at IS NULL AND date < ? AND (? IS NULL OR date > ?)`
+    )
+    .bind(bookId, date, since, since)
+    .first();
+
+  const base = carried ? (carried.closing_balance as number) : bookOpeningBalance;
+  return base + ((total?.total as number) || 0);
+}
@@ -0,0 +1,70 @@
+// Transaction history - revision rows written in the same batch as each change, so
+// corrections and deletions stay traceable (電子帳簿保存法).
+
+export type RevisionAction = 'create' | 'update' | 'confirm' | 'delete' | 'restore';
+
+export type RevisionChanges = Record<string, [any, any]>;
+
+// transactions columns captured in every snapshot
+export const REVISION_FIELDS = [
+  'book_id', 'date', 'type', 'amount', 'description', 'client',
+  'account_subject_id', 'sub_account_id', 'tax_code', 'receipt_id',
+  'debit_account', 'debit_sub_account', 'debit_amount',
+  'credit_account', 'credit_sub_account', 'credit_amount',
+  'status', 'transfer_id', 'deleted_at'
+];
+
+const JOURNAL_LINE_FIELDS = [
+  'side', 'account', 'sub_account', 'account_subject_id', 'sub_account_id', 'amount', 'tax_code', 'description'
+];
+
+// JSON of a transactions row (aliased t) and its journal lines in line order
+const SNAPSHOT_SQL = `json_object(
+  ${REVISION_FIELDS.map(field => `'${field}', t.${field}`).join(', ')},
+  'lines', json((
+    SELECT json_group_array(json_object(${JOURNAL_LINE_FIELDS.map(field => `'${field}', ${field}`).join(', ')}))
+    FROM (SELECT * FROM journal_lines WHERE transaction_id = t.id ORDER BY line_no)
+  ))
+)`;
+
+// Timestamp in CURRENT_TIMESTAMP format. Soft delete/restore set deleted_at to a value
+// generated up front so the revision statement can find exactly the rows it changed.
+export function sqlTimestamp(date: Date = new Date()): string {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Record the current state of every transactions row matching the condition
+// (columns qualified with t.). Run it after the change in the same batch.
+export function revisionStatement(
+  db: D1Database,
+  where: string,
+  params: any[],
+  userId: number | null,
+  action: RevisionAction,
+  changes: RevisionChanges | null = null
+): D1PreparedStatement {
+  return db
+    .prepare(
+      `INSERT INTO transaction_revisions (transaction_id, user_id, action, snapshot, changes)
+       SELECT t.id, ?, ?, ${SNAPSHOT_SQL}, ? FROM transactions t WHERE ${where}`
+    )
+    .bind(userId, action, changes ? JSON.stringify(changes) : null, ...params);
+}
+
+// Fields whose value differs between the stored row and the values being written
+export function diffRevision(before: Record<string, any>, after: Record<string, any>): RevisionChanges {
+  const changes: RevisionChanges = {};
+  for (const field of Object.keys(after)) {
+    const previous = before[field] ?? null;
+    const next = after[field] ?? null;
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes[field] = [previous, next];
+    }
+  }
+  return changes;
+}
+
+// Journal lines reduced to the snapshot fields, for comparing before/after
+export function revisionLines(lines: Record<string, any>[]): Record<string, any>[] {
+  return lines.map(line => Object.fromEntries(JOURNAL_LINE_FIELDS.map(field => [field, line[field] ?? null])));
+}
@@ -0,0 +1,333 @@
+// Cash book entry helpers - validate single-entry input (入金/出金) and derive
+// the double-entry debit/credit columns stored alongside it.
+
+export type TransactionType = 'income' | 'expense';
+
+export const TAX_CODES = ['taxable-10', 'taxable-8', 'non-taxable', 'tax-exempt', 'out-of-scope'];
+
+// Counter account used when no 勘定科目 is chosen (matches the CSV exports)
+const DEFAULT_COUNTER_ACCOUNT: Record<TransactionType, string> = {
+  income: '売上高',
+  expense: '経費'
+};
+
+// Signed amount of a transactions row as seen from the book's own account.
+// Pending rows (unreviewed recurring entries) do not count towards balances or totals.
+export const SIGNED_AMOUNT_SQL = "CASE WHEN status = 'pending' THEN 0 WHEN type = 'income' THEN amount ELSE -amount END";
+export const INCOME_AMOUNT_SQL = "CASE WHEN status = 'confirmed' AND type = 'income' THEN amount ELSE 0 END";
+export const EXPENSE_AMOUNT_SQL = "CASE WHEN status = 'confirmed' AND type = 'expense' THEN amount ELSE 0 END";
+
+export type CashEntry = {
+  date: string;
+  type: TransactionType;
+  amount: number;
+  description: string | null;
+  client: string | null;
+  account_subject_id: number | null;
+  sub_account_id: number | null;
+  tax_code: string | null;
+  receipt_id: number | null;
+};
+
+export type LedgerColumns = {
+  debit_account: string;
+  debit_sub_account: string | null;
+  debit_amount: number;
+  credit_account: string;
+  credit_sub_account: string | null;
+  credit_amount: number;
+};
+
+// Counter account shown on the header row of a split (複合) transaction
+const SPLIT_COUNTER_ACCOUNT = '諸口';
+
+// One counter-side line of a split transaction, as entered
+export type SplitLine = {
+  account_subject_id: number | null;
+  sub_account_id: number | null;
+  amount: number;
+  tax_code: string | null;
+  description: string | null;
+};
+
+// One stored journal line; the cash line is on the opposite side of the split lines
+export type JournalLine = {
+  side: 'debit' | 'credit';
+  account: string;
+  sub_account: string | null;
+  account_subject_id: number | null;
+  sub_account_id: number | null;
+  amount: number;
+  tax_code: string | null;
+  description: string | null;
+};
+
+function toId(value: any): number | null {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const id = Number(value);
+  return Number.isInteger(id) && id > 0 ? id : NaN;
+}
+
+function toText(value: any): string | null {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  return text === '' ? null : text;
+}
+
+// Validate request input. Returns the normalized entry or an error message.
+export function parseCashEntry(input: any): { entry?: CashEntry; error?: string } {
+  if (!input.date || !/^\d{4}-\d{2}-\d{2}$/.test(input.date)) {
+    return { error: 'Date is required (YYYY-MM-DD)' };
+  }
+
+  if (input.type !== 'income' && input.type !== 'expense') {
+    return { error: "Type must be 'income' or 'expense'" };
+  }
+
+  const amount = Number(input.amount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { error: 'Amount must be a positive number' };
+  }
+
+  const taxCode = toText(input.tax_code);
+  if (taxCode !== null && !TAX_CODES.includes(taxCode)) {
+    return { error: `Unknown tax code: ${taxCode}` };
+  }
+
+  const accountSubjectId = toId(input.account_subject_id);
+  const subAccountId = toId(input.sub_account_id);
+  const receiptId = toId(input.receipt_id);
+  if (Number.isNaN(accountSubjectId) || Number.isNaN(subAccountId) || Number.isNaN(receiptId)) {
+    return { error: 'Invalid account subject, sub-account or receipt ID' };
+  }
+
+  if (subAccountId !== null && accountSubjectId === null) {
+    return { error: 'Sub-account requires an account subject' };
+  }
+
+  return {
+    entry: {
+      date: input.date,
+      type: input.type,
+      amount,
+      description: toText(input.description),
+      client: toText(input.client),
+      account_subject_id: accountSubjectId,
+      sub_account_id: subAccountId,
+      tax_code: taxCode,
+      receipt_id: receiptId
+    }
+  };
+}
+
+// Check that referenced subject/sub-account/receipt belong to the book, then derive
+// debit/credit: 入金 = (借) 管理口 / (貸) 科目, 出金 = (借) 科目 / (貸) 管理口
+export async function buildLedgerColumns(
+  db: D1Database,
+  bookId: number | string,
+  entry: CashEntry
+): Promise<{ columns?: LedgerColumns; error?: string }> {
+  const book = await db
+    .prepare('SELECT account_name FROM books WHERE id = ?')
+    .bind(bookId)
+    .first();
+
+  if (!book) {
+    return { error: 'Book not found' };
+  }
+
+  let counterAccount = DEFAULT_COUNTER_ACCOUNT[entry.type];
+  let counterSubAccount: string | null = null;
+
+  if (entry.account_subject_id !== null) {
+    const subject = await db
+      .prepare('SELECT name FROM account_subjects WHERE id = ? AND book_id = ?')
+      .bind(entry.account_subject_id, bookId)
+      .first();
+
+    if (!subject) {
+      return { error: 'Account subject not found in this book' };
+    }
+    counterAccount = subject.name as string;
+  }
+
+  if (entry.sub_account_id !== null) {
+    const subAccount = await db
+      .prepare('SELECT name FROM sub_accounts WHERE id = ? AND subject_id = ?')
+      .bind(entry.sub_account_id, entry.account_subject_id)
+      .first();
+
+    if (!subAccount) {
+      return { error: 'Sub-account not found under this account subject' };
+    }
+    counterSubAccount = subAccount.name as string;
+  }
+
+  if (entry.receipt_id !== null) {
+    const receipt = await db
+      .prepare('SELECT id FROM receipts WHERE id = ? AND book_id = ? AND deleted_at IS NULL')
+      .bind(entry.receipt_id, bookId)
+      .first();
+
+    if (!receipt) {
+      return { error: 'Receipt not found in this book' };
+    }
+  }
+
+  return {
+    columns: deriveLedgerColumns(book.account_name as string, entry, counterAccount, counterSubAccount)
+  };
+}
+
+// Debit/credit for an entry whose references are already resolved (or absent)
+export function deriveLedgerColumns(
+  cashAccount: string,
+  entry: CashEntry,
+  counterAccount: string = DEFAULT_COUNTER_ACCOUNT[entry.type],
+  counterSubAccount: string | null = null
+): LedgerColumns {
+  const income = entry.type === 'income';
+
+  return {
+    debit_account: income ? cashAccount : counterAccount,
+    debit_sub_account: income ? null : counterSubAccount,
+    debit_amount: entry.amount,
+    credit_account: income ? counterAccount : cashAccount,
+    credit_sub_account: income ? counterSubAccount : null,
+    credit_amount: entry.amount
+  };
+}
+
+// Validate split lines (two or more). The entry amount defaults to their sum and
+// must equal it when given.
+export function parseSplitLines(input: any, amount?: any): { lines?: SplitLine[]; total?: number; error?: string } {
+  if (!Array.isArray(input) || input.length < 2) {
+    return { error: 'Split transactions need at least two lines' };
+  }
+
+  const lines: SplitLine[] = [];
+  for (const [i, line] of input.entries()) {
+    const lineAmount = Number(line?.amount);
+    if (!Number.isFinite(lineAmount) || lineAmount <= 0) {
+      return { error: `Line ${i + 1}: amount must be a positive number` };
+    }
+
+    const taxCode = toText(line.tax_code);
+    if (taxCode !== null && !TAX_CODES.includes(taxCode)) {
+      return { error: `Line ${i + 1}: unknown tax code: ${taxCode}` };
+    }
+
+    const accountSubjectId = toId(line.account_subject_id);
+    const subAccountId = toId(line.sub_account_id);
+    if (Number.isNaN(accountSubjectId) || Number.isNaN(subAccountId)) {
+      return { error: `Line ${i + 1}: invalid account subject or sub-account ID` };
+    }
+    if (subAccountId !== null && accountSubjectId === null) {
+      return { error: `Line ${i + 1}: sub-account requires an account subject` };
+    }
+
+    lines.push({
+      account_subject_id: accountSubjectId,
+      sub_account_id: subAccountId,
+      amount: lineAmount,
+      tax_code: taxCode,
+      description: toText(line.description)
+    });
+  }
+
+  // Compare in yen-cents to avoid float drift
+  const total = lines.reduce((sum, line) => sum + Math.round(line.amount * 100), 0) / 100;
+  if (amount !== undefined && amount !== null && amount !== '' && Number(amount) !== total) {
+    return { error: 'Split line amounts must add up to the transaction amount' };
+  }
+
+  return { lines, total };
+}
+
+// Resolve split lines against the book and build balanced journal lines:
+// 出金 = (借) 各科目 / (貸) 管理口, 入金 = (借) 管理口 / (貸) 各科目.
+// The header row's columns show 諸口 as the counter account.
+export async function buildJournalLines(
+  db: D1Database,
+  bookId: number | string,
+  entry: CashEntry,
+  splits: SplitLine[]
+): Promise<{ lines?: JournalLine[]; columns?: LedgerColumns; error?: string }> {
+  const book = await db
+    .prepare('SELECT account_name FROM books WHERE id = ?')
+    .bind(bookId)
+    .first();
+
+  if (!book) {
+    return { error: 'Book not found' };
+  }
+
+  const counterSide = entry.type === 'expense' ? 'debit' : 'credit';
+  const lines: JournalLine[] = [];
+
+  for (const [i, split] of splits.entries()) {
+    let account = DEFAULT_COUNTER_ACCOUNT[entry.type];
+    let subAccount: string | null = null;
+
+    if (split.account_subject_id !== null) {
+      const subject = await db
+        .prepare('SELECT name FROM account_subjects WHERE id = ? AND book_id = ?')
+        .bind(split.account_subject_id, bookId)
+        .first();
+
+      if (!subject) {
+        return { error: `Line ${i + 1}: account subject not found in this book` };
+      }
+      account = subject.name as string;
+    }
+
+    if (split.sub_account_id !== null) {
+      const sub = await db
+        .prepare('SELECT name FROM sub_accounts WHERE id = ? AND subject_id = ?')
+        .bind(split.sub_account_id, split.account_subject_id)
+        .first();
+
+      if (!sub) {
+        return { error: `Line ${i + 1}: sub-account not found under this account subject` };
+      }
+      subAccount = sub.name as string;
+    }
+
+    lines.push({
+      side: counterSide,
+      account,
+      sub_account: subAccount,
+      account_subject_id: split.account_subject_id,
+      sub_account_id: split.sub_account_id,
+      amount: split.amount,
+      tax_code: split.tax_code,
+      description: split.description
+    });
+  }
+
+  lines.push({
+    side: counterSide === 'debit' ? 'credit' : 'debit',
+    account: book.account_name as string,
+    sub_account: null,
+    account_subject_id: null,
+    sub_account_id: null,
+    amount: entry.amount,
+    tax_code: null,
+    description: null
+  });
+
+  const sideTotal = (side: string) =>
+    lines.filter(line => line.side === side).reduce((sum, line) => sum + Math.round(line.amount * 100), 0);
+  if (sideTotal('debit') !== sideTotal('credit')) {
+    return { error: 'Journal lines do not balance (debit total must equal credit total)' };
+  }
+
+  return {
+    lines,
+    columns: deriveLedgerColumns(book.account_name as string, entry, SPLIT_COUNTER_ACCOUNT)
+  };
+}
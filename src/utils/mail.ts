@@ -0,0 +1,193 @@
+import type { Bindings } from '../middleware/auth';
+
+export type MailAttachment = {
+  filename: string;
+  content: string; // base64
+  contentType: string;
+};
+
+export type MailMessage = {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+  attachments?: MailAttachment[];
+};
+
+export interface MailTransport {
+  name: string;
+  send(message: MailMessage): Promise<void>;
+}
+
+const DEFAULT_FROM = 'ZENIBO <noreply@zenibo.app>';
+const CAPTURE_RETENTION_DAYS = 7;
+
+// "Name <address>" or a bare address
+function parseAddress(value: string): { email: string; name?: string } {
+  const match = value.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return match ? { email: match[2], ...(match[1] ? { name: match[1].replace(/^"|"$/g, '') } : {}) } : { email: value.trim() };
+}
+
+export function base64Encode(text: string): string {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+async function postJson(transport: string, url: string, headers: Record<string, string>, body: unknown): Promise<void> {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  if (!response.ok) {
+    throw new Error(`${transport} request failed: ${response.status} ${await response.text()}`);
+  }
+}
+
+// Capture transport - stores messages in mail_outbox instead of sending them. Messages older
+// than CAPTURE_RETENTION_DAYS are dropped as new ones come in.
+function captureTransport(db: D1Database, from: string): MailTransport {
+  return {
+    name: 'capture',
+    async send(message) {
+      await db.batch([
+        db
+          .prepare("DELETE FROM mail_outbox WHERE created_at < datetime('now', ?)")
+          .bind(`-${CAPTURE_RETENTION_DAYS} days`),
+        db
+          .prepare(
+            `INSERT INTO mail_outbox
+             (transport, from_address, to_address, subject, body_text, body_html, attachments)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`
+          )
+          .bind(
+            'capture',
+            from,
+            message.to,
+            message.subject,
+            message.text,
+            message.html || null,
+            message.attachments ? JSON.stringify(message.attachments) : null
+          )
+      ]);
+    }
+  };
+}
+
+// Resend (https://resend.com/docs/api-reference/emails/send-email)
+function resendTransport(apiKey: string, from: string): MailTransport {
+  return {
+    name: 'resend',
+    async send(message) {
+      await postJson(
+        'resend',
+        'https://api.resend.com/emails',
+        { Authorization: `Bearer ${apiKey}` },
+        {
+          from,
+          to: [message.to],
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+          attachments: message.attachments?.map(a => ({
+            filename: a.filename,
+            content: a.content,
+            content_type: a.contentType
+          }))
+        }
+      );
+    }
+  };
+}
+
+// SendGrid and MailChannels share the v3 mail/send body
+function personalizedBody(from: string, message: MailMessage) {
+  return {
+    personalizations: [{ to: [parseAddress(message.to)] }],
+    from: parseAddress(from),
+    subject: message.subject,
+    content: [
+      { type: 'text/plain', value: message.text },
+      ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+    ],
+    attachments: message.attachments?.map(a => ({
+      content: a.content,
+      filename: a.filename,
+      type: a.contentType,
+      disposition: 'attachment'
+    }))
+  };
+}
+
+// SendGrid (https://www.twilio.com/docs/sendgrid/api-reference/mail-send/mail-send)
+function sendGridTransport(apiKey: string, from: string): MailTransport {
+  return {
+    name: 'sendgrid',
+    async send(message) {
+      await postJson(
+        'sendgrid',
+        'https://api.sendgrid.com/v3/mail/send',
+        { Authorization: `Bearer ${apiKey}` },
+        personalizedBody(from, message)
+      );
+    }
+  };
+}
+
+// MailChannels Email API (https://docs.mailchannels.net/email-api/)
+function mailChannelsTransport(apiKey: string, from: string): MailTransport {
+  return {
+    name: 'mailchannels',
+    async send(message) {
+      await postJson(
+        'mailchannels',
+        'https://api.mailchannels.net/tx/v1/send',
+        { 'X-Api-Key': apiKey },
+        personalizedBody(from, message)
+      );
+    }
+  };
+}
+
+function requireKey(value: string | undefined, name: string, transport: string): string {
+  if (!value) {
+    throw new Error(`${name} is required for the ${transport} mail transport`);
+  }
+  return value;
+}
+
+// Select the transport named by MAIL_TRANSPORT. Returns null when mail is not configured;
+// capture has to be chosen explicitly, so a deployment never stores mail it should send.
+export function getMailTransport(env: Bindings): MailTransport | null {
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  switch (env.MAIL_TRANSPORT || 'none') {
+    case 'none':
+      return null;
+    case 'capture':
+      return captureTransport(env.DB, from);
+    case 'resend':
+      return resendTransport(requireKey(env.RESEND_API_KEY, 'RESEND_API_KEY', 'resend'), from);
+    case 'sendgrid':
+      return sendGridTransport(requireKey(env.SENDGRID_API_KEY, 'SENDGRID_API_KEY', 'sendgrid'), from);
+    case 'mailchannels':
+      return mailChannelsTransport(requireKey(env.MAILCHANNELS_API_KEY, 'MAILCHANNELS_API_KEY', 'mailchannels'), from);
+    default:
+      throw new Error(`Unknown mail transport: ${env.MAIL_TRANSPORT}`);
+  }
+}
+
+// Send a message; returns the name of the transport that took it. Throws when mail is not
+// configured, so callers never report unsent mail as sent.
+export async function sendMail(env: Bindings, message: MailMessage): Promise<string> {
+  const transport = getMailTransport(env);
+  if (!transport) {
+    throw new Error('Mail is not configured (MAIL_TRANSPORT is not set)');
+  }
+  await transport.send(message);
+  return transport.name;
+}
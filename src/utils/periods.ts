@@ -0,0 +1,62 @@
+// Closed periods (月次締め) - months locked against changes once a book's monthly
+// closing has been done. Periods are YYYY-MM strings.
+
+export type ClosedPeriod = { book_id: number; period: string };
+
+export function isPeriod(value: any): value is string {
+  return typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+}
+
+// Every month from..to inclusive
+export function periodRange(from: string, to: string): string[] {
+  const periods: string[] = [];
+  let [year, month] = from.split('-').map(Number);
+  const [toYear, toMonth] = to.split('-').map(Number);
+  while (year < toYear || (year === toYear && month <= toMonth)) {
+    periods.push(`${year}-${String(month).padStart(2, '0')}`);
+    month++;
+    if (month > 12) {
+      year++;
+      month = 1;
+    }
+  }
+  return periods;
+}
+
+// The first closed month among the given (book, date) pairs, or null when all are open
+export async function findClosedPeriod(
+  db: D1Database,
+  entries: { book_id: number | string; date: string }[]
+): Promise<ClosedPeriod | null> {
+  const bookIds = [...new Set(entries.map(entry => Number(entry.book_id)))];
+  if (bookIds.length === 0) {
+    return null;
+  }
+
+  const result = await db
+    .prepare(
+      `SELECT book_id, period FROM closed_periods
+       WHERE reopened_at IS NULL AND book_id IN (${bookIds.map(() => '?').join(', ')})`
+    )
+    .bind(...bookIds)
+    .all();
+
+  const closed = new Set((result.results || []).map((row: any) => `${row.book_id}:${row.period}`));
+  for (const entry of [...entries].sort((a, b) => a.date.localeCompare(b.date))) {
+    const period = entry.date.slice(0, 7);
+    if (closed.has(`${Number(entry.book_id)}:${period}`)) {
+      return { book_id: Number(entry.book_id), period };
+    }
+  }
+  return null;
+}
+
+// Response body for changes rejected because of a closed period (sent with 409)
+export function periodClosedError(closed: ClosedPeriod) {
+  return {
+    error: `Period ${closed.period} is closed. Reopen it before changing its transactions.`,
+    code: 'period_closed',
+    book_id: closed.book_id,
+    period: closed.period
+  };
+}
@@ -0,0 +1,154 @@
+// Receipt archive (電子帳簿保存法) - SHA-256 content hashes and a hash chain over each book's
+// receipts, so a changed, replaced or removed original (or row) is detected by verification.
+import { sqlTimestamp } from './history';
+
+export const GENESIS_HASH = '0'.repeat(64);
+
+// Fields covered by a receipt's chain_hash (all immutable once written, see migration 0018)
+export type ChainFields = {
+  book_id: number;
+  chain_seq: number;
+  content_hash: string;
+  filename: string;
+  file_size: number;
+  mime_type: string;
+  uploaded_at: string;
+  uploaded_by: number | null;
+};
+
+export type ArchiveError = {
+  receipt_id: number;
+  chain_seq: number | null;
+  error: string;
+};
+
+// Inserting with a chain_seq another upload took first fails on the unique index; retry then
+const MAX_APPEND_ATTEMPTS = 3;
+
+export async function sha256Hex(data: ArrayBuffer | Uint8Array | string): Promise<string> {
+  const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export async function chainHash(prevHash: string, fields: ChainFields): Promise<string> {
+  // JSON keeps the encoding unambiguous whatever the file name contains
+  return sha256Hex(
+    JSON.stringify([
+      prevHash,
+      fields.book_id,
+      fields.chain_seq,
+      fields.content_hash,
+      fields.filename,
+      fields.file_size,
+      fields.mime_type,
+      fields.uploaded_at,
+      fields.uploaded_by
+    ])
+  );
+}
+
+// Insert a receipt row as the next link of its book's chain. Returns the insert result.
+export async function appendReceipt(
+  db: D1Database,
+  receipt: Omit<ChainFields, 'chain_seq' | 'uploaded_at'> & { file_path: string; thumbnail_path: string | null; display_path: string | null }
+): Promise<D1Result> {
+  for (let attempt = 1; ; attempt++) {
+    const last = await db
+      .prepare(
+        `SELECT chain_seq, chain_hash FROM receipts
+         WHERE book_id = ? AND chain_seq IS NOT NULL ORDER BY chain_seq DESC LIMIT 1`
+      )
+      .bind(receipt.book_id)
+      .first();
+
+    const fields: ChainFields = {
+      ...receipt,
+      chain_seq: ((last?.chain_seq as number) || 0) + 1,
+      uploaded_at: sqlTimestamp()
+    };
+    const hash = await chainHash((last?.chain_hash as string) || GENESIS_HASH, fields);
+
+    try {
+      return await db
+        .prepare(
+          `INSERT INTO receipts
+           (book_id, filename, file_path, file_size, mime_type, uploaded_at, uploaded_by,
+            content_hash, chain_seq, chain_hash, thumbnail_path, display_path)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+        )
+        .bind(
+          fields.book_id,
+          fields.filename,
+          receipt.file_path,
+          fields.file_size,
+          fields.mime_type,
+          fields.uploaded_at,
+          fields.uploaded_by,
+          fields.content_hash,
+          fields.chain_seq,
+          hash,
+          receipt.thumbnail_path,
+          receipt.display_path
+        )
+        .run();
+    } catch (error: any) {
+      if (attempt >= MAX_APPEND_ATTEMPTS || !String(error?.message).includes('UNIQUE')) {
+        throw error;
+      }
+    }
+  }
+}
+
+// Recompute a book's chain from its rows (ordered by chain_seq). Reports rows whose fields no
+// longer hash to their chain_hash, broken links and missing links (gaps in chain_seq).
+export async function verifyChain(rows: Record<string, any>[]): Promise<ArchiveError[]> {
+  const errors: ArchiveError[] = [];
+  let prevHash = GENESIS_HASH;
+  let expectedSeq = 1;
+
+  for (const row of rows) {
+    if (row.chain_seq !== expectedSeq) {
+      errors.push({ receipt_id: row.id, chain_seq: row.chain_seq, error: `Chain link ${expectedSeq} is missing` });
+    }
+
+    const hash = await chainHash(prevHash, {
+      book_id: row.book_id,
+      chain_seq: row.chain_seq,
+      content_hash: row.content_hash,
+      filename: row.filename,
+      file_size: row.file_size,
+      mime_type: row.mime_type,
+      uploaded_at: row.uploaded_at,
+      uploaded_by: row.uploaded_by
+    });
+    if (hash !== row.chain_hash) {
+      errors.push({ receipt_id: row.id, chain_seq: row.chain_seq, error: 'Receipt record does not match its chain hash' });
+    }
+
+    // Continue from the stored hash so one bad row is reported once, not for the rest of the chain
+    prevHash = row.chain_hash;
+    expectedSeq = row.chain_seq + 1;
+  }
+
+  return errors;
+}
+
+// Re-hash the stored originals of (non-deleted) chained receipts against content_hash
+export async function verifyFiles(bucket: R2Bucket, rows: Record<string, any>[]): Promise<ArchiveError[]> {
+  const errors: ArchiveError[] = [];
+
+  for (const row of rows) {
+    if (row.deleted_at) continue;
+    const object = await bucket.get(row.file_path);
+    if (!object) {
+      errors.push({ receipt_id: row.id, chain_seq: row.chain_seq, error: 'Original file is missing' });
+      continue;
+    }
+    if ((await sha256Hex(await object.arrayBuffer())) !== row.content_hash) {
+      errors.push({ receipt_id: row.id, chain_seq: row.chain_seq, error: 'Original file does not match its content hash' });
+    }
+  }
+
+  return errors;
+}
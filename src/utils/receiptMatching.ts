@@ -0,0 +1,146 @@
+// Receipt matching (証憑の自動照合) - score a book's transactions against an unlinked receipt
+// by amount, date proximity and merchant/client similarity, using the receipt's OCR result.
+import type { ReceiptExtraction } from './receiptOcr';
+
+export type MatchCandidate = {
+  transaction_id: number;
+  date: string;
+  amount: number;
+  client: string | null;
+  description: string | null;
+  score: number; // 0-1
+  reasons: ('amount' | 'date' | 'client')[];
+};
+
+// Transactions further than this from the receipt date are not candidates
+export const MATCH_WINDOW_DAYS = 7;
+// When no date was read, transactions up to a month before the upload are considered
+export const UPLOAD_WINDOW_DAYS = 31;
+
+const MIN_SCORE = 0.3;
+const MAX_CANDIDATES = 3;
+
+const WEIGHTS = { amount: 0.5, date: 0.3, client: 0.2 };
+
+function daysBetween(a: string, b: string): number {
+  return Math.round((Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86400000);
+}
+
+// Company names differ by legal-form words, spacing and width between receipts and entries
+function normalizeName(value: string): string {
+  return value
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/株式会社|有限会社|合同会社|\(株\)|\(有\)|\s|・|-/g, '');
+}
+
+function bigrams(value: string): string[] {
+  if (value.length < 2) return value ? [value] : [];
+  const result: string[] = [];
+  for (let i = 0; i < value.length - 1; i++) {
+    result.push(value.slice(i, i + 2));
+  }
+  return result;
+}
+
+// Dice coefficient on character bigrams (works for Japanese, where words aren't space-separated)
+export function nameSimilarity(a: string | null, b: string | null): number {
+  if (!a || !b) return 0;
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y || x.includes(y) || y.includes(x)) return 1;
+
+  const remaining = bigrams(y);
+  const xs = bigrams(x);
+  let shared = 0;
+  for (const gram of xs) {
+    const index = remaining.indexOf(gram);
+    if (index >= 0) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  }
+  return (2 * shared) / (xs.length + bigrams(y).length);
+}
+
+// Date range to load candidate transactions from for a receipt
+export function candidateRange(extraction: ReceiptExtraction | null, uploadedDate: string): { from: string; to: string } {
+  const shift = (date: string, days: number) =>
+    new Date(Date.parse(`${date}T00:00:00Z`) + days * 86400000).toISOString().slice(0, 10);
+
+  if (extraction?.date) {
+    return { from: shift(extraction.date, -MATCH_WINDOW_DAYS), to: shift(extraction.date, MATCH_WINDOW_DAYS) };
+  }
+  return { from: shift(uploadedDate, -UPLOAD_WINDOW_DAYS), to: shift(uploadedDate, 1) };
+}
+
+// Score transactions (already limited to the receipt's book, unlinked and not deleted) against
+// a receipt. Returns the best candidates above the minimum score, highest first. A candidate
+// must agree on at least one of amount, date or name, so receipts not read yet get none.
+export function scoreCandidates(
+  extraction: ReceiptExtraction | null,
+  uploadedDate: string,
+  transactions: { id: number; date: string; amount: number; client: string | null; description: string | null }[]
+): MatchCandidate[] {
+  const { from, to } = candidateRange(extraction, uploadedDate);
+  const candidates: MatchCandidate[] = [];
+
+  for (const t of transactions) {
+    if (t.date < from || t.date > to) continue;
+
+    const reasons: MatchCandidate['reasons'] = [];
+    let score = 0;
+
+    if (extraction?.total != null && Math.abs(t.amount) === extraction.total) {
+      score += WEIGHTS.amount;
+      reasons.push('amount');
+    }
+
+    // Full weight on the same day, none past the window
+    if (extraction?.date) {
+      const distance = Math.abs(daysBetween(t.date, extraction.date));
+      score += WEIGHTS.date * Math.max(0, 1 - distance / (MATCH_WINDOW_DAYS + 1));
+      if (distance <= 1) reasons.push('date');
+    }
+
+    const similarity = Math.max(
+      nameSimilarity(extraction?.merchant ?? null, t.client),
+      nameSimilarity(extraction?.merchant ?? null, t.description)
+    );
+    if (similarity > 0) {
+      score += WEIGHTS.client * similarity;
+      if (similarity >= 0.5) reasons.push('client');
+    }
+
+    if (reasons.length > 0 && score >= MIN_SCORE) {
+      candidates.push({
+        transaction_id: t.id,
+        date: t.date,
+        amount: t.amount,
+        client: t.client,
+        description: t.description,
+        score: Math.round(score * 100) / 100,
+        reasons
+      });
+    }
+  }
+
+  return candidates.sort((a, b) => b.score - a.score || a.transaction_id - b.transaction_id).slice(0, MAX_CANDIDATES);
+}
+
+// Propose one transaction per receipt: best scores first, each transaction used once
+export function assignMatches(results: { receipt_id: number; candidates: MatchCandidate[] }[]): Map<number, number> {
+  const pairs = results
+    .flatMap(r => r.candidates.map(c => ({ receipt_id: r.receipt_id, transaction_id: c.transaction_id, score: c.score })))
+    .sort((a, b) => b.score - a.score);
+
+  const assigned = new Map<number, number>();
+  const used = new Set<number>();
+  for (const pair of pairs) {
+    if (assigned.has(pair.receipt_id) || used.has(pair.transaction_id)) continue;
+    assigned.set(pair.receipt_id, pair.transaction_id);
+    used.add(pair.transaction_id);
+  }
+  return assigned;
+}
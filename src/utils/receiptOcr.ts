@@ -0,0 +1,258 @@
+// Receipt OCR (証憑の読み取り) - a provider turns the file into text, then parseReceiptText
+// picks out the fields the entry form pre-fills. The provider is chosen with OCR_PROVIDER.
+import type { Bindings } from '../middleware/auth';
+
+export type TaxBreakdown = {
+  rate: number; // 10 or 8 (軽減税率)
+  amount: number | null; // 対象額 (tax included)
+  tax: number | null; // 消費税額
+};
+
+export type ReceiptExtraction = {
+  date: string | null; // YYYY-MM-DD
+  total: number | null;
+  tax: TaxBreakdown[];
+  merchant: string | null;
+  registration_number: string | null; // 適格請求書発行事業者登録番号 (T + 13 digits)
+};
+
+export interface OcrProvider {
+  name: string;
+  recognize(bytes: Uint8Array, mimeType: string): Promise<string>;
+}
+
+// Stub provider - returns the same sample receipt for every file, for local development and tests
+const STUB_RECEIPT_TEXT = [
+  '株式会社ゼニボ商店',
+  '東京都千代田区丸の内1-1-1',
+  'TEL 03-0000-0000',
+  '登録番号 T7123456789012',
+  '領収書',
+  '2025年1月15日 12:34',
+  'コピー用紙 ¥880',
+  'ボールペン ※ ¥540',
+  '小計 ¥1,420',
+  '合計 ¥1,420',
+  '(10%対象 ¥880 内消費税 ¥80)',
+  '(8%対象 ¥540 内消費税 ¥40)',
+  '※は軽減税率対象商品です'
+].join('\n');
+
+function stubProvider(): OcrProvider {
+  return {
+    name: 'stub',
+    async recognize() {
+      return STUB_RECEIPT_TEXT;
+    }
+  };
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Google Cloud Vision (DOCUMENT_TEXT_DETECTION). PDFs go through files:annotate, first page only.
+function googleVisionProvider(apiKey: string): OcrProvider {
+  return {
+    name: 'google_vision',
+    async recognize(bytes, mimeType) {
+      if (mimeType === 'image/heic') {
+        throw new Error('HEIC receipts cannot be read by google_vision');
+      }
+
+      const content = toBase64(bytes);
+      const features = [{ type: 'DOCUMENT_TEXT_DETECTION' }];
+      const isPdf = mimeType === 'application/pdf';
+      const request = isPdf
+        ? { inputConfig: { content, mimeType }, features, pages: [1] }
+        : { image: { content }, features, imageContext: { languageHints: ['ja'] } };
+
+      const response = await fetch(
+        `https://vision.googleapis.com/v1/${isPdf ? 'files' : 'images'}:annotate?key=${encodeURIComponent(apiKey)}`,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ requests: [request] })
+        }
+      );
+      if (!response.ok) {
+        throw new Error(`google_vision request failed: ${response.status} ${await response.text()}`);
+      }
+
+      const data: any = await response.json();
+      const result = isPdf ? data.responses?.[0]?.responses?.[0] : data.responses?.[0];
+      if (result?.error) {
+        throw new Error(`google_vision error: ${result.error.message}`);
+      }
+      return result?.fullTextAnnotation?.text || '';
+    }
+  };
+}
+
+// Select the provider named by OCR_PROVIDER. Returns null when OCR is not configured.
+export function getOcrProvider(env: Bindings): OcrProvider | null {
+  switch (env.OCR_PROVIDER || 'none') {
+    case 'none':
+      return null;
+    case 'stub':
+      return stubProvider();
+    case 'google_vision':
+      if (!env.GOOGLE_VISION_API_KEY) {
+        throw new Error('GOOGLE_VISION_API_KEY is required for the google_vision OCR provider');
+      }
+      return googleVisionProvider(env.GOOGLE_VISION_API_KEY);
+    default:
+      throw new Error(`Unknown OCR provider: ${env.OCR_PROVIDER}`);
+  }
+}
+
+const AMOUNT_PATTERN = /[¥\\]?\s*(-?\d{1,3}(?:,\d{3})+|-?\d+)\s*円?/g;
+
+function amountsIn(text: string): number[] {
+  return [...text.matchAll(AMOUNT_PATTERN)].map(match => Number(match[1].replace(/,/g, '')));
+}
+
+function validDate(year: number, month: number, day: number): string | null {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function parseDate(text: string): string | null {
+  // 令和 (R) years: 令和元年 = 2019
+  const reiwa = text.match(/(?:令和|R)\s*(元|\d{1,2})\s*[年./]\s*(\d{1,2})\s*[月./]\s*(\d{1,2})/);
+  if (reiwa) {
+    const year = reiwa[1] === '元' ? 1 : Number(reiwa[1]);
+    const date = validDate(2018 + year, Number(reiwa[2]), Number(reiwa[3]));
+    if (date) return date;
+  }
+
+  for (const match of text.matchAll(/(\d{4}|\d{2})\s*[年./-]\s*(\d{1,2})\s*[月./-]\s*(\d{1,2})/g)) {
+    const year = match[1].length === 2 ? 2000 + Number(match[1]) : Number(match[1]);
+    const date = validDate(year, Number(match[2]), Number(match[3]));
+    if (date) return date;
+  }
+  return null;
+}
+
+// Lines that carry the amount paid, most specific first. 小計 and tax lines are not totals.
+const TOTAL_LABELS = [/総合計|税込合計|お買上合計|お買上計|ご請求額|領収金額/, /合計|計/, /金額/];
+const NOT_TOTAL = /小計|対象|消費税|税額|内税|外税|点数|お預り|お預かり|お釣り|釣銭/;
+
+function parseTotal(lines: string[]): number | null {
+  for (const label of TOTAL_LABELS) {
+    for (const line of lines) {
+      if (!label.test(line) || NOT_TOTAL.test(line)) continue;
+      const amounts = amountsIn(line.replace(/^.*?(?:総合計|税込合計|お買上合計|お買上計|ご請求額|領収金額|合計|計|金額)/, ''));
+      if (amounts.length > 0) {
+        return amounts[amounts.length - 1];
+      }
+    }
+  }
+  return null;
+}
+
+// "(10%対象 ¥880 内消費税 ¥80)" or separate "8%対象 ¥540" / "消費税(8%) ¥40" lines.
+// A tax line without a rate ("内消費税等 ¥160") is used when the receipt has a single rate.
+function parseTaxBreakdown(lines: string[]): TaxBreakdown[] {
+  const byRate = new Map<number, TaxBreakdown>();
+  const entry = (rate: number) => {
+    if (!byRate.has(rate)) byRate.set(rate, { rate, amount: null, tax: null });
+    return byRate.get(rate)!;
+  };
+
+  let unratedTax: number | null = null;
+
+  for (const line of lines) {
+    const rateMatch = line.match(/(10|8)\s*%/);
+    if (!rateMatch) {
+      const tax = line.match(/消費税[等額]?[^\d¥\\]*([¥\\]?\s*[\d,]+)/);
+      if (tax && unratedTax === null) {
+        unratedTax = amountsIn(tax[1])[0] ?? null;
+      }
+      continue;
+    }
+    const rate = Number(rateMatch[1]);
+    const rest = line.slice(rateMatch.index! + rateMatch[0].length);
+
+    const target = rest.match(/対象[^\d¥\\-]*([¥\\]?\s*[\d,]+)/);
+    if (target) {
+      entry(rate).amount = amountsIn(target[1])[0] ?? null;
+    }
+    const tax = line.match(/税[額等]?\s*(?:\(\s*(?:10|8)\s*%\s*\))?[^\d¥\\]*([¥\\]?\s*[\d,]+)/);
+    if (tax && (!target || tax.index! > line.indexOf('対象'))) {
+      entry(rate).tax = amountsIn(tax[1])[0] ?? null;
+    }
+  }
+
+  if (byRate.size === 1 && unratedTax !== null) {
+    const only = [...byRate.values()][0];
+    only.tax = only.tax ?? unratedTax;
+  }
+
+  return [...byRate.values()].filter(t => t.amount !== null || t.tax !== null).sort((a, b) => b.rate - a.rate);
+}
+
+// 登録番号 check digit - the same scheme as 法人番号 (the first digit checks the other twelve)
+function validRegistrationNumber(digits: string): boolean {
+  const body = digits.slice(1);
+  let sum = 0;
+  for (let n = 1; n <= 12; n++) {
+    sum += Number(body[12 - n]) * (n % 2 === 1 ? 1 : 2);
+  }
+  return Number(digits[0]) === 9 - (sum % 9);
+}
+
+function parseRegistrationNumber(text: string): string | null {
+  for (const match of text.matchAll(/T[\s:-]*((?:\d[\s-]?){12}\d)/g)) {
+    const digits = match[1].replace(/[\s-]/g, '');
+    if (validRegistrationNumber(digits)) {
+      return `T${digits}`;
+    }
+  }
+  return null;
+}
+
+// Merchant: a company-looking line near the top, else the first line that isn't a heading,
+// date, amount, address or phone number
+const COMPANY = /株式会社|\(株\)|有限会社|合同会社|商店|店$/;
+const NOT_MERCHANT = /^(領収書|領収証|レシート|御?明細書?)$|登録番号|TEL|電話|〒|^\S+?[都道府県]\S*?[市区町村]|\d{2,4}[年./-]|[¥\\]|^[\d\s\-:,.]+$/;
+
+function parseMerchant(lines: string[]): string | null {
+  const head = lines.slice(0, 6);
+  const company = head.find(line => COMPANY.test(line) && !/登録番号|TEL|電話/.test(line));
+  if (company) return company;
+  return head.find(line => !NOT_MERCHANT.test(line)) || null;
+}
+
+// Extract suggested entry fields from OCR text. Anything not found is null.
+export function parseReceiptText(text: string): ReceiptExtraction {
+  // NFKC folds full-width digits, letters and symbols (１２３, ￥, ％) into ASCII
+  const normalized = text.normalize('NFKC');
+  const lines = normalized
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line.length > 0);
+
+  return {
+    date: parseDate(normalized),
+    total: parseTotal(lines),
+    tax: parseTaxBreakdown(lines),
+    merchant: parseMerchant(lines),
+    registration_number: parseRegistrationNumber(normalized)
+  };
+}
+
+export async function extractReceipt(
+  provider: OcrProvider,
+  bytes: Uint8Array,
+  mimeType: string
+): Promise<ReceiptExtraction> {
+  return parseReceiptText(await provider.recognize(bytes, mimeType));
+}
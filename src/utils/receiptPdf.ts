@@ -0,0 +1,332 @@
+// Receipt PDF (証憑PDF) - one A4 page with the transaction's details over the receipt image,
+// written with an embedded (subset) Japanese TrueType font so it reads the same on every
+// device. The font is a .ttf object in the RECEIPTS bucket (PDF_FONT_KEY).
+import type { Bindings } from '../middleware/auth';
+import { parseTrueType, subsetTrueType, type TrueTypeFont } from './trueType';
+
+export const DEFAULT_PDF_FONT_KEY = 'fonts/NotoSansJP-Regular.ttf';
+
+export type PdfImage = {
+  width: number;
+  height: number;
+  colorSpace: 'DeviceGray' | 'DeviceRGB' | 'DeviceCMYK';
+  filter: 'DCTDecode' | 'FlateDecode';
+  decodeParms?: string;
+  data: Uint8Array;
+};
+
+export type ReceiptPdfContent = {
+  title: string;
+  fields: [string, string][]; // label, value
+  footer: string[]; // small print under the fields
+  image: PdfImage | null;
+  imageNote: string; // shown instead of the image when there is none
+};
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+
+// Parsed fonts, kept for the life of the isolate (the font file is several MB)
+const fontCache = new Map<string, TrueTypeFont>();
+
+// The configured font, or null when it has not been uploaded to the bucket
+export async function getPdfFont(env: Bindings): Promise<TrueTypeFont | null> {
+  const key = env.PDF_FONT_KEY || DEFAULT_PDF_FONT_KEY;
+  if (!fontCache.has(key)) {
+    const object = await env.RECEIPTS.get(key);
+    if (!object) {
+      return null;
+    }
+    fontCache.set(key, parseTrueType(new Uint8Array(await object.arrayBuffer())));
+  }
+  return fontCache.get(key)!;
+}
+
+// JPEG: embedded as is; only the frame header is read for the size and color components
+export function jpegImage(data: Uint8Array): PdfImage | null {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    const length = (data[offset + 2] << 8) | data[offset + 3];
+    // SOF0-SOF15 except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      const components = data[offset + 9];
+      return {
+        height: (data[offset + 5] << 8) | data[offset + 6],
+        width: (data[offset + 7] << 8) | data[offset + 8],
+        colorSpace: components === 1 ? 'DeviceGray' : components === 4 ? 'DeviceCMYK' : 'DeviceRGB',
+        filter: 'DCTDecode',
+        data
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+// PNG: 8-bit grayscale or RGB without interlacing can be embedded as its zlib data with the
+// PNG predictors. Others (alpha, palette, 16-bit) return null.
+export function pngImage(data: Uint8Array): PdfImage | null {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const width = view.getUint32(16);
+  const height = view.getUint32(20);
+  const bitDepth = data[24];
+  const colorType = data[25];
+  const interlace = data[28];
+  if (bitDepth !== 8 || (colorType !== 0 && colorType !== 2) || interlace !== 0) {
+    return null;
+  }
+
+  const chunks: Uint8Array[] = [];
+  for (let offset = 8; offset + 8 <= data.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    if (type === 'IDAT') chunks.push(data.subarray(offset + 8, offset + 8 + length));
+    if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  const colors = colorType === 2 ? 3 : 1;
+  return {
+    width,
+    height,
+    colorSpace: colors === 3 ? 'DeviceRGB' : 'DeviceGray',
+    filter: 'FlateDecode',
+    decodeParms: `<< /Predictor 15 /Colors ${colors} /BitsPerComponent 8 /Columns ${width} >>`,
+    data: concat(chunks)
+  };
+}
+
+function concat(parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+async function deflate(data: Uint8Array): Promise<Uint8Array> {
+  const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function hex(value: number, digits: number): string {
+  return value.toString(16).toUpperCase().padStart(digits, '0');
+}
+
+// Text set in the embedded font: glyph ids for Identity-H, widths for layout. Records the
+// glyphs used (with their code points, for ToUnicode) so the font can be subset afterwards.
+function pdfText(font: TrueTypeFont) {
+  const used = new Map<number, number>();
+
+  const glyphs = (text: string) =>
+    [...text].map(ch => {
+      const code = ch.codePointAt(0)!;
+      const gid = font.cmap.get(code) ?? 0;
+      if (gid !== 0 && !used.has(gid)) used.set(gid, code);
+      return gid;
+    });
+
+  const width = (text: string, size: number) =>
+    glyphs(text).reduce((sum, gid) => sum + font.advances[gid], 0) * (size / font.unitsPerEm);
+
+  return {
+    used,
+    width,
+    // Text operator drawing the text at (x, y)
+    show(text: string, x: number, y: number, size: number): string {
+      const codes = glyphs(text).map(gid => hex(gid, 4)).join('');
+      return `BT /F1 ${size} Tf ${x.toFixed(2)} ${y.toFixed(2)} Td <${codes}> Tj ET`;
+    },
+    // Break text into lines no wider than maxWidth (Japanese has no spaces to break at)
+    wrap(text: string, size: number, maxWidth: number): string[] {
+      const lines: string[] = [];
+      let line = '';
+      for (const ch of text) {
+        if (line && width(line + ch, size) > maxWidth) {
+          lines.push(line);
+          line = '';
+        }
+        line += ch;
+      }
+      lines.push(line);
+      return lines;
+    }
+  };
+}
+
+function toUnicodeCMap(used: Map<number, number>): string {
+  const entries = [...used].map(([gid, code]) => {
+    const utf16 = String.fromCodePoint(code);
+    const units = Array.from({ length: utf16.length }, (_, i) => hex(utf16.charCodeAt(i), 4)).join('');
+    return `<${hex(gid, 4)}> <${units}>`;
+  });
+  const blocks: string[] = [];
+  for (let i = 0; i < entries.length; i += 100) {
+    const block = entries.slice(i, i + 100);
+    blocks.push(`${block.length} beginbfchar\n${block.join('\n')}\nendbfchar`);
+  }
+  return [
+    '/CIDInit /ProcSet findresource begin',
+    '12 dict begin',
+    'begincmap',
+    '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+    '/CMapName /Adobe-Identity-UCS def',
+    '/CMapType 2 def',
+    '1 begincodespacerange',
+    '<0000> <FFFF>',
+    'endcodespacerange',
+    ...blocks,
+    'endcmap',
+    'CMapName currentdict /CMap defineresource pop',
+    'end',
+    'end'
+  ].join('\n');
+}
+
+// Six capital letters derived from the glyph set, as PDF requires for subset font names
+function subsetTag(glyphs: number[]): string {
+  let hash = 0;
+  for (const gid of glyphs) hash = (hash * 31 + gid) >>> 0;
+  let tag = '';
+  for (let i = 0; i < 6; i++) {
+    tag += String.fromCharCode(65 + (hash % 26));
+    hash = Math.floor(hash / 26);
+  }
+  return tag;
+}
+
+// Lay out the page and write the PDF
+export async function buildReceiptPdf(font: TrueTypeFont, content: ReceiptPdfContent): Promise<Uint8Array> {
+  const text = pdfText(font);
+  const ops: string[] = [];
+  const usableWidth = PAGE_WIDTH - MARGIN * 2;
+
+  // Title
+  const titleSize = 16;
+  let y = PAGE_HEIGHT - MARGIN - titleSize;
+  ops.push(text.show(content.title, (PAGE_WIDTH - text.width(content.title, titleSize)) / 2, y, titleSize));
+  y -= 28;
+
+  // Fields: label column, then the value wrapped to at most three lines
+  const fieldSize = 10.5;
+  const valueX = MARGIN + 70;
+  for (const [label, value] of content.fields) {
+    ops.push(text.show(label, MARGIN, y, fieldSize));
+    for (const line of text.wrap(value, fieldSize, PAGE_WIDTH - MARGIN - valueX).slice(0, 3)) {
+      ops.push(text.show(line, valueX, y, fieldSize));
+      y -= 17;
+    }
+  }
+
+  const footerSize = 7.5;
+  y -= 2;
+  ops.push('0.4 g');
+  for (const line of content.footer) {
+    ops.push(text.show(line, MARGIN, y, footerSize));
+    y -= 11;
+  }
+  ops.push('0 g');
+
+  y -= 2;
+  ops.push(`0.7 G 0.5 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+  y -= 12;
+
+  // Image scaled to fit the rest of the page
+  const image = content.image;
+  if (image) {
+    const scale = Math.min(usableWidth / image.width, (y - MARGIN) / image.height, 1);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    const x = MARGIN + (usableWidth - width) / 2;
+    ops.push(`q ${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${(y - height).toFixed(2)} cm /Im1 Do Q`);
+  } else {
+    ops.push('0.4 g', text.show(content.imageNote, MARGIN, y - 12, fieldSize), '0 g');
+  }
+
+  // Objects, numbered from 1; the font subset needs the glyphs the page used
+  const encoder = new TextEncoder();
+  const objects: Uint8Array[] = [];
+  const add = (body: string | Uint8Array) => {
+    objects.push(typeof body === 'string' ? encoder.encode(body) : body);
+    return objects.length;
+  };
+  const stream = (dict: string, data: Uint8Array) =>
+    concat([encoder.encode(`<< ${dict} /Length ${data.length} >>\nstream\n`), data, encoder.encode('\nendstream')]);
+
+  const glyphs = [...text.used.keys()].sort((a, b) => a - b);
+  const scale = 1000 / font.unitsPerEm;
+  const widths = glyphs.map(gid => `${gid} [${Math.round(font.advances[gid] * scale)}]`).join(' ');
+  const baseFont = `${subsetTag(glyphs)}+${font.postScriptName}`;
+
+  const subset = subsetTrueType(font, glyphs);
+  const fontFile = add(stream(`/Filter /FlateDecode /Length1 ${subset.length}`, await deflate(subset)));
+
+  const descriptor = add(
+    `<< /Type /FontDescriptor /FontName /${baseFont} /Flags 4 ` +
+      `/FontBBox [${font.bbox.map(v => Math.round(v * scale)).join(' ')}] /ItalicAngle 0 ` +
+      `/Ascent ${Math.round(font.ascent * scale)} /Descent ${Math.round(font.descent * scale)} ` +
+      `/CapHeight ${Math.round(font.ascent * scale)} /StemV 80 /FontFile2 ${fontFile} 0 R >>`
+  );
+  const cidFont = add(
+    `<< /Type /Font /Subtype /CIDFontType2 /BaseFont /${baseFont} ` +
+      `/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >> ` +
+      `/FontDescriptor ${descriptor} 0 R /DW 1000 /W [${widths}] /CIDToGIDMap /Identity >>`
+  );
+  const toUnicode = add(stream('/Filter /FlateDecode', await deflate(encoder.encode(toUnicodeCMap(text.used)))));
+  const type0 = add(
+    `<< /Type /Font /Subtype /Type0 /BaseFont /${baseFont} /Encoding /Identity-H ` +
+      `/DescendantFonts [${cidFont} 0 R] /ToUnicode ${toUnicode} 0 R >>`
+  );
+
+  let xObject = '';
+  if (image) {
+    const imageObject = add(
+      stream(
+        `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+          `/ColorSpace /${image.colorSpace} /BitsPerComponent 8 /Filter /${image.filter}` +
+          (image.decodeParms ? ` /DecodeParms ${image.decodeParms}` : ''),
+        image.data
+      )
+    );
+    xObject = ` /XObject << /Im1 ${imageObject} 0 R >>`;
+  }
+
+  const contents = add(stream('/Filter /FlateDecode', await deflate(encoder.encode(ops.join('\n')))));
+  const pagesId = objects.length + 2;
+  const page = add(
+    `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${type0} 0 R >>${xObject} >> /Contents ${contents} 0 R >>`
+  );
+  add(`<< /Type /Pages /Kids [${page} 0 R] /Count 1 >>`);
+  const catalog = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  // Header (with a binary comment line), objects, cross-reference table, trailer
+  const parts: Uint8Array[] = [encoder.encode('%PDF-1.7\n%\xe2\xe3\xcf\xd3\n')];
+  let offset = parts[0].length;
+  const offsets: number[] = [];
+  objects.forEach((body, i) => {
+    offsets.push(offset);
+    const object = concat([encoder.encode(`${i + 1} 0 obj\n`), body, encoder.encode('\nendobj\n')]);
+    parts.push(object);
+    offset += object.length;
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>`,
+    'startxref',
+    String(offset),
+    '%%EOF'
+  ];
+  parts.push(encoder.encode(xref.join('\n') + '\n'));
+  return concat(parts);
+}
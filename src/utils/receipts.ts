@@ -0,0 +1,216 @@
+// Receipt files (証憑) - validation and R2 object keys. Files live in the RECEIPTS bucket
+// (wrangler emulates it on the local filesystem in dev); receipts.file_path holds the key.
+
+export const MAX_RECEIPT_SIZE = 10 * 1024 * 1024; // 10 MB
+
+// Accepted types and the extension used in object keys
+export const RECEIPT_TYPES: Record<string, string> = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'image/heic': 'heic',
+  'application/pdf': 'pdf'
+};
+
+// Copies made on upload for the receipt list and viewer. Re-encoded as JPEG (so HEIC and PNG
+// display everywhere) with the EXIF orientation applied; width and height are upper bounds.
+export const RECEIPT_VARIANTS = {
+  thumbnail: { size: 320, quality: 70 },
+  display: { size: 1600, quality: 80 }
+} as const;
+
+export type ReceiptVariant = keyof typeof RECEIPT_VARIANTS;
+
+// R2 deletes at most this many keys per call
+const MAX_DELETE_KEYS = 1000;
+
+function startsWith(bytes: Uint8Array, signature: number[], offset = 0): boolean {
+  return signature.every((byte, i) => bytes[offset + i] === byte);
+}
+
+// Type from the file's leading bytes, so a renamed file cannot pass as a receipt
+export function sniffReceiptType(bytes: Uint8Array): string | null {
+  if (startsWith(bytes, [0xff, 0xd8, 0xff])) return 'image/jpeg';
+  if (startsWith(bytes, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'image/png';
+  if (startsWith(bytes, [0x25, 0x50, 0x44, 0x46, 0x2d])) return 'application/pdf'; // %PDF-
+  if (startsWith(bytes, [0x52, 0x49, 0x46, 0x46]) && startsWith(bytes, [0x57, 0x45, 0x42, 0x50], 8)) return 'image/webp';
+  if (startsWith(bytes, [0x66, 0x74, 0x79, 0x70], 4)) {
+    const brand = String.fromCharCode(...bytes.slice(8, 12));
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic';
+  }
+  return null;
+}
+
+// Validate an uploaded file. Returns its detected type or an error message.
+export async function validateReceiptFile(file: File): Promise<{ mimeType?: string; error?: string }> {
+  if (file.size === 0) {
+    return { error: 'File is empty' };
+  }
+  if (file.size > MAX_RECEIPT_SIZE) {
+    return { error: `File is too large (max ${MAX_RECEIPT_SIZE / 1024 / 1024} MB)` };
+  }
+
+  const mimeType = sniffReceiptType(new Uint8Array(await file.slice(0, 16).arrayBuffer()));
+  if (!mimeType) {
+    return { error: `Unsupported file type (allowed: ${Object.keys(RECEIPT_TYPES).join(', ')})` };
+  }
+  // A declared type must agree with the content (browsers send '' or octet-stream when unsure)
+  if (file.type && file.type !== 'application/octet-stream' && file.type !== mimeType) {
+    return { error: `File content does not match its type (${file.type})` };
+  }
+
+  return { mimeType };
+}
+
+export function receiptKey(bookId: number | string, mimeType: string): string {
+  return `receipts/${bookId}/${crypto.randomUUID()}.${RECEIPT_TYPES[mimeType]}`;
+}
+
+export function variantKey(key: string, variant: ReceiptVariant): string {
+  return key.replace(/\.[^./]+$/, `.${variant}.jpg`);
+}
+
+// Generate and store the variants of an uploaded image. Returns their keys, or {} for PDFs,
+// when the IMAGES binding is not configured, or when processing fails - the receipt is then
+// shown from the original, which has already been stored.
+export async function createReceiptVariants(
+  images: ImagesBinding | undefined,
+  bucket: R2Bucket,
+  key: string,
+  file: File,
+  mimeType: string
+): Promise<Partial<Record<ReceiptVariant, string>>> {
+  if (!images || mimeType === 'application/pdf') {
+    return {};
+  }
+
+  const paths: Partial<Record<ReceiptVariant, string>> = {};
+  try {
+    for (const variant of Object.keys(RECEIPT_VARIANTS) as ReceiptVariant[]) {
+      const { size, quality } = RECEIPT_VARIANTS[variant];
+      const result = await images
+        .input(file.stream())
+        .transform({ width: size, height: size, fit: 'scale-down' })
+        .output({ format: 'image/jpeg', quality, background: '#ffffff' });
+
+      const path = variantKey(key, variant);
+      await bucket.put(path, await result.response().arrayBuffer(), {
+        httpMetadata: { contentType: 'image/jpeg' }
+      });
+      paths[variant] = path;
+    }
+  } catch (error) {
+    console.error('Receipt variant error:', error);
+    await bucket.delete(Object.values(paths));
+    return {};
+  }
+  return paths;
+}
+
+// File to read with OCR: the display copy when there is one (upright and smaller, which suits
+// OCR better than the original), else the original. null when the object is missing.
+export async function receiptOcrInput(
+  bucket: R2Bucket,
+  receipt: Record<string, unknown>
+): Promise<{ bytes: Uint8Array; mimeType: string } | null> {
+  const object = await bucket.get((receipt.display_path || receipt.file_path) as string);
+  if (!object) {
+    return null;
+  }
+  return {
+    bytes: new Uint8Array(await object.arrayBuffer()),
+    mimeType: receipt.display_path ? 'image/jpeg' : (receipt.mime_type as string)
+  };
+}
+
+// Stored keys of a receipt row: the original and any variants
+export function receiptObjectKeys(receipt: Record<string, unknown>): string[] {
+  return [receipt.file_path, ...receiptVariantKeys(receipt)].filter(
+    (key): key is string => typeof key === 'string' && key.length > 0
+  );
+}
+
+// Stored keys of a receipt's derived images (thumbnail and display JPEG), without the original
+export function receiptVariantKeys(receipt: Record<string, unknown>): string[] {
+  return [receipt.thumbnail_path, receipt.display_path].filter(
+    (key): key is string => typeof key === 'string' && key.length > 0
+  );
+}
+
+// Content-Disposition with the original (possibly Japanese) file name
+export function contentDisposition(filename: string, type: 'inline' | 'attachment' = 'inline'): string {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// A receipt in an archive's index.csv; name is null when its file was missing from R2
+export type ArchiveIndexRow = { row: Record<string, unknown>; name: string | null };
+
+// Characters Windows and macOS don't allow in file names
+function safeFileName(value: string): string {
+  return value.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').trim();
+}
+
+// Archive file name: <date>_<amount>_<client>.<ext> from the receipt's transaction (or OCR result)
+export function archiveFileName(receipt: Record<string, unknown>): string {
+  const date = (receipt.date as string) || '日付不明';
+  const amount = receipt.amount != null ? String(receipt.amount) : '金額不明';
+  const client = safeFileName(((receipt.client as string) || '').slice(0, 40)) || '取引先不明';
+  const extension = RECEIPT_TYPES[receipt.mime_type as string] || 'bin';
+  return `${date}_${amount}_${client}.${extension}`;
+}
+
+// Add _2, _3, ... before the extension when the name is already taken
+export function uniqueName(name: string, taken: Set<string>): string {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = name.replace(/(\.[^.]*)?$/, `_${n}$1`);
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+function csvField(value: unknown): string {
+  return `"${String(value ?? '').replace(/"/g, '""')}"`;
+}
+
+// index.csv of a receipt archive (UTF-8 with BOM, so Excel reads the Japanese)
+export function archiveIndexCsv(index: ArchiveIndexRow[]): string {
+  const types: Record<string, string> = { income: '入金', expense: '出金' };
+  const lines = [
+    ['ファイル名', '取引日', '金額', '取引先', '内容', '勘定科目', '区分', '取引ID', '証憑ID', '元のファイル名', '受領日時', 'SHA-256', '備考']
+      .map(csvField)
+      .join(',')
+  ];
+  for (const { row, name } of index) {
+    const notes = [];
+    if (!name) notes.push('ファイルが見つかりません');
+    if (!row.transaction_id) notes.push('取引未登録（読み取り結果）');
+    lines.push(
+      [
+        name,
+        row.date,
+        row.amount,
+        row.client,
+        row.description,
+        row.account_subject,
+        types[row.type as string],
+        row.transaction_id,
+        row.id,
+        row.filename,
+        row.uploaded_at,
+        row.content_hash,
+        notes.join(' / ')
+      ]
+        .map(csvField)
+        .join(',')
+    );
+  }
+  return `\uFEFF${lines.join('\n')}\n`;
+}
+
+export async function deleteReceiptObjects(bucket: R2Bucket, keys: string[]): Promise<void> {
+  for (let i = 0; i < keys.length; i += MAX_DELETE_KEYS) {
+    await bucket.delete(keys.slice(i, i + MAX_DELETE_KEYS));
+  }
+}
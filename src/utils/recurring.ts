@@ -0,0 +1,245 @@
+// Recurring transactions - schedule arithmetic and materialization of due entries.
+// Dates are YYYY-MM-DD strings; occurrences are computed in UTC on calendar dates.
+import { buildLedgerColumns, type TransactionType } from './ledger';
+import { revisionStatement } from './history';
+import { findClosedPeriod } from './periods';
+import { checkTransactionQuota } from './entitlements';
+
+export type Frequency = 'monthly' | 'month_end' | 'weekly' | 'yearly';
+
+export const FREQUENCIES: Frequency[] = ['monthly', 'month_end', 'weekly', 'yearly'];
+
+export type Schedule = {
+  frequency: Frequency;
+  day_of_month: number | null; // monthly / yearly (clamped to the month's last day)
+  day_of_week: number | null; // weekly (0 = Sunday)
+  month: number | null; // yearly (1-12)
+};
+
+// Upper bound on occurrences created per rule in one run (catch-up after a long gap)
+const MAX_OCCURRENCES_PER_RUN = 60;
+
+function toDate(value: string): Date {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(value: string, days: number): string {
+  const date = toDate(value);
+  date.setUTCDate(date.getUTCDate() + days);
+  return formatDate(date);
+}
+
+function daysInMonth(year: number, month: number): number {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function dateInMonth(year: number, month: number, day: number): string {
+  const clamped = Math.min(day, daysInMonth(year, month));
+  return `${year}-${String(month).padStart(2, '0')}-${String(clamped).padStart(2, '0')}`;
+}
+
+// Today's date in Japan, which is what users mean by "today"
+export function todayJst(): string {
+  return formatDate(new Date(Date.now() + 9 * 60 * 60 * 1000));
+}
+
+// Validate schedule fields. Returns the normalized schedule or an error message.
+export function parseSchedule(input: any): { schedule?: Schedule; error?: string } {
+  const frequency = input.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+
+  const toInt = (value: any) => (value === undefined || value === null || value === '' ? null : Number(value));
+  const schedule: Schedule = { frequency, day_of_month: null, day_of_week: null, month: null };
+
+  if (frequency === 'monthly' || frequency === 'yearly') {
+    const day = toInt(input.day_of_month);
+    if (day === null || !Number.isInteger(day) || day < 1 || day > 31) {
+      return { error: 'day_of_month must be 1-31' };
+    }
+    schedule.day_of_month = day;
+  }
+
+  if (frequency === 'yearly') {
+    const month = toInt(input.month);
+    if (month === null || !Number.isInteger(month) || month < 1 || month > 12) {
+      return { error: 'month must be 1-12' };
+    }
+    schedule.month = month;
+  }
+
+  if (frequency === 'weekly') {
+    const day = toInt(input.day_of_week);
+    if (day === null || !Number.isInteger(day) || day < 0 || day > 6) {
+      return { error: 'day_of_week must be 0 (Sunday) - 6 (Saturday)' };
+    }
+    schedule.day_of_week = day;
+  }
+
+  return { schedule };
+}
+
+// First occurrence on or after the given date
+export function occurrenceOnOrAfter(schedule: Schedule, from: string): string {
+  const date = toDate(from);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + 1;
+
+  switch (schedule.frequency) {
+    case 'weekly': {
+      const offset = (schedule.day_of_week! - date.getUTCDay() + 7) % 7;
+      return addDays(from, offset);
+    }
+    case 'month_end': {
+      return dateInMonth(year, month, 31);
+    }
+    case 'monthly': {
+      const candidate = dateInMonth(year, month, schedule.day_of_month!);
+      return candidate >= from
+        ? candidate
+        : dateInMonth(month === 12 ? year + 1 : year, month === 12 ? 1 : month + 1, schedule.day_of_month!);
+    }
+    case 'yearly': {
+      const candidate = dateInMonth(year, schedule.month!, schedule.day_of_month!);
+      return candidate >= from ? candidate : dateInMonth(year + 1, schedule.month!, schedule.day_of_month!);
+    }
+  }
+}
+
+export function nextOccurrence(schedule: Schedule, after: string): string {
+  return occurrenceOnOrAfter(schedule, addDays(after, 1));
+}
+
+// Create pending transactions for every rule occurrence due on or before today.
+// Idempotent: the (recurring_id, date) unique index makes re-runs insert nothing,
+// and next_date is advanced in the same batch. Pass userId to limit to one user's books
+// (revisions then name that user; cron-created ones have no user).
+// Occurrences in closed months are skipped (closed books are final), and a rule stops at the
+// first occurrence over the owner's monthly transaction limit until there is room again.
+export async function materializeRecurringTransactions(
+  db: D1Database,
+  today: string,
+  userId?: number
+): Promise<number> {
+  const rules = await db
+    .prepare(
+      `SELECT r.*, b.user_id AS owner_id FROM recurring_transactions r
+       JOIN books b ON r.book_id = b.id
+       WHERE r.active = 1 AND r.next_date <= ? AND (? IS NULL OR b.user_id = ?)`
+    )
+    .bind(today, userId ?? null, userId ?? null)
+    .all();
+
+  let created = 0;
+  const owners = new Map<number, Record<string, any> | null>();
+
+  for (const rule of (rules.results || []) as any[]) {
+    if (!owners.has(rule.owner_id)) {
+      owners.set(rule.owner_id, await db.prepare('SELECT * FROM users WHERE id = ?').bind(rule.owner_id).first());
+    }
+    const owner = owners.get(rule.owner_id);
+    if (!owner) {
+      continue;
+    }
+
+    const ledger = await buildLedgerColumns(db, rule.book_id, {
+      date: rule.next_date,
+      type: rule.type as TransactionType,
+      amount: rule.amount,
+      description: rule.description,
+      client: rule.client,
+      account_subject_id: rule.account_subject_id,
+      sub_account_id: rule.sub_account_id,
+      tax_code: rule.tax_code,
+      receipt_id: null
+    });
+    if (!ledger.columns) {
+      console.error(`Recurring transaction ${rule.id} skipped:`, ledger.error);
+      continue;
+    }
+    const lines = ledger.columns;
+
+    const dates: string[] = [];
+    let date: string = rule.next_date;
+    for (
+      let checked = 0;
+      date <= today && (!rule.end_date || date <= rule.end_date) && checked < MAX_OCCURRENCES_PER_RUN;
+      checked++
+    ) {
+      if (await findClosedPeriod(db, [{ book_id: rule.book_id, date }])) {
+        date = nextOccurrence(rule, date);
+        continue;
+      }
+      // Pending rows count here so unconfirmed occurrences cannot pile up past the allowance
+      if (await checkTransactionQuota(db, owner, [...dates, date], true)) {
+        break;
+      }
+      dates.push(date);
+      date = nextOccurrence(rule, date);
+    }
+
+    const inserts: D1PreparedStatement[] = [];
+    const revisions: D1PreparedStatement[] = [];
+    for (const occurrence of dates) {
+      inserts.push(
+        db
+          .prepare(
+            `INSERT OR IGNORE INTO transactions
+             (book_id, date, type, amount, description, client, account_subject_id, sub_account_id, tax_code,
+              debit_account, debit_sub_account, debit_amount,
+              credit_account, credit_sub_account, credit_amount, recurring_id, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`
+          )
+          .bind(
+            rule.book_id,
+            occurrence,
+            rule.type,
+            rule.amount,
+            rule.description,
+            rule.client,
+            rule.account_subject_id,
+            rule.sub_account_id,
+            rule.tax_code,
+            lines.debit_account,
+            lines.debit_sub_account,
+            lines.debit_amount,
+            lines.credit_account,
+            lines.credit_sub_account,
+            lines.credit_amount,
+            rule.id
+          )
+      );
+      // Skipped when the occurrence already existed (and so already has its history)
+      revisions.push(
+        revisionStatement(
+          db,
+          't.recurring_id = ? AND t.date = ? AND NOT EXISTS (SELECT 1 FROM transaction_revisions r WHERE r.transaction_id = t.id)',
+          [rule.id, occurrence],
+          userId ?? null,
+          'create'
+        )
+      );
+    }
+
+    // Rules past their end date are deactivated once caught up
+    const finished = !!rule.end_date && date > rule.end_date;
+    const advance =
+      db
+        .prepare(
+          `UPDATE recurring_transactions
+           SET next_date = ?, active = ?, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND next_date = ?`
+        )
+        .bind(date, finished ? 0 : 1, rule.id, rule.next_date);
+
+    const results = await db.batch([...inserts, ...revisions, advance]);
+    created += results.slice(0, inserts.length).reduce((sum, result) => sum + (result.meta.changes || 0), 0);
+  }
+
+  return created;
+}
@@ -0,0 +1,108 @@
+// TOTP (RFC 6238) utilities - HMAC-SHA1, 6 digits, 30 second steps
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = 'ZENIBO';
+
+export function base32Encode(bytes: Uint8Array): string {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+export function base32Decode(input: string): Uint8Array {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const ch of clean) {
+    const index = BASE32_ALPHABET.indexOf(ch);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return new Uint8Array(bytes);
+}
+
+export function generateTotpSecret(): string {
+  return base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+}
+
+export function buildOtpauthUri(secret: string, accountName: string): string {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+async function hotp(secret: string, counter: number): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    base32Decode(secret),
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+
+  const message = new Uint8Array(8);
+  new DataView(message.buffer).setUint32(0, Math.floor(counter / 2 ** 32));
+  new DataView(message.buffer).setUint32(4, counter >>> 0);
+
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, message));
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+export function currentTotpStep(now: number = Date.now()): number {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Returns the matching time step (allowing ±window steps of clock drift), or null
+export async function verifyTotp(secret: string, code: string, window = 1): Promise<number | null> {
+  const normalized = code.replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const step = currentTotpStep();
+  for (let i = -window; i <= window; i++) {
+    if ((await hotp(secret, step + i)) === normalized) {
+      return step + i;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,278 @@
+// TrueType fonts for generated PDFs - reads the metrics and character map of a glyf-outline
+// font and writes a subset holding only the glyphs a document uses. Glyph ids are kept (unused
+// glyphs are emptied rather than removed), so text can be drawn with CIDToGIDMap /Identity.
+
+export type TrueTypeFont = {
+  postScriptName: string;
+  unitsPerEm: number;
+  ascent: number;
+  descent: number;
+  bbox: [number, number, number, number];
+  numGlyphs: number;
+  cmap: Map<number, number>; // Unicode code point -> glyph id
+  advances: number[]; // per glyph id
+  bytes: Uint8Array;
+  tables: Map<string, { offset: number; length: number }>;
+};
+
+// Tables a PDF viewer needs from an embedded TrueType font (ISO 32000-1, 9.9)
+const SUBSET_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+// Composite glyph flags
+const ARG_1_AND_2_ARE_WORDS = 0x0001;
+const WE_HAVE_A_SCALE = 0x0008;
+const MORE_COMPONENTS = 0x0020;
+const WE_HAVE_AN_X_AND_Y_SCALE = 0x0040;
+const WE_HAVE_A_TWO_BY_TWO = 0x0080;
+
+function tag(view: DataView, offset: number): string {
+  return String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+}
+
+function parseCmap(view: DataView, start: number): Map<number, number> {
+  const map = new Map<number, number>();
+  const count = view.getUint16(start + 2);
+  const subtables: { platform: number; encoding: number; offset: number }[] = [];
+  for (let i = 0; i < count; i++) {
+    const record = start + 4 + i * 8;
+    subtables.push({ platform: view.getUint16(record), encoding: view.getUint16(record + 2), offset: view.getUint32(record + 4) });
+  }
+
+  // Full Unicode (format 12) first, then the BMP (format 4)
+  const preferred =
+    subtables.find(s => s.platform === 3 && s.encoding === 10) ||
+    subtables.find(s => s.platform === 0 && view.getUint16(start + s.offset) === 12) ||
+    subtables.find(s => s.platform === 3 && s.encoding === 1) ||
+    subtables.find(s => s.platform === 0 && view.getUint16(start + s.offset) === 4);
+  if (!preferred) {
+    throw new Error('Font has no Unicode character map');
+  }
+
+  const table = start + preferred.offset;
+  const format = view.getUint16(table);
+  if (format === 12) {
+    const groups = view.getUint32(table + 12);
+    for (let i = 0; i < groups; i++) {
+      const group = table + 16 + i * 12;
+      const first = view.getUint32(group);
+      const last = view.getUint32(group + 4);
+      const glyph = view.getUint32(group + 8);
+      for (let code = first; code <= last; code++) {
+        map.set(code, glyph + code - first);
+      }
+    }
+  } else if (format === 4) {
+    const segments = view.getUint16(table + 6) / 2;
+    const ends = table + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const rangeOffsets = deltas + segments * 2;
+    for (let i = 0; i < segments; i++) {
+      const first = view.getUint16(starts + i * 2);
+      const last = view.getUint16(ends + i * 2);
+      const delta = view.getInt16(deltas + i * 2);
+      const rangeOffset = view.getUint16(rangeOffsets + i * 2);
+      for (let code = first; code <= last && code !== 0xffff; code++) {
+        let glyph: number;
+        if (rangeOffset === 0) {
+          glyph = (code + delta) & 0xffff;
+        } else {
+          glyph = view.getUint16(rangeOffsets + i * 2 + rangeOffset + (code - first) * 2);
+          if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+        }
+        if (glyph !== 0) map.set(code, glyph);
+      }
+    }
+  } else {
+    throw new Error(`Unsupported character map format ${format}`);
+  }
+  return map;
+}
+
+// PostScript name (name id 6), for the PDF BaseFont
+function parsePostScriptName(view: DataView, start: number): string | null {
+  const count = view.getUint16(start + 2);
+  const strings = start + view.getUint16(start + 4);
+  for (let i = 0; i < count; i++) {
+    const record = start + 6 + i * 12;
+    if (view.getUint16(record + 6) !== 6) continue;
+    const platform = view.getUint16(record);
+    const length = view.getUint16(record + 8);
+    const offset = strings + view.getUint16(record + 10);
+    let name = '';
+    if (platform === 3 || platform === 0) {
+      for (let j = 0; j < length; j += 2) name += String.fromCharCode(view.getUint16(offset + j));
+    } else {
+      for (let j = 0; j < length; j++) name += String.fromCharCode(view.getUint8(offset + j));
+    }
+    const cleaned = name.replace(/[^\x21-\x7e]|[()<>[\]{}/%#]/g, '');
+    if (cleaned) return cleaned;
+  }
+  return null;
+}
+
+export function parseTrueType(bytes: Uint8Array): TrueTypeFont {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint32(0);
+  if (version !== 0x00010000 && tag(view, 0) !== 'true') {
+    throw new Error('Font must be a TrueType (glyf outline) font, not OpenType/CFF or a collection');
+  }
+
+  const tables = new Map<string, { offset: number; length: number }>();
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    tables.set(tag(view, record), { offset: view.getUint32(record + 8), length: view.getUint32(record + 12) });
+  }
+  for (const required of ['head', 'hhea', 'maxp', 'hmtx', 'loca', 'glyf', 'cmap']) {
+    if (!tables.has(required)) {
+      throw new Error(`Font has no ${required} table`);
+    }
+  }
+
+  const head = tables.get('head')!.offset;
+  const hhea = tables.get('hhea')!.offset;
+  const hmtx = tables.get('hmtx')!.offset;
+  const numGlyphs = view.getUint16(tables.get('maxp')!.offset + 4);
+  const numberOfHMetrics = view.getUint16(hhea + 34);
+
+  const advances: number[] = [];
+  for (let gid = 0; gid < numGlyphs; gid++) {
+    advances.push(view.getUint16(hmtx + Math.min(gid, numberOfHMetrics - 1) * 4));
+  }
+
+  const name = tables.get('name');
+  return {
+    postScriptName: (name && parsePostScriptName(view, name.offset)) || 'Font',
+    unitsPerEm: view.getUint16(head + 18),
+    ascent: view.getInt16(hhea + 4),
+    descent: view.getInt16(hhea + 6),
+    bbox: [view.getInt16(head + 36), view.getInt16(head + 38), view.getInt16(head + 40), view.getInt16(head + 42)],
+    numGlyphs,
+    cmap: parseCmap(view, tables.get('cmap')!.offset),
+    advances,
+    bytes,
+    tables
+  };
+}
+
+// Byte range of each glyph in the glyf table
+function glyphLocations(font: TrueTypeFont): number[] {
+  const view = new DataView(font.bytes.buffer, font.bytes.byteOffset, font.bytes.byteLength);
+  const loca = font.tables.get('loca')!.offset;
+  const long = view.getInt16(font.tables.get('head')!.offset + 50) === 1;
+  const locations: number[] = [];
+  for (let gid = 0; gid <= font.numGlyphs; gid++) {
+    locations.push(long ? view.getUint32(loca + gid * 4) : view.getUint16(loca + gid * 2) * 2);
+  }
+  return locations;
+}
+
+// Glyphs a composite glyph is built from
+function componentGlyphs(view: DataView, offset: number): number[] {
+  const components: number[] = [];
+  let position = offset + 10;
+  for (;;) {
+    const flags = view.getUint16(position);
+    components.push(view.getUint16(position + 2));
+    position += 4 + (flags & ARG_1_AND_2_ARE_WORDS ? 4 : 2);
+    if (flags & WE_HAVE_A_SCALE) position += 2;
+    else if (flags & WE_HAVE_AN_X_AND_Y_SCALE) position += 4;
+    else if (flags & WE_HAVE_A_TWO_BY_TWO) position += 8;
+    if (!(flags & MORE_COMPONENTS)) break;
+  }
+  return components;
+}
+
+function checksum(bytes: Uint8Array): number {
+  const padded = new Uint8Array((bytes.length + 3) & ~3);
+  padded.set(bytes);
+  const view = new DataView(padded.buffer);
+  let sum = 0;
+  for (let i = 0; i < padded.length; i += 4) {
+    sum = (sum + view.getUint32(i)) >>> 0;
+  }
+  return sum;
+}
+
+// A copy of the font with only the given glyphs (and .notdef and composite parts) drawn
+export function subsetTrueType(font: TrueTypeFont, glyphs: Iterable<number>): Uint8Array {
+  const view = new DataView(font.bytes.buffer, font.bytes.byteOffset, font.bytes.byteLength);
+  const glyf = font.tables.get('glyf')!.offset;
+  const locations = glyphLocations(font);
+
+  const keep = new Set<number>();
+  const pending = [0, ...glyphs];
+  while (pending.length > 0) {
+    const gid = pending.pop()!;
+    if (gid >= font.numGlyphs || keep.has(gid)) continue;
+    keep.add(gid);
+    const start = locations[gid];
+    if (locations[gid + 1] > start && view.getInt16(glyf + start) < 0) {
+      pending.push(...componentGlyphs(view, glyf + start).filter(component => !keep.has(component)));
+    }
+  }
+
+  // Long loca offsets; each kept glyph padded to 4 bytes
+  let glyfLength = 0;
+  for (const gid of keep) {
+    glyfLength += (locations[gid + 1] - locations[gid] + 3) & ~3;
+  }
+  const newGlyf = new Uint8Array(glyfLength);
+  const newLoca = new Uint8Array((font.numGlyphs + 1) * 4);
+  const locaView = new DataView(newLoca.buffer);
+  let position = 0;
+  for (let gid = 0; gid < font.numGlyphs; gid++) {
+    locaView.setUint32(gid * 4, position);
+    if (keep.has(gid)) {
+      newGlyf.set(font.bytes.subarray(glyf + locations[gid], glyf + locations[gid + 1]), position);
+      position += (locations[gid + 1] - locations[gid] + 3) & ~3;
+    }
+  }
+  locaView.setUint32(font.numGlyphs * 4, position);
+
+  const output = new Map<string, Uint8Array>();
+  for (const name of SUBSET_TABLES) {
+    const table = font.tables.get(name);
+    if (name === 'glyf') output.set(name, newGlyf);
+    else if (name === 'loca') output.set(name, newLoca);
+    else if (table) output.set(name, font.bytes.slice(table.offset, table.offset + table.length));
+  }
+  const head = new DataView(output.get('head')!.buffer);
+  head.setUint32(8, 0); // checkSumAdjustment
+  head.setInt16(50, 1); // indexToLocFormat: long
+
+  // Offset table and table records, sorted by tag, then the 4-byte aligned tables
+  const names = [...output.keys()].sort();
+  const entrySelector = Math.floor(Math.log2(names.length));
+  const headerLength = 12 + names.length * 16;
+  let length = headerLength;
+  for (const name of names) length += (output.get(name)!.length + 3) & ~3;
+
+  const result = new Uint8Array(length);
+  const out = new DataView(result.buffer);
+  out.setUint32(0, 0x00010000);
+  out.setUint16(4, names.length);
+  out.setUint16(6, 2 ** entrySelector * 16);
+  out.setUint16(8, entrySelector);
+  out.setUint16(10, names.length * 16 - 2 ** entrySelector * 16);
+
+  let offset = headerLength;
+  names.forEach((name, i) => {
+    const data = output.get(name)!;
+    const record = 12 + i * 16;
+    for (let j = 0; j < 4; j++) out.setUint8(record + j, name.charCodeAt(j));
+    out.setUint32(record + 4, checksum(data));
+    out.setUint32(record + 8, offset);
+    out.setUint32(record + 12, data.length);
+    result.set(data, offset);
+    offset += (data.length + 3) & ~3;
+  });
+
+  return result;
+}
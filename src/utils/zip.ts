@@ -0,0 +1,186 @@
+// Streaming ZIP writer for receipt archives. Entries are stored uncompressed (receipts are
+// already-compressed JPEG/PDF) and written as they are read, with the CRC and sizes in a data
+// descriptor after each file, so nothing is buffered whole. No ZIP64: callers keep archives
+// under MAX_ZIP_ENTRIES files and MAX_ZIP_BYTES.
+
+export const MAX_ZIP_ENTRIES = 0xffff;
+export const MAX_ZIP_BYTES = 0xffffffff;
+
+export type ZipEntry = {
+  name: string; // path inside the archive (UTF-8)
+  modified: Date;
+  // The entry's content; null skips the entry (e.g. a file that has gone missing)
+  open: () => Promise<ReadableStream<Uint8Array> | Uint8Array | string | null>;
+};
+
+// Bit 3: sizes and CRC follow the data; bit 11: the name is UTF-8
+const FLAGS = 0x0808;
+const VERSION = 20;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function updateCrc(crc: number, bytes: Uint8Array): number {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time from the Date's UTC fields (see zipDateTime)
+function dosDateTime(date: Date): { time: number; date: number } {
+  const year = Math.max(date.getUTCFullYear(), 1980);
+  return {
+    time: (date.getUTCHours() << 11) | (date.getUTCMinutes() << 5) | (date.getUTCSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getUTCMonth() + 1) << 5) | date.getUTCDate()
+  };
+}
+
+// ZIP timestamps have no time zone; shift UTC to JST so extracted files show Japanese time
+export function zipDateTime(sqlTimestamp: string): Date {
+  const utc = Date.parse(`${sqlTimestamp.replace(' ', 'T')}Z`);
+  return new Date((Number.isNaN(utc) ? Date.now() : utc) + 9 * 3600 * 1000);
+}
+
+function header(size: number, fill: (view: DataView) => void): Uint8Array {
+  const bytes = new Uint8Array(size);
+  fill(new DataView(bytes.buffer));
+  return bytes;
+}
+
+function concat(...parts: Uint8Array[]): Uint8Array {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+async function* zipChunks(entries: Iterable<ZipEntry> | AsyncIterable<ZipEntry>): AsyncGenerator<Uint8Array> {
+  const encoder = new TextEncoder();
+  const central: Uint8Array[] = [];
+  let offset = 0;
+
+  for await (const entry of entries) {
+    const content = await entry.open();
+    if (content === null) continue;
+    if (central.length >= MAX_ZIP_ENTRIES) {
+      throw new Error(`ZIP archives hold at most ${MAX_ZIP_ENTRIES} files`);
+    }
+
+    const name = encoder.encode(entry.name);
+    const { time, date } = dosDateTime(entry.modified);
+    const localOffset = offset;
+
+    const local = concat(
+      header(30, view => {
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, VERSION, true);
+        view.setUint16(6, FLAGS, true);
+        view.setUint16(8, 0, true); // stored
+        view.setUint16(10, time, true);
+        view.setUint16(12, date, true);
+        // CRC and sizes (14-25) are zero here and given in the data descriptor
+        view.setUint16(26, name.length, true);
+      }),
+      name
+    );
+    yield local;
+    offset += local.length;
+
+    let crc = 0;
+    let size = 0;
+    if (content instanceof ReadableStream) {
+      const reader = content.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        crc = updateCrc(crc, value);
+        size += value.length;
+        yield value;
+      }
+    } else {
+      const bytes = typeof content === 'string' ? encoder.encode(content) : content;
+      crc = updateCrc(crc, bytes);
+      size = bytes.length;
+      yield bytes;
+    }
+    offset += size;
+    if (offset > MAX_ZIP_BYTES) {
+      throw new Error('ZIP archive is larger than 4 GB');
+    }
+
+    const descriptor = header(16, view => {
+      view.setUint32(0, 0x08074b50, true);
+      view.setUint32(4, crc, true);
+      view.setUint32(8, size, true);
+      view.setUint32(12, size, true);
+    });
+    yield descriptor;
+    offset += descriptor.length;
+
+    central.push(
+      concat(
+        header(46, view => {
+          view.setUint32(0, 0x02014b50, true);
+          view.setUint16(4, VERSION, true); // made by
+          view.setUint16(6, VERSION, true); // needed to extract
+          view.setUint16(8, FLAGS, true);
+          view.setUint16(10, 0, true);
+          view.setUint16(12, time, true);
+          view.setUint16(14, date, true);
+          view.setUint32(16, crc, true);
+          view.setUint32(20, size, true);
+          view.setUint32(24, size, true);
+          view.setUint16(28, name.length, true);
+          view.setUint32(42, localOffset, true);
+        }),
+        name
+      )
+    );
+  }
+
+  const directory = concat(...central);
+  yield directory;
+  yield header(22, view => {
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, central.length, true);
+    view.setUint16(10, central.length, true);
+    view.setUint32(12, directory.length, true);
+    view.setUint32(16, offset, true);
+  });
+}
+
+// Stream a ZIP of the entries, reading each one only when the client is ready for it
+export function zipStream(entries: Iterable<ZipEntry> | AsyncIterable<ZipEntry>): ReadableStream<Uint8Array> {
+  const chunks = zipChunks(entries);
+  return new ReadableStream<Uint8Array>({
+    async pull(controller) {
+      try {
+        const { done, value } = await chunks.next();
+        if (done) {
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        controller.error(error);
+      }
+    },
+    async cancel() {
+      await chunks.return(undefined);
+    }
+  });
+}